@@ -0,0 +1,84 @@
+// scripts/etaBacktest.js
+// Replay historical tickets through the current ETA model and compare its
+// error with the ETAs customers were actually given.
+//
+// Usage:
+//   node scripts/etaBacktest.js --business <id> [--queue <id>]
+//     [--from 2026-01-01] [--to 2026-02-01] [--json]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { backtest } = require('../src/utils/etaBacktest');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[key] = next;
+      i++;
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+};
+
+const formatMetrics = (m) =>
+  m.count === 0
+    ? 'no data'
+    : `n=${m.count}  MAE=${m.mae}m  bias=${m.bias}m  P90|err|=${m.p90AbsError}m`;
+
+const printReport = (report) => {
+  console.log(`\n📅 ${report.from.toISOString()} → ${report.to.toISOString()}`);
+  console.log(`🎫 ${report.tickets} tickets replayed from ${report.queues} queues`);
+  console.log('🧮 Model methods:', report.methods);
+
+  console.log('\nOverall');
+  console.log('  replayed:', formatMetrics(report.replayed.overall));
+  console.log('  live:    ', formatMetrics(report.live.overall));
+
+  console.log('\nBy service (replayed)');
+  report.replayed.byService.forEach((s) => {
+    console.log(`  ${s.service}: ${formatMetrics(s)}`);
+  });
+
+  console.log('\nBy hour (replayed)');
+  report.replayed.byHour.forEach((h) => {
+    console.log(`  ${String(h.hour).padStart(2, '0')}:00  ${formatMetrics(h)}`);
+  });
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.business) {
+    console.error('❌ --business <id> is required');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    if (!args.json) console.log('✅ Connected to MongoDB');
+
+    const report = await backtest(args.business, {
+      from: args.from,
+      to: args.to,
+      queueId: args.queue,
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
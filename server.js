@@ -8,6 +8,10 @@ const connectDB = require("./src/config/db");
 const passportConfig = require("./src/config/passport"); // make sure your GoogleStrategy is session: false
 const socketHandler = require("./src/sockets/socketHandler");
 const cookieParser = require("cookie-parser");
+const { startHoldSweeper } = require("./src/utils/ticketHold");
+const { startAppointmentScheduler } = require("./src/utils/appointmentScheduler");
+const { startQueueLifecycle } = require("./src/utils/queueLifecycle");
+const { startWaitlistSweeper } = require("./src/utils/waitlist");
 
 // -----------------------------
 // ROUTES
@@ -24,6 +28,11 @@ const notificationsRouter = require("./src/routes/notificationsRouter");
 const paymentRoutes = require("./src/routes/paymentRoutes");
 const searchRoutes = require("./src/routes/searchRoutes");
 const statsRoutes = require("./src/routes/statsRoutes");
+const counterRoutes = require("./src/routes/counterRoutes");
+const appointmentRoutes = require("./src/routes/appointmentRoutes");
+const kioskRoutes = require("./src/routes/kioskRoutes");
+const displayRoutes = require("./src/routes/displayRoutes");
+const waitlistRoutes = require("./src/routes/waitlistRoutes");
 
 const app = express();
 
@@ -39,6 +48,7 @@ app.use(
   cors({
     origin: process.env.FRONTEND_URL || "*",
     credentials: true,
+    exposedHeaders: ["X-Slip-Locale-Fallback"],
   }),
 );
 
@@ -63,24 +73,22 @@ const io = new Server(server, {
   },
 });
 
-// Initialize your socket handler
+// Initialize your socket handler (registers socket authentication first,
+// see src/sockets/socketAuth.js)
 const socketIO = socketHandler(io);
 app.set("socketIO", socketIO);
 
-// Optional: JWT auth for Socket.IO
-io.use((socket, next) => {
-  const token = socket.handshake.auth?.token;
-  if (!token) return next();
-  try {
-    const jwt = require("jsonwebtoken");
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    socket.user = decoded;
-    next();
-  } catch (err) {
-    console.error("Socket auth failed:", err.message);
-    next();
-  }
-});
+// Requeue / expire on-hold tickets whose grace window has passed
+startHoldSweeper(socketIO);
+
+// Move booked appointments into the live queue when their window opens
+startAppointmentScheduler(socketIO);
+
+// Open / stop intake on / close each business's queue from its working hours
+startQueueLifecycle(socketIO);
+
+// Pass waitlist offers nobody accepted in time to the next person
+startWaitlistSweeper(socketIO);
 
 // -----------------------------
 // ROUTES
@@ -97,6 +105,11 @@ app.use("/api/v1/notifications", notificationsRouter);
 app.use("/api/v1/payments", paymentRoutes);
 app.use("/api/v1/search", searchRoutes);
 app.use("/api/v1/stats", statsRoutes);
+app.use("/api/v1/counters", counterRoutes);
+app.use("/api/v1/appointments", appointmentRoutes);
+app.use("/api/v1/kiosks", kioskRoutes);
+app.use("/api/v1/display", displayRoutes);
+app.use("/api/v1/waitlist", waitlistRoutes);
 
 // -----------------------------
 // START SERVER
@@ -0,0 +1,369 @@
+const Appointment = require("../models/appointmentSchema");
+const Business = require("../models/businessSchema");
+const Queue = require("../models/queueSchema");
+const Ticket = require("../models/ticketSchema");
+const appointmentScheduler = require("../utils/appointmentScheduler");
+const etaCalculator = require("../utils/etaCalculator");
+const { transition, actor } = require("../utils/ticketStateMachine");
+const { isBusinessMember } = require("../middlewares/authMiddleware");
+
+// Load an appointment the caller may manage (its customer or business staff)
+const loadAppointment = async (req, res) => {
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    res.status(404).json({ message: "Appointment not found" });
+    return null;
+  }
+  const isOwner = appointment.userId.toString() === req.user._id.toString();
+  if (!isOwner && !isBusinessMember(req.user, appointment.businessId)) {
+    res.status(403).json({ message: "You cannot manage this appointment" });
+    return null;
+  }
+  return appointment;
+};
+
+const emitAppointmentUpdate = (req, appointment, event) => {
+  const socketIO = req.app.get("socketIO");
+  if (socketIO) {
+    socketIO.emitAppointmentUpdate(
+      appointment.businessId.toString(),
+      appointment,
+      event,
+    );
+  }
+};
+
+// =========================== GET AVAILABILITY ===========================
+exports.getAvailability = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { serviceId, date } = req.query;
+
+    if (!serviceId || !date) {
+      return res.status(400).json({
+        message: "serviceId and date (YYYY-MM-DD) are required",
+      });
+    }
+
+    const day = appointmentScheduler.parseDay(date);
+    if (!day) {
+      return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+    if (!business.service.id(serviceId)) {
+      return res.status(400).json({ message: "Service not offered by this business" });
+    }
+
+    const slots = await appointmentScheduler.getAvailableSlots(
+      business,
+      serviceId,
+      day,
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: slots.length,
+      data: slots,
+    });
+  } catch (err) {
+    console.error("Get availability error:", err);
+    res.status(500).json({
+      message: "Server error getting availability",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== BOOK APPOINTMENT ===========================
+exports.bookAppointment = async (req, res) => {
+  try {
+    const { businessId, serviceId, startAt, notes } = req.body;
+
+    if (!businessId || !serviceId || !startAt) {
+      return res.status(400).json({
+        message: "businessId, serviceId and startAt are required",
+      });
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+    if (business.status !== "active") {
+      return res.status(400).json({ message: "Business is closed" });
+    }
+
+    const slot = await appointmentScheduler.validateSlot(
+      business,
+      serviceId,
+      startAt,
+    );
+
+    const appointment = await Appointment.create({
+      businessId,
+      userId: req.user._id,
+      serviceId,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      notes,
+    });
+
+    // Another booking may have taken the last place in the meantime
+    if (!(await appointmentScheduler.isWithinCapacity(appointment))) {
+      await Appointment.findByIdAndDelete(appointment._id);
+      return res.status(409).json({ message: "This slot is no longer available" });
+    }
+
+    await Business.findByIdAndUpdate(businessId, {
+      $addToSet: { ourClients: req.user._id },
+    });
+
+    emitAppointmentUpdate(req, appointment, "appointmentBooked");
+
+    res.status(201).json({
+      status: "success",
+      data: appointment,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("Book appointment error:", err);
+    res.status(500).json({
+      message: "Server error booking appointment",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== GET MY APPOINTMENTS ===========================
+exports.getMyAppointments = async (req, res) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.upcoming === "true") filter.startAt = { $gte: new Date() };
+
+    const appointments = await Appointment.find(filter)
+      .populate("businessId", "name address profileImage")
+      .populate("ticketId", "ticketNumber displayNumber status estimatedTime")
+      .sort({ startAt: 1 });
+
+    res.status(200).json({
+      status: "success",
+      results: appointments.length,
+      data: appointments,
+    });
+  } catch (err) {
+    console.error("Get my appointments error:", err);
+    res.status(500).json({
+      message: "Server error getting appointments",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== GET BUSINESS APPOINTMENTS ===========================
+exports.getBusinessAppointments = async (req, res) => {
+  try {
+    const filter = { businessId: req.params.businessId };
+    if (req.query.status) filter.status = req.query.status;
+
+    if (req.query.date) {
+      const day = appointmentScheduler.parseDay(req.query.date);
+      if (!day) {
+        return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+      }
+      const nextDay = new Date(day);
+      nextDay.setDate(nextDay.getDate() + 1);
+      filter.startAt = { $gte: day, $lt: nextDay };
+    }
+
+    const appointments = await Appointment.find(filter)
+      .populate("userId", "name email phone")
+      .populate("ticketId", "ticketNumber displayNumber status")
+      .sort({ startAt: 1 });
+
+    res.status(200).json({
+      status: "success",
+      results: appointments.length,
+      data: appointments,
+    });
+  } catch (err) {
+    console.error("Get business appointments error:", err);
+    res.status(500).json({
+      message: "Server error getting appointments",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== RESCHEDULE APPOINTMENT ===========================
+exports.rescheduleAppointment = async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    const { startAt } = req.body;
+    if (!startAt) {
+      return res.status(400).json({ message: "startAt is required" });
+    }
+
+    if (appointment.status !== "booked") {
+      return res.status(400).json({
+        message: `Cannot reschedule a ${appointment.status} appointment`,
+      });
+    }
+
+    const business = await Business.findById(appointment.businessId);
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+
+    const slot = await appointmentScheduler.validateSlot(
+      business,
+      appointment.serviceId,
+      startAt,
+      { excludeId: appointment._id },
+    );
+
+    const previousStart = appointment.startAt;
+    const previousEnd = appointment.endAt;
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: "booked", startAt: previousStart },
+      {
+        $set: { startAt: slot.startAt, endAt: slot.endAt },
+        $push: {
+          reschedules: {
+            fromStartAt: previousStart,
+            toStartAt: slot.startAt,
+            by: req.user._id,
+          },
+        },
+      },
+      { new: true },
+    );
+    if (!updated) {
+      return res.status(409).json({
+        message: "Appointment was modified, please retry",
+      });
+    }
+
+    // Lost the new slot to a concurrent booking: put it back
+    if (!(await appointmentScheduler.isWithinCapacity(updated))) {
+      await Appointment.updateOne(
+        { _id: updated._id },
+        {
+          $set: { startAt: previousStart, endAt: previousEnd },
+          $pop: { reschedules: 1 },
+        },
+      );
+      return res.status(409).json({ message: "This slot is no longer available" });
+    }
+
+    emitAppointmentUpdate(req, updated, "appointmentRescheduled");
+
+    res.status(200).json({
+      status: "success",
+      message: "Appointment rescheduled successfully",
+      data: updated,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("Reschedule appointment error:", err);
+    res.status(500).json({
+      message: "Server error rescheduling appointment",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== CANCEL APPOINTMENT ===========================
+exports.cancelAppointment = async (req, res) => {
+  try {
+    const appointment = await loadAppointment(req, res);
+    if (!appointment) return;
+
+    const reason = req.body?.reason;
+
+    if (!appointmentScheduler.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        message: `Cannot cancel a ${appointment.status} appointment`,
+      });
+    }
+
+    // Already merged into the live queue: cancel its ticket as well
+    let ticket = null;
+    if (appointment.status === "queued" && appointment.ticketId) {
+      ticket = await Ticket.findById(appointment.ticketId);
+      if (ticket && !["waiting", "on-hold"].includes(ticket.status)) {
+        return res.status(400).json({
+          message: `Cannot cancel an appointment whose ticket is ${ticket.status}`,
+        });
+      }
+    }
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: appointment.status },
+      {
+        status: "cancelled",
+        cancelReason: reason || null,
+        cancelledBy: req.user._id,
+      },
+      { new: true },
+    );
+    if (!updated) {
+      return res.status(409).json({
+        message: "Appointment was modified, please retry",
+      });
+    }
+
+    const socketIO = req.app.get("socketIO");
+    if (ticket) {
+      ticket = await transition(ticket, "cancelled", {
+        ...actor(req.user, reason || "appointment cancelled"),
+        set: { cancelReason: reason || null, cancelledBy: req.user._id },
+      });
+      const queue = await Queue.findByIdAndUpdate(
+        ticket.queueId,
+        { $inc: { currentCount: -1 } },
+        { new: true },
+      );
+      etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "cancel" });
+
+      if (socketIO && queue) {
+        const businessIdStr = ticket.businessId.toString();
+        socketIO.emitTicketCancelled(businessIdStr, ticket);
+        socketIO.emitQueueUpdate(businessIdStr, {
+          queueId: queue._id.toString(),
+          status: queue.status,
+          currentCount: queue.currentCount,
+          currentTicketNumber: queue.currentTicketNumber,
+        });
+      }
+    }
+
+    emitAppointmentUpdate(req, updated, "appointmentCancelled");
+
+    res.status(200).json({
+      status: "success",
+      message: "Appointment cancelled successfully",
+      data: updated,
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("Cancel appointment error:", err);
+    res.status(500).json({
+      message: "Server error cancelling appointment",
+      error: err.message,
+    });
+  }
+};
@@ -2,6 +2,7 @@ const Business = require("../models/businessSchema");
 const Queue = require("../models/queueSchema");
 const Ticket = require("../models/ticketSchema");
 const { generateBusinessEmbeddings } = require("../utils/embeddingService");
+const businessHours = require("../utils/businessHours");
 
 // -------------------------
 // POST /api/v1/businesses
@@ -86,6 +87,65 @@ exports.getBusinessById = async (req, res) => {
     });
   }
 };
+// -------------------------
+// GET /api/v1/businesses/business/:id/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Calendar exceptions plus the resolved opening hours of each day
+// -------------------------
+exports.getBusinessCalendar = async (req, res) => {
+  try {
+    const business = await Business.findById(req.params.id).select(
+      "name workingHours calendar queueSettings",
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Business not found",
+      });
+    }
+
+    const parse = (value) => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+      return match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+    };
+
+    const from = req.query.from ? parse(req.query.from) : businessHours.startOfDay();
+    let to = req.query.to ? parse(req.query.to) : new Date(from);
+    if (!req.query.to && from) to.setDate(to.getDate() + 30);
+
+    if (!from || !to || to < from) {
+      return res.status(400).json({
+        status: "fail",
+        message: "from and to must be YYYY-MM-DD with from <= to",
+      });
+    }
+
+    // Keep the response bounded
+    const maxDays = 366;
+    const days = [];
+    for (
+      const day = new Date(from);
+      day <= to && days.length < maxDays;
+      day.setDate(day.getDate() + 1)
+    ) {
+      days.push(businessHours.resolveDay(business, day));
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        entries: business.calendar,
+        days,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
 // -------------------------
 // PATCH /api/v1/businesses/:id
 // -------------------------
@@ -202,10 +262,23 @@ exports.updateBusinessInfo = async (req, res) => {
       "mobilePhone",
       "landlinePhone",
       "address",
+      "location",
+      "locale",
       "specialization",
       "workingHours",
+      "calendar",
       "service",
       "queueSettings",
+      "dispatchPolicy",
+      "holdPolicy",
+      "deferPolicy",
+      "etaPolicy",
+      "waitlistPolicy",
+      "appointmentPolicy",
+      "queueLifecycle",
+      "intakeRules",
+      "checkInPolicy",
+      "displayBoard",
       "paymentMethod",
       "profileImage",
       "businessImages",
@@ -305,3 +378,86 @@ exports.deleteBusiness = async (req, res) => {
     });
   }
 };
+
+// -------------------------
+// POST /api/v1/businesses/me/calendar
+// Add a holiday / special opening hours entry
+// -------------------------
+exports.addCalendarEntry = async (req, res) => {
+  try {
+    const { name, date, endDate, recurring, isClosed, openTime, closeTime } =
+      req.body;
+    const entry = {
+      name,
+      date,
+      endDate,
+      recurring: Boolean(recurring),
+      isClosed: isClosed !== false,
+      openTime,
+      closeTime,
+    };
+
+    const invalid = businessHours.validateCalendarEntry(entry);
+    if (invalid) {
+      return res.status(400).json({
+        status: "fail",
+        message: invalid,
+      });
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user._id,
+      { $push: { calendar: entry } },
+      { new: true, runValidators: true },
+    ).select("calendar");
+
+    if (!business) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Business not found",
+      });
+    }
+
+    res.status(201).json({
+      status: "success",
+      message: "Calendar entry added successfully",
+      data: business.calendar[business.calendar.length - 1],
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
+
+// -------------------------
+// DELETE /api/v1/businesses/me/calendar/:entryId
+// -------------------------
+exports.deleteCalendarEntry = async (req, res) => {
+  try {
+    const business = await Business.findOneAndUpdate(
+      { _id: req.user._id, "calendar._id": req.params.entryId },
+      { $pull: { calendar: { _id: req.params.entryId } } },
+      { new: true },
+    ).select("calendar");
+
+    if (!business) {
+      return res.status(404).json({
+        status: "fail",
+        message: "Calendar entry not found",
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      message: "Calendar entry deleted successfully",
+      data: business.calendar,
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: "error",
+      message: err.message,
+    });
+  }
+};
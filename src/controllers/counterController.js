@@ -0,0 +1,265 @@
+const Counter = require("../models/counterSchema");
+const Business = require("../models/businessSchema");
+const { isBusinessMember } = require("../middlewares/authMiddleware");
+const { findTodayQueues } = require("../utils/queueRouting");
+const etaCalculator = require("../utils/etaCalculator");
+
+// Load a counter and check the caller can operate its business
+const loadCounter = async (req, res) => {
+  const counter = await Counter.findById(req.params.id);
+  if (!counter) {
+    res.status(404).json({ message: "Counter not found" });
+    return null;
+  }
+  if (!isBusinessMember(req.user, counter.businessId)) {
+    res.status(403).json({
+      message: "You are not authorized to manage this counter",
+    });
+    return null;
+  }
+  return counter;
+};
+
+const emitCounterUpdate = (req, counter) => {
+  const socketIO = req.app.get("socketIO");
+  if (socketIO) {
+    socketIO.emitCounterUpdate(counter.businessId.toString(), counter);
+  }
+};
+
+// Staffing changed: re-estimate today's queues of the business
+const refreshETAs = async (req, businessId) => {
+  const socketIO = req.app.get("socketIO");
+  const queues = await findTodayQueues(businessId, { status: { $ne: "closed" } });
+  for (const queue of queues) {
+    etaCalculator.updateQueueETAs(queue._id, { socketIO, event: "staffing" });
+  }
+};
+
+// =========================== CREATE COUNTER ===========================
+exports.createCounter = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { number, name } = req.body;
+
+    if (number == null) {
+      return res.status(400).json({ message: "Counter number is required" });
+    }
+
+    const business = await Business.findById(businessId);
+    if (!business) {
+      return res.status(404).json({ message: "Business not found" });
+    }
+
+    const existing = await Counter.findOne({ businessId, number });
+    if (existing) {
+      return res.status(400).json({
+        message: `Counter ${number} already exists for this business`,
+      });
+    }
+
+    const counter = await Counter.create({
+      businessId,
+      number,
+      name: name || `Counter ${number}`,
+    });
+
+    emitCounterUpdate(req, counter);
+
+    res.status(201).json({
+      status: "success",
+      data: counter,
+    });
+  } catch (err) {
+    console.error("Create counter error:", err);
+    res.status(500).json({
+      message: "Server error creating counter",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== GET BUSINESS COUNTERS ===========================
+exports.getBusinessCounters = async (req, res) => {
+  try {
+    const counters = await Counter.find({ businessId: req.params.businessId })
+      .populate("currentStaff", "name email")
+      .populate("currentTicket", "ticketNumber status priority")
+      .sort({ number: 1 });
+
+    res.status(200).json({
+      status: "success",
+      results: counters.length,
+      data: counters,
+    });
+  } catch (err) {
+    console.error("Get counters error:", err);
+    res.status(500).json({
+      message: "Server error getting counters",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== UPDATE COUNTER ===========================
+exports.updateCounter = async (req, res) => {
+  try {
+    const counter = await loadCounter(req, res);
+    if (!counter) return;
+
+    const { number, name } = req.body;
+    if (number != null) {
+      const existing = await Counter.findOne({
+        businessId: counter.businessId,
+        number,
+        _id: { $ne: counter._id },
+      });
+      if (existing) {
+        return res.status(400).json({
+          message: `Counter ${number} already exists for this business`,
+        });
+      }
+      counter.number = number;
+    }
+    if (name !== undefined) counter.name = name;
+    await counter.save();
+
+    emitCounterUpdate(req, counter);
+
+    res.status(200).json({
+      status: "success",
+      message: "Counter updated successfully",
+      data: counter,
+    });
+  } catch (err) {
+    console.error("Update counter error:", err);
+    res.status(500).json({
+      message: "Server error updating counter",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== DELETE COUNTER ===========================
+exports.deleteCounter = async (req, res) => {
+  try {
+    const counter = await loadCounter(req, res);
+    if (!counter) return;
+
+    if (counter.currentStaff) {
+      return res.status(400).json({
+        message: "Cannot delete a counter while staff is signed in",
+      });
+    }
+
+    await Counter.findByIdAndDelete(counter._id);
+
+    res.status(200).json({
+      status: "success",
+      message: "Counter deleted successfully",
+    });
+  } catch (err) {
+    console.error("Delete counter error:", err);
+    res.status(500).json({
+      message: "Server error deleting counter",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== SIGN IN TO COUNTER ===========================
+exports.signIn = async (req, res) => {
+  try {
+    const counter = await loadCounter(req, res);
+    if (!counter) return;
+
+    // Atomically claim the counter unless someone else holds it
+    const updated = await Counter.findOneAndUpdate(
+      {
+        _id: counter._id,
+        $or: [{ currentStaff: null }, { currentStaff: req.user._id }],
+      },
+      {
+        status: "open",
+        currentStaff: req.user._id,
+        signedInAt: new Date(),
+      },
+      { new: true },
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        message: "Counter is already occupied by another staff member",
+      });
+    }
+
+    // A staff member works one counter at a time
+    const previous = await Counter.find({
+      _id: { $ne: updated._id },
+      currentStaff: req.user._id,
+    });
+    for (const other of previous) {
+      other.status = "closed";
+      other.currentStaff = null;
+      other.signedInAt = null;
+      await other.save();
+      emitCounterUpdate(req, other);
+    }
+
+    emitCounterUpdate(req, updated);
+    await refreshETAs(req, updated.businessId);
+
+    res.status(200).json({
+      status: "success",
+      message: `Signed in to Counter ${updated.number}`,
+      data: updated,
+    });
+  } catch (err) {
+    console.error("Counter sign-in error:", err);
+    res.status(500).json({
+      message: "Server error signing in to counter",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== SIGN OUT OF COUNTER ===========================
+exports.signOut = async (req, res) => {
+  try {
+    const counter = await loadCounter(req, res);
+    if (!counter) return;
+
+    // Only the signed-in staff (or the business itself / admin) can sign out
+    const isCurrentStaff =
+      counter.currentStaff?.toString() === req.user._id.toString();
+    if (
+      counter.currentStaff &&
+      !isCurrentStaff &&
+      !["business", "owner", "admin"].includes(req.user.role)
+    ) {
+      return res.status(403).json({
+        message: "Another staff member is signed in to this counter",
+      });
+    }
+
+    counter.status = "closed";
+    counter.currentStaff = null;
+    counter.signedInAt = null;
+    await counter.save();
+
+    emitCounterUpdate(req, counter);
+    await refreshETAs(req, counter.businessId);
+
+    res.status(200).json({
+      status: "success",
+      message: `Signed out of Counter ${counter.number}`,
+      data: counter,
+    });
+  } catch (err) {
+    console.error("Counter sign-out error:", err);
+    res.status(500).json({
+      message: "Server error signing out of counter",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,31 @@
+const displayBoard = require("../utils/displayBoard");
+
+// =========================== GET DISPLAY SNAPSHOT ===========================
+// Public, anonymized board data for waiting-room screens
+// GET /display/:businessId?locale=ar
+exports.getDisplaySnapshot = async (req, res) => {
+  try {
+    const snapshot = await displayBoard.buildSnapshot(req.params.businessId);
+    const locale = displayBoard.pickLocale(req.query.locale, {
+      locale: snapshot.defaultLocale,
+    });
+
+    // Screens that poll instead of using the socket can still announce the
+    // latest call
+    const [lastCall] = snapshot.recentlyCalled;
+    const lastAnnouncement = lastCall
+      ? displayBoard.announcementText(lastCall.displayNumber, lastCall.counter, locale)
+      : null;
+
+    return res.json({
+      status: "success",
+      data: { ...snapshot, locale, lastAnnouncement },
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("getDisplaySnapshot error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
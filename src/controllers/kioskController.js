@@ -0,0 +1,268 @@
+const crypto = require("crypto");
+const Kiosk = require("../models/kioskSchema");
+const Business = require("../models/businessSchema");
+const Ticket = require("../models/ticketSchema");
+const ticketIssuer = require("../utils/ticketIssuer");
+const queueRouting = require("../utils/queueRouting");
+const ticketSlip = require("../utils/ticketSlip");
+const { IntakeRejection } = require("../utils/intakeRules");
+const { hashToken } = require("../utils/token");
+
+// Claim codes avoid look-alike characters (0/O, 1/I/L) so they can be typed
+// from a printed slip
+const CLAIM_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CLAIM_CODE_LENGTH = 8;
+
+const generateKioskKey = () => `kiosk_${crypto.randomBytes(24).toString("hex")}`;
+
+const generateClaimCode = () =>
+  Array.from(
+    { length: CLAIM_CODE_LENGTH },
+    () => CLAIM_CODE_ALPHABET[crypto.randomInt(CLAIM_CODE_ALPHABET.length)],
+  ).join("");
+
+// Load a kiosk of the business in the URL
+const loadKiosk = async (req, res) => {
+  const kiosk = await Kiosk.findOne({
+    _id: req.params.kioskId,
+    businessId: req.params.businessId,
+  });
+  if (!kiosk) {
+    res.status(404).json({ message: "Kiosk not found" });
+    return null;
+  }
+  return kiosk;
+};
+
+// Kiosk fields safe to return (never the key hash)
+const kioskView = (kiosk) => ({
+  _id: kiosk._id,
+  businessId: kiosk.businessId,
+  name: kiosk.name,
+  keyPrefix: kiosk.keyPrefix,
+  status: kiosk.status,
+  defaultQueueId: kiosk.defaultQueueId,
+  lastSeenAt: kiosk.lastSeenAt,
+  createdAt: kiosk.createdAt,
+});
+
+// =========================== REGISTER KIOSK ===========================
+exports.registerKiosk = async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { name, defaultQueueId } = req.body;
+
+    if (!name) return res.status(400).json({ message: "name is required" });
+
+    const business = await Business.findById(businessId).select("_id");
+    if (!business) return res.status(404).json({ message: "Business not found" });
+
+    const key = generateKioskKey();
+    const kiosk = await Kiosk.create({
+      businessId,
+      name,
+      defaultQueueId,
+      keyHash: hashToken(key),
+      keyPrefix: key.slice(0, 12),
+      createdBy: req.user._id,
+    });
+
+    // The key is only shown once; only its hash is stored
+    return res.status(201).json({
+      status: "success",
+      data: { kiosk: kioskView(kiosk), key },
+    });
+  } catch (err) {
+    console.error("registerKiosk error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== GET BUSINESS KIOSKS ===========================
+exports.getBusinessKiosks = async (req, res) => {
+  try {
+    const kiosks = await Kiosk.find({ businessId: req.params.businessId }).sort({
+      createdAt: -1,
+    });
+
+    return res.json({
+      status: "success",
+      results: kiosks.length,
+      data: kiosks.map(kioskView),
+    });
+  } catch (err) {
+    console.error("getBusinessKiosks error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== ROTATE KIOSK KEY ===========================
+exports.rotateKioskKey = async (req, res) => {
+  try {
+    const kiosk = await loadKiosk(req, res);
+    if (!kiosk) return;
+
+    const key = generateKioskKey();
+    kiosk.keyHash = hashToken(key);
+    kiosk.keyPrefix = key.slice(0, 12);
+    kiosk.status = "active";
+    await kiosk.save();
+
+    return res.json({
+      status: "success",
+      data: { kiosk: kioskView(kiosk), key },
+    });
+  } catch (err) {
+    console.error("rotateKioskKey error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== REVOKE KIOSK ===========================
+exports.revokeKiosk = async (req, res) => {
+  try {
+    const kiosk = await loadKiosk(req, res);
+    if (!kiosk) return;
+
+    kiosk.status = "revoked";
+    await kiosk.save();
+
+    return res.json({
+      status: "success",
+      message: "Kiosk revoked",
+      data: kioskView(kiosk),
+    });
+  } catch (err) {
+    console.error("revokeKiosk error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== KIOSK: GET SETUP ===========================
+// Business, services and today's open queues to build the kiosk screen
+exports.getKioskInfo = async (req, res) => {
+  try {
+    const business = await Business.findById(req.kiosk.businessId).select(
+      "name service status",
+    );
+    if (!business) return res.status(404).json({ message: "Business not found" });
+
+    const queues = await queueRouting.findTodayQueues(business._id, {
+      status: "active",
+    });
+
+    return res.json({
+      status: "success",
+      data: {
+        kiosk: kioskView(req.kiosk),
+        business: {
+          _id: business._id,
+          name: business.name,
+          status: business.status,
+          services: business.service,
+        },
+        queues: queues.map((q) => ({
+          _id: q._id,
+          name: q.name,
+          serviceIds: q.serviceIds,
+          currentCount: q.currentCount,
+          acceptingTickets: q.acceptingTickets !== false,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error("getKioskInfo error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== KIOSK: ISSUE TICKET ===========================
+exports.issueKioskTicket = async (req, res) => {
+  try {
+    const { kiosk } = req;
+    const { serviceId, type, partySize, memberNames, guestName, guestPhone } = req.body;
+    const queueId = req.body.queueId || (serviceId ? null : kiosk.defaultQueueId);
+
+    const business = await Business.findById(kiosk.businessId);
+    if (!business) return res.status(404).json({ message: "Business not found" });
+
+    const claimCode = generateClaimCode();
+    const { ticket, queue, eta } = await ticketIssuer.issueTicket(business, {
+      queueId,
+      serviceId,
+      type,
+      partySize,
+      memberNames,
+      fields: {
+        source: "kiosk",
+        kioskId: kiosk._id,
+        guestName: guestName || undefined,
+        guestPhone: guestPhone || undefined,
+        claimCode,
+      },
+      socketIO: req.app.get("socketIO"),
+    });
+
+    const claimUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/tickets/claim?code=${claimCode}`;
+
+    // Everything the kiosk needs to print the slip; qrPayload is encoded
+    // as a QR code so the customer can claim the ticket from their phone
+    return res.status(201).json({
+      status: "success",
+      data: {
+        ticket,
+        slip: {
+          businessName: business.name,
+          queueName: queue.name,
+          serviceName: serviceId ? business.service.id(serviceId)?.name : null,
+          displayNumber: ticket.displayNumber,
+          ticketNumber: ticket.ticketNumber,
+          partySize: ticket.partySize,
+          peopleAhead: Math.max(queue.currentCount - ticket.partySize, 0),
+          estimatedMinutes: eta.estimatedMinutes,
+          expectedTime: eta.expectedTime,
+          issuedAt: ticket.createdAt,
+          claimCode,
+          qrPayload: claimUrl,
+        },
+      },
+    });
+  } catch (err) {
+    if (err instanceof IntakeRejection)
+      return res.status(err.statusCode).json(err.toResponse());
+    console.error("issueKioskTicket error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// =========================== KIOSK: PRINT SLIP ===========================
+// GET /kiosks/tickets/:id/slip?format=pdf|escpos&locale=ar
+exports.getKioskTicketSlip = async (req, res) => {
+  try {
+    const ticket = await Ticket.findOne({
+      _id: req.params.id,
+      businessId: req.kiosk.businessId,
+    });
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const business = await Business.findById(ticket.businessId).select(
+      "name service locale",
+    );
+    const slip = await ticketSlip.renderSlip(ticket, {
+      format: req.query.format,
+      locale: ticketSlip.resolveSlipLocale({ requested: req.query.locale, business }),
+      business,
+    });
+
+    res.set("Content-Type", slip.contentType);
+    res.set("Content-Disposition", `inline; filename="${slip.filename}"`);
+    res.set("Content-Language", slip.locale);
+    // Asked for a language this format cannot print (see ticketSlip)
+    if (slip.localeFallback) res.set("X-Slip-Locale-Fallback", slip.localeFallback);
+    return res.send(slip.body);
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error("getKioskTicketSlip error:", err);
+    return res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
@@ -2,6 +2,8 @@ const Payment = require("../models/paymentSchema");
 const Ticket = require("../models/ticketSchema");
 const Business = require("../models/businessSchema");
 const Queue = require("../models/queueSchema");
+const intakeRules = require("../utils/intakeRules");
+const ticketIssuer = require("../utils/ticketIssuer");
 const stripe = require("stripe")(
   process.env.STRIPE_SECRET_KEY || "sk_test_dummy_key"
 );
@@ -31,7 +33,7 @@ exports.createPayment = async (req, res) => {
     }
 
     // Verify user owns the ticket
-    if (ticket.userId.toString() !== req.user.id) {
+    if (ticket.userId?.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         message: "Not authorized",
@@ -109,7 +111,7 @@ exports.createPayment = async (req, res) => {
 // -------------------------
 exports.checkoutCardAndCreateTicket = async (req, res) => {
   try {
-    const { businessId, queueId, amount, paymentMethodId, type, priority } =
+    const { businessId, queueId, amount, paymentMethodId, type, partySize } =
       req.body;
 
     if (!businessId || !queueId || !amount || !paymentMethodId) {
@@ -125,10 +127,21 @@ exports.checkoutCardAndCreateTicket = async (req, res) => {
       return res
         .status(404)
         .json({ success: false, message: "Business not found" });
-    if (business.status !== "active")
+
+    // Same intake rules as a regular ticket, checked before charging the card
+    let priority;
+    try {
+      priority = intakeRules.checkPriority(req.user, businessId, req.body.priority, {
+        paid: true,
+      });
+      intakeRules.checkPartySize(business, partySize);
+      await intakeRules.assertCanIssue(business, { userId: req.user.id });
+    } catch (rejection) {
+      if (!(rejection instanceof intakeRules.IntakeRejection)) throw rejection;
       return res
-        .status(400)
-        .json({ success: false, message: "Business is closed" });
+        .status(rejection.statusCode)
+        .json({ success: false, ...rejection.toResponse() });
+    }
 
     const queue = await Queue.findById(queueId);
     if (!queue)
@@ -140,10 +153,12 @@ exports.checkoutCardAndCreateTicket = async (req, res) => {
         success: false,
         message: "Queue does not belong to this business",
       });
-    if (queue.status !== "active")
-      return res
-        .status(400)
-        .json({ success: false, message: "Queue not accepting tickets" });
+    if (queue.status !== "active" || queue.acceptingTickets === false)
+      return res.status(400).json({
+        success: false,
+        code: "QUEUE_CLOSED",
+        message: "Queue not accepting tickets",
+      });
 
     // Create and confirm Stripe Payment Intent
     let stripePaymentIntent;
@@ -160,7 +175,7 @@ exports.checkoutCardAndCreateTicket = async (req, res) => {
           businessId,
           queueId,
           type: type || "examination",
-          priority: priority || "normal",
+          priority,
         },
       });
     } catch (stripeError) {
@@ -172,19 +187,21 @@ exports.checkoutCardAndCreateTicket = async (req, res) => {
 
     const transactionId = stripePaymentIntent.id;
 
-    // Attempt to allocate a ticket atomically
-    const updatedQueue = await Queue.findOneAndUpdate(
-      {
-        _id: queueId,
-        currentCount: { $lt: queue.maxCapacity },
-        status: "active",
-      },
-      { $inc: { currentCount: 1, currentTicketNumber: 1 } },
-      { new: true }
-    );
-
-    if (!updatedQueue) {
-      // Refund since no capacity
+    // Issue the ticket like any other (capacity, numbering, ETA, sockets);
+    // refund the card when it cannot be issued after all
+    let ticket;
+    try {
+      ({ ticket } = await ticketIssuer.issueTicket(business, {
+        queueId,
+        type,
+        priority,
+        partySize,
+        userId: req.user.id,
+        limitUser: true,
+        fields: { paymentStatus: "paid" },
+        socketIO: req.app.get("socketIO"),
+      }));
+    } catch (issueError) {
       try {
         await stripe.refunds.create({
           payment_intent: stripePaymentIntent.id,
@@ -194,28 +211,14 @@ exports.checkoutCardAndCreateTicket = async (req, res) => {
         // log but continue
         console.error("Stripe refund failed:", refundErr.message);
       }
-      return res
-        .status(400)
-        .json({ success: false, message: "Queue is full. Refunded payment." });
+      if (!(issueError instanceof intakeRules.IntakeRejection)) throw issueError;
+      return res.status(issueError.statusCode).json({
+        success: false,
+        ...issueError.toResponse(),
+        message: `${issueError.message}. Refunded payment.`,
+      });
     }
 
-    // Create ticket
-    const ticket = await Ticket.create({
-      businessId,
-      userId: req.user.id,
-      queueId,
-      ticketNumber: updatedQueue.currentTicketNumber,
-      type: type || "examination",
-      status: "waiting",
-      priority: priority || "normal",
-      paymentStatus: "paid",
-    });
-
-    // Link user to business clients list
-    await Business.findByIdAndUpdate(businessId, {
-      $addToSet: { ourClients: req.user.id },
-    });
-
     // Create payment record linked to ticket
     const payment = await Payment.create({
       userId: req.user.id,
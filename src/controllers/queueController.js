@@ -2,6 +2,12 @@ const mongoose = require("mongoose");
 const Queue = require("../models/queueSchema");
 const Business = require("../models/businessSchema");
 const Ticket = require("../models/ticketSchema");
+const { findTodayQueues } = require("../utils/queueRouting");
+const { actor } = require("../utils/ticketStateMachine");
+const queueLifecycle = require("../utils/queueLifecycle");
+const queueReorder = require("../utils/queueReorder");
+const etaCalculator = require("../utils/etaCalculator");
+const { startOfDay } = require("../utils/businessHours");
 
 // =========================== GET TODAY'S QUEUE ===========================
 exports.getTodayQueue = async (req, res) => {
@@ -38,10 +44,33 @@ exports.getTodayQueue = async (req, res) => {
   }
 };
 
+// =========================== GET TODAY'S QUEUES ===========================
+exports.getTodayQueues = async (req, res) => {
+  try {
+    const queues = await findTodayQueues(req.params.businessId);
+
+    res.status(200).json({
+      status: "success",
+      results: queues.length,
+      data: queues,
+    });
+  } catch (err) {
+    console.error("Get today queues error:", err);
+    res.status(500).json({
+      message: "Server error getting queues",
+      error: err.message,
+    });
+  }
+};
+
+// Service IDs must belong to the business
+const invalidServiceIds = (business, serviceIds = []) =>
+  serviceIds.filter((id) => !business.service.id(id));
+
 // =========================== CREATE QUEUE ===========================
 exports.createQueue = async (req, res) => {
   try {
-    const { maxCapacity, date } = req.body;
+    const { maxCapacity, name, serviceIds, prefix, etaModel } = req.body;
     const businessId = req.params.businessId;
 
     // Validate business exists
@@ -50,32 +79,46 @@ exports.createQueue = async (req, res) => {
       return res.status(404).json({ message: "Business not found" });
     }
 
-    // Check if queue already exists
-    const existingQueue = await Queue.findOne({
-      businessId,
-      date: new Date(date),
-    });
+    const unknownServices = invalidServiceIds(business, serviceIds);
+    if (unknownServices.length > 0) {
+      return res.status(400).json({
+        message: "Some services are not offered by this business",
+        serviceIds: unknownServices,
+      });
+    }
+
+    // Queue names are unique per business per day
+    const queueName = name || "General";
+    const existingQueue = await findTodayQueues(businessId, {
+      name: queueName,
+      status: { $ne: "closed" },
+    }).findOne();
 
     if (existingQueue) {
       return res.status(400).json({
-        message: "Queue already exists for this date",
+        message: `Queue "${queueName}" already exists for today`,
       });
     }
 
     // Create queue
     const queue = await Queue.create({
       businessId,
+      name: queueName,
+      date: startOfDay(),
+      serviceIds: serviceIds || [],
+      prefix: prefix || "",
+      etaModel,
       maxCapacity: maxCapacity || 20,
       status: "active",
       currentCount: 0,
       currentTicketNumber: 0,
-      date: new Date(date),
     });
 
     const socketIO = req.app.get("socketIO");
     if (socketIO) {
       socketIO.emitQueueUpdate(businessId, {
         queueId: queue._id.toString(),
+        name: queue.name,
         status: queue.status,
         currentCount: queue.currentCount,
         currentTicketNumber: queue.currentTicketNumber,
@@ -95,12 +138,65 @@ exports.createQueue = async (req, res) => {
   }
 };
 
+// =========================== REORDER AUDIT TRAIL ===========================
+exports.getReorderHistory = async (req, res) => {
+  try {
+    const history = await queueReorder.getReorderHistory(req.params.id);
+
+    res.status(200).json({
+      status: "success",
+      results: history.length,
+      data: history,
+    });
+  } catch (err) {
+    console.error("Get reorder history error:", err);
+    res.status(500).json({
+      message: "Server error fetching reorder history",
+      error: err.message,
+    });
+  }
+};
+
+// Longest pause staff can announce
+const MAX_PAUSE_MINUTES = 8 * 60;
+
 // =========================== PAUSE QUEUE ===========================
 exports.pauseQueue = async (req, res) => {
   try {
+    // Expected resume time, from { minutes } or { resumesAt }; without one
+    // ETAs assume etaPolicy.defaultPauseMinutes
+    const { minutes, resumesAt, reason } = req.body || {};
+    const now = new Date();
+    let resumeAt = null;
+    if (minutes !== undefined) {
+      const value = Number(minutes);
+      if (!Number.isFinite(value) || value < 1 || value > MAX_PAUSE_MINUTES) {
+        return res.status(400).json({
+          message: `minutes must be between 1 and ${MAX_PAUSE_MINUTES}`,
+        });
+      }
+      resumeAt = new Date(now.getTime() + value * 60 * 1000);
+    } else if (resumesAt !== undefined) {
+      resumeAt = new Date(resumesAt);
+      if (
+        Number.isNaN(resumeAt.getTime()) ||
+        resumeAt <= now ||
+        resumeAt - now > MAX_PAUSE_MINUTES * 60 * 1000
+      ) {
+        return res.status(400).json({
+          message: "resumesAt must be a future time within the next 8 hours",
+        });
+      }
+    }
+
     const queue = await Queue.findByIdAndUpdate(
       req.params.id,
-      { status: "paused" },
+      {
+        status: "paused",
+        pausedAt: now,
+        resumesAt: resumeAt,
+        pauseReason: reason || null,
+      },
       { new: true, runValidators: true },
     );
 
@@ -113,8 +209,11 @@ exports.pauseQueue = async (req, res) => {
         status: queue.status,
         currentCount: queue.currentCount,
         currentTicketNumber: queue.currentTicketNumber,
+        pausedAt: queue.pausedAt,
+        resumesAt: queue.resumesAt,
       });
     }
+    etaCalculator.updateQueueETAs(queue._id, { socketIO, event: "pause" });
 
     res.status(200).json({
       status: "success",
@@ -135,7 +234,7 @@ exports.resumeQueue = async (req, res) => {
   try {
     const queue = await Queue.findByIdAndUpdate(
       req.params.id,
-      { status: "active" },
+      { status: "active", pausedAt: null, resumesAt: null, pauseReason: null },
       { new: true, runValidators: true },
     );
 
@@ -150,6 +249,7 @@ exports.resumeQueue = async (req, res) => {
         currentTicketNumber: queue.currentTicketNumber,
       });
     }
+    etaCalculator.updateQueueETAs(queue._id, { socketIO, event: "resume" });
 
     res.status(200).json({
       status: "success",
@@ -165,77 +265,36 @@ exports.resumeQueue = async (req, res) => {
   }
 };
 
-// =========================== CLOSE QUEUE ===========================
 // =========================== CLOSE QUEUE ===========================
 exports.closeQueue = async (req, res) => {
   try {
-    const queueId = req.params.id;
-    
-    // Find all waiting tickets for this queue
-    const waitingTickets = await Ticket.find({
-      queueId,
-      status: "waiting"
-    });
-
-    // Update all waiting tickets to cancelled
-    await Ticket.updateMany(
-      { queueId, status: "waiting" },
-      { 
-        status: "cancelled", 
-        cancelReason: "Queue Closed",
-        cancelledBy: req.user._id // Assuming admin/owner is closing
-      }
-    );
-
-    // Reset queue data when closing
-    const queue = await Queue.findByIdAndUpdate(
-      queueId,
-      { 
-        status: "closed",
-        currentCount: 0,
-        currentTicketNumber: 0
-      },
-      { new: true, runValidators: true },
-    );
+    // What happens to tickets still in line (default: cancel them)
+    const leftover = req.body?.leftover || "cancel";
+    if (!queueLifecycle.LEFTOVER_POLICIES.includes(leftover)) {
+      return res.status(400).json({
+        message: `leftover must be one of: ${queueLifecycle.LEFTOVER_POLICIES.join(", ")}`,
+      });
+    }
 
-    if (!queue) return res.status(404).json({ message: "Queue not found" });
+    const existing = await Queue.findById(req.params.id);
+    if (!existing) return res.status(404).json({ message: "Queue not found" });
 
-    const socketIO = req.app.get("socketIO");
-    if (socketIO) {
-      // Emit queue update
-      socketIO.emitQueueUpdate(queue.businessId.toString(), {
-        queueId: queue._id.toString(),
-        status: queue.status,
-        currentCount: 0,
-        currentTicketNumber: 0,
+    const { queue, cancelled, carriedOver, converted } =
+      await queueLifecycle.closeQueue(existing, {
+        leftover,
+        actor: actor(req.user, "Queue Closed"), // Assuming admin/owner is closing
+        socketIO: req.app.get("socketIO"),
       });
 
-      // Emit cancellation events for all waiting tickets
-      waitingTickets.forEach(ticket => {
-        // We can't efficiently populate all in a loop, but we can emit basic info
-        // Ideally we'd do a bulk populate or just emit the ID status change
-        // For now, let's emit the critical status update
-        const ticketUpdate = {
-          _id: ticket._id,
-          businessId: ticket.businessId,
-          queueId: ticket.queueId,
-          userId: ticket.userId,
-          status: "cancelled",
-          cancelReason: "Queue Closed"
-        };
-        
-        socketIO.emitTicketUpdated(ticket.businessId.toString(), ticketUpdate);
-        socketIO.emitTicketCancelled(ticket.businessId.toString(), ticketUpdate);
-        
-        if (ticket.userId) {
-          socketIO.emitToUser(ticket.userId.toString(), "ticketUpdated", { ticket: ticketUpdate });
-        }
-      });
-    }
+    const handled = {
+      cancel: `${cancelled} waiting tickets cancelled`,
+      "carry-over": `${carriedOver} waiting tickets carried over to the next queue`,
+      appointment: `${converted} waiting tickets converted to appointments, ${cancelled} cancelled`,
+    };
 
     res.status(200).json({
       status: "success",
-      message: `Queue closed. ${waitingTickets.length} waiting tickets cancelled.`,
+      message: `Queue closed. ${handled[leftover]}.`,
       data: queue,
     });
   } catch (err) {
@@ -250,11 +309,29 @@ exports.closeQueue = async (req, res) => {
 // =========================== UPDATE QUEUE ===========================
 exports.updateQueue = async (req, res) => {
   try {
-    const { maxCapacity } = req.body;
-    
+    const allowedFields = ["maxCapacity", "name", "serviceIds", "prefix", "etaModel"];
+    const updateData = {};
+    Object.keys(req.body).forEach((key) => {
+      if (allowedFields.includes(key)) updateData[key] = req.body[key];
+    });
+
+    if (updateData.serviceIds) {
+      const existing = await Queue.findById(req.params.id);
+      if (!existing) return res.status(404).json({ message: "Queue not found" });
+
+      const business = await Business.findById(existing.businessId);
+      const unknownServices = invalidServiceIds(business, updateData.serviceIds);
+      if (unknownServices.length > 0) {
+        return res.status(400).json({
+          message: "Some services are not offered by this business",
+          serviceIds: unknownServices,
+        });
+      }
+    }
+
     const queue = await Queue.findByIdAndUpdate(
       req.params.id,
-      { maxCapacity },
+      updateData,
       { new: true, runValidators: true }
     );
 
@@ -267,7 +344,9 @@ exports.updateQueue = async (req, res) => {
         status: queue.status,
         currentCount: queue.currentCount,
         currentTicketNumber: queue.currentTicketNumber,
-        maxCapacity: queue.maxCapacity
+        maxCapacity: queue.maxCapacity,
+        name: queue.name,
+        prefix: queue.prefix,
       });
     }
 
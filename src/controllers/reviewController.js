@@ -27,7 +27,7 @@ router.post("/", auth, async (req, res) => {
     const ticket = await Ticket.findById(ticketId);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
-    if (ticket.userId.toString() !== req.user.id) {
+    if (ticket.userId?.toString() !== req.user.id) {
       return res
         .status(403)
         .json({ message: "Not authorized to review this ticket" });
@@ -3,6 +3,7 @@ const {
   generateEmbedding,
   findSimilar,
 } = require("../utils/embeddingService");
+const businessHours = require("../utils/businessHours");
 
 // -------------------------
 // GET /api/v1/search
@@ -336,26 +337,32 @@ exports.filterBusinesses = async (req, res) => {
     // Category filter
     if (category) query.category = new RegExp(category, "i");
 
-    // Open now filter
+    let businesses;
+    let total;
+
     if (openNow === "true") {
+      // Open now: weekly hours, holidays and special opening hours are
+      // resolved per business, so filter and paginate after the query
       const now = new Date();
-      const dayOfWeek = now.toLocaleDateString("en-US", { weekday: "lowercase" });
-      const currentTime = now.toTimeString().slice(0, 5);
-
-      query[`workingHours.${dayOfWeek}.isOpen`] = true;
-      query[`workingHours.${dayOfWeek}.from`] = { $lte: currentTime };
-      query[`workingHours.${dayOfWeek}.to`] = { $gte: currentTime };
+      const open = (
+        await Business.find(query)
+          .sort({ rating: -1, name: 1 })
+          .select("-__v")
+      ).filter((business) => businessHours.isOpenAt(business, now));
+
+      total = open.length;
+      businesses = open.slice(skip, skip + Number(limit));
+    } else {
+      [businesses, total] = await Promise.all([
+        Business.find(query)
+          .skip(skip)
+          .limit(Number(limit))
+          .sort({ rating: -1, name: 1 })
+          .select("-__v"),
+        Business.countDocuments(query),
+      ]);
     }
 
-    const [businesses, total] = await Promise.all([
-      Business.find(query)
-        .skip(skip)
-        .limit(Number(limit))
-        .sort({ rating: -1, name: 1 })
-        .select("-__v"),
-      Business.countDocuments(query),
-    ]);
-
     res.status(200).json({
       success: true,
       data: {
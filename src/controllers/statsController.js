@@ -11,6 +11,8 @@ const Review = require("../models/reviewSchema");
 const Business = require("../models/businessSchema");
 const User = require("../models/userSchema");
 const mongoose = require("mongoose");
+const { getDispatchOrder } = require("../utils/dispatchPolicy");
+const etaAccuracy = require("../utils/etaAccuracy");
 
 // -------------------------
 // GET /api/v1/stats/business/:id
@@ -61,6 +63,8 @@ exports.getBusinessStats = async (req, res) => {
       queueStats,
       ticketTrend,
       peakHours,
+      counterThroughput,
+      arrivalSplit,
     ] = await Promise.all([
       // Total tickets
       Ticket.countDocuments({ businessId, ...dateFilter }),
@@ -191,8 +195,85 @@ exports.getBusinessStats = async (req, res) => {
         { $sort: { count: -1 } },
         { $limit: 5 },
       ]),
+
+      // Throughput per counter (served tickets and average service time)
+      Ticket.aggregate([
+        {
+          $match: {
+            businessId: new mongoose.Types.ObjectId(businessId),
+            status: "done",
+            counterId: { $exists: true, $ne: null },
+            ...dateFilter,
+          },
+        },
+        {
+          $group: {
+            _id: "$counterId",
+            served: { $sum: 1 },
+            avgServiceMs: {
+              $avg: {
+                $cond: [
+                  { $and: ["$startedAt", "$completedAt"] },
+                  { $subtract: ["$completedAt", "$startedAt"] },
+                  null,
+                ],
+              },
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: "counters",
+            localField: "_id",
+            foreignField: "_id",
+            as: "counter",
+          },
+        },
+        { $unwind: { path: "$counter", preserveNullAndEmptyArrays: true } },
+        { $sort: { "counter.number": 1 } },
+      ]),
+
+      // Remote vs checked-in tickets, by arrival method and outcome
+      Ticket.aggregate([
+        {
+          $match: {
+            businessId: new mongoose.Types.ObjectId(businessId),
+            ...dateFilter,
+          },
+        },
+        {
+          $group: {
+            _id: {
+              method: { $ifNull: ["$arrivalMethod", "remote"] },
+              status: "$status",
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
     ]);
 
+    // Format arrival split
+    const arrival = {
+      arrived: 0,
+      remote: 0,
+      byMethod: { qr: 0, geofence: 0, staff: 0 },
+      missed: { arrived: 0, remote: 0 },
+    };
+    arrivalSplit.forEach(({ _id, count }) => {
+      const side = _id.method === "remote" ? "remote" : "arrived";
+      arrival[side] += count;
+      if (side === "arrived") {
+        arrival.byMethod[_id.method] = (arrival.byMethod[_id.method] || 0) + count;
+      }
+      if (_id.status === "missed") arrival.missed[side] += count;
+    });
+    const rate = (part, whole) => (whole > 0 ? (part / whole * 100).toFixed(2) : 0);
+    arrival.noShowRate = {
+      arrived: rate(arrival.missed.arrived, arrival.arrived),
+      remote: rate(arrival.missed.remote, arrival.remote),
+    };
+
     // Format status breakdown
     const statusBreakdown = {};
     ticketsByStatus.forEach((s) => {
@@ -240,6 +321,16 @@ exports.getBusinessStats = async (req, res) => {
           averageCapacity: queueStats[0]?.avgCapacity || 0,
           averageCurrentCount: queueStats[0]?.avgCurrentCount || 0,
         },
+        arrival,
+        counters: counterThroughput.map((c) => ({
+          counterId: c._id,
+          number: c.counter?.number ?? null,
+          name: c.counter?.name ?? null,
+          served: c.served,
+          averageServiceMinutes: c.avgServiceMs
+            ? Math.round(c.avgServiceMs / 60000)
+            : 0,
+        })),
         trends: {
           daily: ticketTrend,
           peakHours: peakHours.map((p) => ({
@@ -330,13 +421,17 @@ exports.getLiveQueueStats = async (req, res) => {
       });
     }
 
-    // Get current waiting tickets
-    const waitingTickets = await Ticket.find({
-      queueId,
-      status: "waiting",
-    })
-      .sort({ ticketNumber: 1 })
-      .select("ticketNumber userId estimatedTime createdAt");
+    // Get current waiting tickets in dispatch order
+    const waitingTickets = (await getDispatchOrder(queueId)).map((t) => ({
+      _id: t._id,
+      ticketNumber: t.ticketNumber,
+      displayNumber: t.displayNumber,
+      priority: t.priority,
+      userId: t.userId,
+      estimatedTime: t.estimatedTime,
+      arrivedAt: t.arrivedAt || null,
+      createdAt: t.createdAt,
+    }));
 
     // Calculate average wait time from recent completed tickets
     const recentCompleted = await Ticket.aggregate([
@@ -362,6 +457,8 @@ exports.getLiveQueueStats = async (req, res) => {
       success: true,
       data: {
         queueId,
+        name: queue.name,
+        prefix: queue.prefix,
         status: queue.status,
         currentTicketNumber: queue.currentTicketNumber,
         currentCount: queue.currentCount,
@@ -381,3 +478,37 @@ exports.getLiveQueueStats = async (req, res) => {
     });
   }
 };
+
+// -------------------------
+// GET /api/v1/stats/business/:businessId/eta-accuracy
+// How far the given ETAs were from the actual call times
+// -------------------------
+exports.getEtaAccuracy = async (req, res) => {
+  try {
+    const { from, to, queueId, basis } = req.query;
+    const report = await etaAccuracy.accuracyReport(req.params.businessId, {
+      from,
+      to,
+      queueId,
+      basis,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+    console.error("Get ETA accuracy error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving ETA accuracy",
+    });
+  }
+};
@@ -2,7 +2,26 @@ const mongoose = require("mongoose");
 const Ticket = require("../models/ticketSchema");
 const Queue = require("../models/queueSchema");
 const Business = require("../models/businessSchema");
+const Counter = require("../models/counterSchema");
 const etaCalculator = require("../utils/etaCalculator");
+const dispatchPolicy = require("../utils/dispatchPolicy");
+const { transferTicket } = require("../utils/ticketTransfer");
+const ticketHold = require("../utils/ticketHold");
+const intakeRules = require("../utils/intakeRules");
+const ticketIssuer = require("../utils/ticketIssuer");
+const arrivalCheckIn = require("../utils/arrivalCheckIn");
+const ticketSlip = require("../utils/ticketSlip");
+const groupTicket = require("../utils/groupTicket");
+const ticketPosition = require("../utils/ticketPosition");
+const proximityAlerts = require("../utils/proximityAlerts");
+const queueReorder = require("../utils/queueReorder");
+const waitlist = require("../utils/waitlist");
+const {
+  transition,
+  actor,
+  TicketTransitionError,
+} = require("../utils/ticketStateMachine");
+const { isBusinessMember } = require("../middlewares/authMiddleware");
 
 // small helper for pagination
 const parsePagination = (query) => {
@@ -12,119 +31,124 @@ const parsePagination = (query) => {
   return { page, limit, skip };
 };
 
+// Illegal/conflicting status moves -> 409, other known errors -> their status
+const sendKnownError = (res, err) => {
+  if (err instanceof TicketTransitionError) {
+    res.status(409).json(err.toResponse());
+    return true;
+  }
+  if (err.statusCode) {
+    res
+      .status(err.statusCode)
+      .json({ message: err.message, ...(err.code ? { code: err.code } : {}) });
+    return true;
+  }
+  return false;
+};
+
+// Answer a QUEUE_FULL rejection: waitlist the customer if they asked for
+// it, otherwise tell them whether they could
+const queueFull = async (req, res, rejection) => {
+  try {
+    const queue = await Queue.findById(rejection.details?.queueId);
+    const business = queue && (await Business.findById(queue.businessId));
+    const policy = waitlist.resolveWaitlistPolicy(business);
+    const canWaitlist = Boolean(queue && req.user && policy.enabled && policy.maxSize > 0);
+
+    if (!canWaitlist || !req.body.joinWaitlist) {
+      return res
+        .status(rejection.statusCode)
+        .json({ ...rejection.toResponse(), waitlistAvailable: canWaitlist });
+    }
+
+    const { entry, position } = await waitlist.joinWaitlist(
+      business,
+      queue,
+      {
+        userId: req.user._id,
+        serviceId: req.body.serviceId,
+        type: req.body.type,
+        priority: intakeRules.checkPriority(req.user, queue.businessId, req.body.priority),
+        partySize: req.body.partySize,
+        memberNames: req.body.memberNames,
+      },
+      req.app.get("socketIO"),
+    );
+
+    return res.status(202).json({
+      status: "waitlisted",
+      message:
+        entry.status === "offered"
+          ? "A place is available: accept the offer to get your ticket"
+          : "The queue is full: you are on the waitlist",
+      data: entry,
+      position,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("createTicket waitlist error:", err);
+    return res.status(500).json({
+      message: "Server error joining waitlist",
+      error: err.message,
+    });
+  }
+};
+
 // ===============================
 // CREATE TICKET
 // ===============================
 exports.createTicket = async (req, res) => {
   try {
-    const { businessId, queueId, type, priority } = req.body;
+    const { businessId, queueId, serviceId, type, priority, partySize, memberNames } =
+      req.body;
     const userId = req.user ? req.user.id : null;
 
     if (!businessId)
       return res.status(400).json({ message: "businessId is required" });
-    if (!queueId)
-      return res.status(400).json({ message: "queueId is required" });
+
+    // Optional "notify me when I'm close" alerts
+    const alerts = proximityAlerts.normalizeAlerts(req.body.alerts);
 
     // 1. Check business exists
     const business = await Business.findById(businessId);
     if (!business)
       return res.status(404).json({ message: "Business not found" });
 
-    // Business must be open/active
-    if (business.status !== "active") {
-      return res.status(400).json({ message: "Business is closed" });
-    }
+    // Fast-track is paid for (paymentController) or granted by staff
+    const ticketPriority = intakeRules.checkPriority(req.user, business._id, priority);
 
-    // 2. Check queue exists
-    const queue = await Queue.findById(queueId);
-    if (!queue) return res.status(404).json({ message: "Queue not found" });
-
-    // Check queue belongs to business
-    if (queue.businessId.toString() !== businessId)
-      return res
-        .status(400)
-        .json({ message: "Queue does not belong to this business" });
-
-    // Check queue state
-    if (queue.status !== "active")
-      return res.status(400).json({ message: "Queue not accepting tickets" });
-
-    if (queue.currentCount >= queue.maxCapacity)
-      return res.status(400).json({ message: "Queue is full" });
-
-    // 3. Atomically increment queue counters
-    const updatedQueue = await Queue.findOneAndUpdate(
-      {
-        _id: queueId,
-        currentCount: { $lt: queue.maxCapacity },
-        status: "active",
-      },
-      {
-        $inc: { currentCount: 1, currentTicketNumber: 1 },
-      },
-      { new: true },
-    );
-
-    if (!updatedQueue)
-      return res.status(400).json({
-        message: "Queue is no longer available for new tickets",
-      });
-
-    // Calculate ETA
-    const etaPrediction = await etaCalculator.calculateETA(
-      businessId,
+    // 2. Intake rules, queue resolution, slot reservation and notifications
+    // (staff issuing tickets for walk-ins are not limited per user)
+    const { ticket, eta } = await ticketIssuer.issueTicket(business, {
       queueId,
+      serviceId,
       type,
-    );
-
-    // Create ticket
-    const ticket = await Ticket.create({
-      businessId,
+      priority: ticketPriority,
+      partySize,
+      memberNames,
       userId,
-      queueId,
-      ticketNumber: updatedQueue.currentTicketNumber,
-      type: type || "examination",
-      status: "waiting",
-      priority: priority || "normal",
-      estimatedTime: etaPrediction.estimatedMinutes,
-      expectedServiceTime: etaPrediction.expectedTime,
-    });
-
-    // Link user to business clients list
-    if (userId) {
-      await Business.findByIdAndUpdate(businessId, {
-        $addToSet: { ourClients: userId },
-      });
-    }
+      limitUser: req.user?.role === "user",
+      fields: { alerts },
+      socketIO: req.app.get("socketIO"),
+    });
 
-    // Emit socket events - populate ticket before emitting
-    const socketIO = req.app.get("socketIO");
-    if (socketIO) {
-      // Populate ticket with user and queue data before emitting
-      const populatedTicket = await Ticket.findById(ticket._id)
-        .populate("userId")
-        .populate("queueId");
-      
-      // Ensure businessId is a string
-      const businessIdStr = businessId.toString();
-      
-      socketIO.emitTicketCreated(businessIdStr, populatedTicket);
-      socketIO.emitQueueUpdate(businessIdStr, {
-        queueId: queueId.toString(),
-        status: updatedQueue.status,
-        currentCount: updatedQueue.currentCount,
-        currentTicketNumber: updatedQueue.currentTicketNumber,
-      });
-      
-      console.log(`📤 Emitted ticketCreated and queueUpdated for business ${businessIdStr}`);
+    if (alerts.length > 0) {
+      proximityAlerts.evaluateQueue(ticket.queueId, req.app.get("socketIO"));
     }
 
     return res.status(201).json({
       status: "success",
       data: ticket,
-      eta: etaPrediction,
+      eta,
     });
   } catch (err) {
+    // Full queue: join its overflow waitlist when asked to
+    if (err instanceof intakeRules.IntakeRejection && err.code === "QUEUE_FULL") {
+      return queueFull(req, res, err);
+    }
+    if (err instanceof intakeRules.IntakeRejection)
+      return res.status(err.statusCode).json(err.toResponse());
+    if (sendKnownError(res, err)) return;
     console.error("createTicket error:", err);
     return res.status(500).json({
       message: "Server error creating ticket",
@@ -146,7 +170,7 @@ exports.getTicketById = async (req, res) => {
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
     // User cannot access others' tickets
-    if (req.user.role === "user" && ticket.userId.toString() !== req.user.id)
+    if (req.user.role === "user" && ticket.userId?.toString() !== req.user.id)
       return res.status(403).json({ message: "Access denied" });
 
     return res.json({ status: "success", data: ticket });
@@ -158,6 +182,49 @@ exports.getTicketById = async (req, res) => {
   }
 };
 
+// ===============================
+// LIVE TICKET STATUS (position, people ahead, fresh ETA)
+// ===============================
+exports.getTicketStatus = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const isOwner = ticket.userId?.toString() === req.user._id.toString();
+    if (!isOwner && !isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { userId, ...status } = await ticketPosition.getTicketStatus(ticket);
+    return res.json({ status: "success", data: status });
+  } catch (err) {
+    console.error("getTicketStatus error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// LIVE TICKET STATUS BY CLAIM CODE (public, kiosk slips)
+// ===============================
+exports.trackTicketByCode = async (req, res) => {
+  try {
+    const ticket = await Ticket.findOne({
+      claimCode: String(req.params.claimCode || "").trim().toUpperCase(),
+    });
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const { userId, ...status } = await ticketPosition.getTicketStatus(ticket);
+    return res.json({ status: "success", data: status });
+  } catch (err) {
+    console.error("trackTicketByCode error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
 // ===============================
 // GET ALL TICKETS
 // ===============================
@@ -243,13 +310,15 @@ exports.getMyTickets = async (req, res) => {
     const ticketsWithPosition = await Promise.all(
       tickets.map(async (ticket) => {
         if (ticket.status === "waiting" && ticket.queueId) {
-          // Count how many waiting tickets have a lower ticket number
-          const waitingTicketsBefore = await Ticket.countDocuments({
-            queueId: ticket.queueId,
-            status: "waiting",
-            ticketNumber: { $lt: ticket.ticketNumber },
-          });
-          
+          // Position follows the business dispatch policy, not just ticketNumber
+          const order = await dispatchPolicy.getDispatchOrder(
+            ticket.queueId._id || ticket.queueId,
+          );
+          const waitingTicketsBefore = Math.max(
+            order.findIndex((t) => t._id.equals(ticket._id)),
+            0,
+          );
+
           const ticketObj = ticket.toObject();
           ticketObj.position = waitingTicketsBefore + 1;
           ticketObj.peopleBefore = waitingTicketsBefore;
@@ -426,30 +495,27 @@ exports.getMyBusinessTickets = async (req, res) => {
 // ===============================
 exports.cancelTicket = async (req, res) => {
   try {
-    const { reason } = req.body;
+    const reason = req.body?.reason;
 
-    const ticket = await Ticket.findById(req.params.id);
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
-    if (req.user.role === "user" && ticket.userId.toString() !== req.user.id)
+    if (req.user.role === "user" && ticket.userId?.toString() !== req.user.id)
       return res.status(403).json({
         message: "You can only cancel your own tickets",
       });
 
-    if (["done", "cancelled", "missed"].includes(ticket.status))
-      return res.status(400).json({
-        message: `Cannot cancel a ${ticket.status} ticket`,
-      });
+    // On-hold tickets still hold their queue slot
+    const wasWaiting = ["waiting", "on-hold"].includes(ticket.status);
 
-    const wasWaiting = ticket.status === "waiting";
-
-    ticket.status = "cancelled";
-    ticket.cancelReason = reason || null;
-    await ticket.save();
+    ticket = await transition(ticket, "cancelled", {
+      ...actor(req.user, reason),
+      set: { cancelReason: reason || null, cancelledBy: req.user._id },
+    });
 
     if (wasWaiting) {
       const updatedQueue = await Queue.findByIdAndUpdate(ticket.queueId, {
-        $inc: { currentCount: -1 },
+        $inc: { currentCount: -groupTicket.seatsOf(ticket) },
       }, { new: true });
 
       // Emit socket events
@@ -470,6 +536,9 @@ exports.cancelTicket = async (req, res) => {
           });
         }
       }
+      etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "cancel" });
+      proximityAlerts.evaluateQueue(ticket.queueId, socketIO);
+      waitlist.promoteNext(ticket.queueId, socketIO);
     } else {
       // Emit socket event even if not waiting
       const socketIO = req.app.get("socketIO");
@@ -489,6 +558,7 @@ exports.cancelTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("cancelTicket error:", err);
     return res
       .status(500)
@@ -523,27 +593,41 @@ exports.callNextTicket = async (req, res) => {
        // restrictToOwnerOrAdmin middleware in route usually handles this
     }
 
-    // Find next waiting ticket
-    // Sort by priority (vip > priority > normal) and then ticketNumber
-    // We can map priority string to number for sort if needed, but for now let's assume FIFO by ticketNumber
-    // If you want priority implementation: .sort({ priority: -1, ticketNumber: 1 }) if priority was comparable
-    // adjusting sort to ticketNumber ascending
-    const nextTicket = await Ticket.findOne({
-      queueId: queueId,
-      status: "waiting"
-    }).sort({ ticketNumber: 1 });
+    // Counter the ticket is called to: explicit, or the one the staff is signed in to
+    const counterId = req.body?.counterId;
+    let counter = null;
+    if (counterId) {
+      counter = await Counter.findOne({
+        _id: counterId,
+        businessId: queue.businessId,
+      });
+      if (!counter) return res.status(404).json({ message: "Counter not found" });
+      if (counter.status !== "open") {
+        return res.status(400).json({ message: "Counter is closed" });
+      }
+    } else {
+      counter = await Counter.findOne({
+        businessId: queue.businessId,
+        currentStaff: req.user._id,
+        status: "open",
+      });
+    }
+
+    // Pick and call the next ticket according to the business dispatch policy
+    const nextTicket = await dispatchPolicy.callNext(queueId, {
+      counter,
+      servedBy: req.user._id,
+      byRole: req.user.role,
+    });
 
     if (!nextTicket) {
       return res.status(404).json({ message: "No waiting tickets in the queue" });
     }
 
-    // Update ticket
-    nextTicket.status = "called";
-    nextTicket.calledAt = new Date();
-    await nextTicket.save();
-
     // Socket events
     const socketIO = req.app.get("socketIO");
+    etaCalculator.updateQueueETAs(queueId, { socketIO, event: "call" });
+
     if (socketIO) {
       // Populate ticket before emitting
       const populatedTicket = await Ticket.findById(nextTicket._id)
@@ -555,6 +639,7 @@ exports.callNextTicket = async (req, res) => {
         nextTicket.businessId.toString(),
         populatedTicket,
         nextTicket.userId?._id?.toString(),
+        counter,
       );
       socketIO.emitTicketUpdated(nextTicket.businessId.toString(), populatedTicket);
       
@@ -565,10 +650,13 @@ exports.callNextTicket = async (req, res) => {
          ticket: populatedTicket
       });
     }
+    proximityAlerts.evaluateQueue(queue, socketIO);
 
     return res.json({
       status: "success",
-      message: "Ticket called",
+      message: counter
+        ? `Ticket ${nextTicket.displayNumber || nextTicket.ticketNumber} called to Counter ${counter.number}`
+        : "Ticket called",
       data: nextTicket,
     });
   } catch (err) {
@@ -582,7 +670,7 @@ exports.callNextTicket = async (req, res) => {
 // ===============================
 exports.callTicket = async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id).populate("userId");
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
     // Check authorization: business can call tickets for their own business, staff/owner can call for associated businesses
@@ -599,14 +687,11 @@ exports.callTicket = async (req, res) => {
       });
     }
 
-    if (ticket.status !== "waiting")
-      return res.status(400).json({
-        message: "Only waiting tickets can be called",
-      });
-
-    ticket.status = "called";
-    ticket.calledAt = new Date();
-    await ticket.save();
+    ticket = await transition(ticket, "called", {
+      ...actor(req.user),
+      from: "waiting",
+      set: { calledAt: new Date() },
+    });
 
     const socketIO = req.app.get("socketIO");
     if (socketIO) {
@@ -621,6 +706,7 @@ exports.callTicket = async (req, res) => {
       );
       socketIO.emitTicketUpdated(ticket.businessId.toString(), populatedTicket);
     }
+    etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "call" });
 
     return res.json({
       status: "success",
@@ -628,6 +714,7 @@ exports.callTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("callTicket error:", err);
     return res
       .status(500)
@@ -640,7 +727,7 @@ exports.callTicket = async (req, res) => {
 // ===============================
 exports.serveTicket = async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
     // Check authorization: business can serve tickets for their own business, staff/owner can serve for associated businesses
@@ -657,14 +744,14 @@ exports.serveTicket = async (req, res) => {
       });
     }
 
-    if (!["called", "waiting"].includes(ticket.status))
-      return res.status(400).json({
-        message: "Only called or waiting tickets can be served",
-      });
-
-    ticket.status = "in-progress";
-    ticket.startedAt = new Date();
-    await ticket.save();
+    ticket = await transition(ticket, "in-progress", {
+      ...actor(req.user),
+      from: ["called", "waiting"],
+      set: {
+        startedAt: new Date(),
+        servedBy: ticket.servedBy || req.user._id,
+      },
+    });
 
     const socketIO = req.app.get("socketIO");
     if (socketIO) {
@@ -677,6 +764,7 @@ exports.serveTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("serveTicket error:", err);
     return res
       .status(500)
@@ -689,16 +777,23 @@ exports.serveTicket = async (req, res) => {
 // ===============================
 exports.startTicket = async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
-    if (!["called", "waiting"].includes(ticket.status))
-      return res.status(400).json({
-        message: "Only called or waiting tickets can be started",
+    if (!isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({
+        message: "You can only start tickets for your own business",
       });
+    }
 
-    ticket.status = "in-progress";
-    await ticket.save();
+    ticket = await transition(ticket, "in-progress", {
+      ...actor(req.user),
+      from: ["called", "waiting"],
+      set: {
+        startedAt: ticket.startedAt || new Date(),
+        servedBy: ticket.servedBy || req.user._id,
+      },
+    });
 
     return res.json({
       status: "success",
@@ -706,6 +801,7 @@ exports.startTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("startTicket error:", err);
     return res
       .status(500)
@@ -718,7 +814,7 @@ exports.startTicket = async (req, res) => {
 // ===============================
 exports.completeTicket = async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
     // Check authorization: business can complete tickets for their own business
@@ -730,14 +826,19 @@ exports.completeTicket = async (req, res) => {
       }
     }
 
-    if (ticket.status === "done")
-      return res.status(400).json({
-        message: "Ticket already completed",
-      });
+    ticket = await transition(ticket, "done", {
+      ...actor(req.user),
+      set: { completedAt: new Date() },
+    });
+    ticket = await groupTicket.completeOpenMembers(ticket);
 
-    ticket.status = "done";
-    ticket.completedAt = new Date();
-    await ticket.save();
+    // Free the counter that was serving this ticket
+    if (ticket.counterId) {
+      await Counter.updateOne(
+        { _id: ticket.counterId, currentTicket: ticket._id },
+        { currentTicket: null },
+      );
+    }
 
     const socketIO = req.app.get("socketIO");
     if (socketIO) {
@@ -763,7 +864,9 @@ exports.completeTicket = async (req, res) => {
           currentTicketNumber: updatedQueue.currentTicketNumber,
         });
       }
-      etaCalculator.updateQueueETAs(ticket.queueId);
+      etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "complete" });
+      proximityAlerts.evaluateQueue(ticket.queueId, socketIO);
+      waitlist.promoteNext(ticket.queueId, socketIO);
     }
 
     return res.json({
@@ -772,6 +875,7 @@ exports.completeTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("completeTicket error:", err);
     return res
       .status(500)
@@ -784,7 +888,7 @@ exports.completeTicket = async (req, res) => {
 // ===============================
 exports.noShowTicket = async (req, res) => {
   try {
-    const ticket = await Ticket.findById(req.params.id);
+    let ticket = await Ticket.findById(req.params.id);
     if (!ticket) return res.status(404).json({ message: "Ticket not found" });
 
     // Check authorization: business can mark no-show for tickets in their own business
@@ -796,17 +900,27 @@ exports.noShowTicket = async (req, res) => {
       }
     }
 
-    if (ticket.status !== "waiting")
-      return res.status(400).json({
-        message: "Only waiting tickets can be marked as no-show",
+    // A called customer who doesn't show up gets a grace period on hold
+    if (ticket.status === "called") {
+      const held = await ticketHold.holdTicket(ticket._id, {
+        socketIO: req.app.get("socketIO"),
+        actor: actor(req.user, "no-show"),
+      });
+      return res.json({
+        status: "success",
+        message: "Ticket put on hold",
+        data: held,
       });
+    }
 
-    ticket.status = "missed";
-    await ticket.save();
+    ticket = await transition(ticket, "missed", {
+      ...actor(req.user, "no-show"),
+      from: "waiting",
+    });
 
     if (ticket.queueId) {
       const updatedQueue = await Queue.findByIdAndUpdate(ticket.queueId, {
-        $inc: { currentCount: -1 },
+        $inc: { currentCount: -groupTicket.seatsOf(ticket) },
       }, { new: true });
 
       // Emit socket events
@@ -827,6 +941,9 @@ exports.noShowTicket = async (req, res) => {
           });
         }
       }
+      etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "no-show" });
+      proximityAlerts.evaluateQueue(ticket.queueId, socketIO);
+      waitlist.promoteNext(ticket.queueId, socketIO);
     } else {
       const socketIO = req.app.get("socketIO");
       if (socketIO) {
@@ -845,9 +962,462 @@ exports.noShowTicket = async (req, res) => {
       data: ticket,
     });
   } catch (err) {
+    if (sendKnownError(res, err)) return;
     console.error("noShowTicket error:", err);
     return res
       .status(500)
       .json({ message: "Server error", error: err.message });
   }
 };
+
+// ===============================
+// TRANSFER TICKET
+// ===============================
+exports.transferTicket = async (req, res) => {
+  try {
+    const { queueId, serviceId, placement, reason } = req.body;
+
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    if (!isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({
+        message: "You can only transfer tickets for your own business",
+      });
+    }
+
+    const result = await transferTicket(ticket._id, {
+      queueId,
+      serviceId,
+      placement,
+      reason,
+      by: req.user._id,
+      byRole: req.user.role,
+    });
+
+    const socketIO = req.app.get("socketIO");
+    if (socketIO) {
+      socketIO.emitTicketTransferred(ticket.businessId.toString(), result);
+    }
+
+    etaCalculator.updateQueueETAs(result.toQueue._id, { socketIO, event: "transfer" });
+    if (result.fromQueue && !result.fromQueue._id.equals(result.toQueue._id)) {
+      etaCalculator.updateQueueETAs(result.fromQueue._id, { socketIO, event: "transfer" });
+      waitlist.promoteNext(result.fromQueue._id, socketIO);
+    }
+
+    return res.json({
+      status: "success",
+      message: `Ticket transferred to ${result.toQueue.name}`,
+      data: result.ticket,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("transferTicket error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// RECALL / REQUEUE ON-HOLD TICKET
+// ===============================
+const holdAction = (action, successMessage) => async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    if (!isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({
+        message: "You can only manage tickets for your own business",
+      });
+    }
+
+    const options = {
+      socketIO: req.app.get("socketIO"),
+      actor: actor(req.user, req.body?.reason),
+      positions: req.body?.positions,
+    };
+    const updated =
+      action === "requeue"
+        ? await ticketHold.requeueTicket(ticket._id, options)
+        : await ticketHold.recallTicket(ticket._id, options);
+
+    return res.json({
+      status: "success",
+      message: successMessage,
+      data: updated,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error(`${action}Ticket error:`, err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+exports.recallTicket = holdAction("recall", "Ticket recalled");
+exports.requeueTicket = holdAction("requeue", "Ticket requeued");
+
+// ===============================
+// MANUAL REORDERING (move / swap / pin / unpin)
+// ===============================
+const reorderAction = (action, successMessage) => async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    if (!isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({
+        message: "You can only manage tickets for your own business",
+      });
+    }
+
+    const socketIO = req.app.get("socketIO");
+    const options = {
+      reason: req.body?.reason,
+      actor: actor(req.user),
+      socketIO,
+    };
+    let data;
+    if (action === "move") {
+      data = await queueReorder.moveTicket(ticket._id, req.body?.position, options);
+    } else if (action === "swap") {
+      data = await queueReorder.swapTickets(ticket._id, req.body?.otherTicketId, options);
+    } else {
+      data = await queueReorder.setPinned(ticket._id, action === "pin", options);
+    }
+
+    etaCalculator.updateQueueETAs(ticket.queueId, { socketIO, event: "reorder" });
+    proximityAlerts.evaluateQueue(ticket.queueId, socketIO);
+
+    return res.json({
+      status: "success",
+      message: successMessage,
+      data,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error(`${action}Ticket error:`, err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// DEFER OWN TICKET ("let others go ahead of me")
+// ===============================
+exports.deferTicket = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    if (ticket.userId?.toString() !== req.user._id.toString())
+      return res.status(403).json({
+        message: "You can only defer your own tickets",
+      });
+
+    const socketIO = req.app.get("socketIO");
+    const deferred = await queueReorder.deferTicket(
+      ticket._id,
+      { positions: req.body?.positions, minutes: req.body?.minutes },
+      { reason: req.body?.reason, actor: actor(req.user), socketIO },
+    );
+
+    // Everyone between the old and the new place moved up
+    await etaCalculator.updateQueueETAs(deferred.queueId, { socketIO, event: "reorder" });
+    proximityAlerts.evaluateQueue(deferred.queueId, socketIO);
+
+    const { userId, ...status } = await ticketPosition.getTicketStatus(deferred);
+    return res.json({
+      status: "success",
+      message: "Ticket deferred",
+      data: deferred,
+      position: status,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("deferTicket error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+exports.moveTicket = reorderAction("move", "Ticket moved");
+exports.swapTickets = reorderAction("swap", "Tickets swapped");
+exports.pinTicket = reorderAction("pin", "Ticket pinned to the front");
+exports.unpinTicket = reorderAction("unpin", "Ticket unpinned");
+
+// ===============================
+// GROUP TICKET MEMBERS (start / complete / cancel one person)
+// ===============================
+const memberAction = (action, successMessage) => async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    // Staff serve members; the customer can only take someone out of the party
+    const isOwner = ticket.userId?.toString() === req.user._id.toString();
+    const isStaff = isBusinessMember(req.user, ticket.businessId);
+    if (!isStaff && !(isOwner && action === "cancel")) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const { ticket: updated, member, releasedSlot } = await groupTicket.updateMember(
+      ticket._id,
+      req.params.memberId,
+      action,
+      actor(req.user, req.body?.reason),
+    );
+
+    const finished = updated.status === "done" && ticket.status !== "done";
+    if (finished && updated.counterId) {
+      await Counter.updateOne(
+        { _id: updated.counterId, currentTicket: updated._id },
+        { currentTicket: null },
+      );
+    }
+
+    const socketIO = req.app.get("socketIO");
+    if (socketIO) {
+      const businessId = updated.businessId.toString();
+      socketIO.emitTicketUpdated(businessId, updated);
+      if (finished) socketIO.emitTicketCompleted(businessId, updated);
+      if (updated.userId) {
+        socketIO.emitToUser(updated.userId.toString(), "ticketUpdated", {
+          ticket: updated,
+        });
+      }
+      if (releasedSlot) {
+        const queue = await Queue.findById(updated.queueId);
+        if (queue) {
+          socketIO.emitQueueUpdate(businessId, {
+            queueId: queue._id.toString(),
+            status: queue.status,
+            currentCount: queue.currentCount,
+            currentTicketNumber: queue.currentTicketNumber,
+          });
+        }
+      }
+    }
+
+    // A smaller party is served faster: refresh everyone behind it
+    if (releasedSlot || finished) {
+      etaCalculator.updateQueueETAs(updated.queueId, {
+        socketIO,
+        event: finished ? "complete" : "cancel",
+      });
+    }
+    if (releasedSlot) waitlist.promoteNext(updated.queueId, socketIO);
+
+    return res.json({
+      status: "success",
+      message: successMessage,
+      data: { ticket: updated, member },
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error(`${action}Member error:`, err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+exports.startMember = memberAction("start", "Party member is being served");
+exports.completeMember = memberAction("complete", "Party member served");
+exports.cancelMember = memberAction("cancel", "Party member removed from the ticket");
+
+// ===============================
+// CHECK IN (CONFIRM ARRIVAL)
+// ===============================
+exports.checkInTicket = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const isOwner = ticket.userId?.toString() === req.user._id.toString();
+    const isStaff = isBusinessMember(req.user, ticket.businessId);
+    if (!isOwner && !isStaff) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const business = await Business.findById(ticket.businessId);
+    if (!business) return res.status(404).json({ message: "Business not found" });
+
+    // Customers prove they are on site; staff can confirm at the desk
+    const { qrCode, lat, lng } = req.body || {};
+    const proof =
+      qrCode || (lat != null && lng != null)
+        ? { qrCode, lat, lng }
+        : { staff: !isOwner && isStaff };
+
+    const updated = await arrivalCheckIn.checkIn(ticket, business, proof);
+
+    const socketIO = req.app.get("socketIO");
+    if (socketIO) {
+      socketIO.emitTicketUpdated(updated.businessId.toString(), updated);
+    }
+
+    return res.json({
+      status: "success",
+      message: "Arrival confirmed",
+      data: updated,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("checkInTicket error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// PROXIMITY ALERTS ("notify me when I'm close")
+// ===============================
+exports.setTicketAlerts = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    if (ticket.userId?.toString() !== req.user._id.toString())
+      return res.status(403).json({
+        message: "You can only set alerts on your own tickets",
+      });
+
+    const updated = await proximityAlerts.setTicketAlerts(ticket, req.body.alerts);
+
+    // A threshold may already be reached
+    await proximityAlerts.evaluateQueue(updated.queueId, req.app.get("socketIO"));
+    const fresh = await Ticket.findById(updated._id).select("alerts");
+
+    return res.json({
+      status: "success",
+      message: "Ticket alerts updated",
+      data: fresh.alerts,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("setTicketAlerts error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// CLAIM KIOSK TICKET (customer)
+// ===============================
+exports.claimTicket = async (req, res) => {
+  try {
+    const claimCode = String(req.body.claimCode || "").trim().toUpperCase();
+    if (!claimCode)
+      return res.status(400).json({ message: "claimCode is required" });
+
+    // Only unclaimed tickets that still hold a place in line
+    const ticket = await Ticket.findOneAndUpdate(
+      {
+        claimCode,
+        userId: null,
+        status: { $in: intakeRules.ACTIVE_STATUSES },
+      },
+      {
+        $set: { userId: req.user._id, claimedAt: new Date() },
+        $unset: { claimCode: 1 },
+      },
+      { new: true },
+    );
+    if (!ticket)
+      return res
+        .status(404)
+        .json({ message: "Claim code is invalid, already used or expired" });
+
+    await Business.findByIdAndUpdate(ticket.businessId, {
+      $addToSet: { ourClients: req.user._id },
+    });
+
+    const socketIO = req.app.get("socketIO");
+    if (socketIO) {
+      socketIO.emitTicketUpdated(ticket.businessId.toString(), ticket);
+    }
+
+    return res.json({
+      status: "success",
+      message: "Ticket added to your account",
+      data: ticket,
+    });
+  } catch (err) {
+    console.error("claimTicket error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// PRINTABLE TICKET SLIP (PDF / ESC/POS)
+// ===============================
+exports.getTicketSlip = async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) return res.status(404).json({ message: "Ticket not found" });
+
+    const isOwner = ticket.userId?.toString() === req.user._id.toString();
+    if (!isOwner && !isBusinessMember(req.user, ticket.businessId)) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const business = await Business.findById(ticket.businessId).select(
+      "name service locale",
+    );
+    const slip = await ticketSlip.renderSlip(ticket, {
+      format: req.query.format,
+      locale: ticketSlip.resolveSlipLocale({
+        requested: req.query.locale,
+        user: isOwner ? req.user : null,
+        business,
+      }),
+      business,
+    });
+
+    res.set("Content-Type", slip.contentType);
+    res.set("Content-Disposition", `inline; filename="${slip.filename}"`);
+    res.set("Content-Language", slip.locale);
+    // Asked for a language this format cannot print (see ticketSlip)
+    if (slip.localeFallback) res.set("X-Slip-Locale-Fallback", slip.localeFallback);
+    return res.send(slip.body);
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("getTicketSlip error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
+
+// ===============================
+// GET CHECK-IN QR CODE (business/staff)
+// ===============================
+exports.getCheckInCode = async (req, res) => {
+  try {
+    const business = await Business.findById(req.params.businessId).select(
+      "checkInPolicy",
+    );
+    if (!business) return res.status(404).json({ message: "Business not found" });
+
+    return res.json({
+      status: "success",
+      data: arrivalCheckIn.currentQrCode(business),
+    });
+  } catch (err) {
+    console.error("getCheckInCode error:", err);
+    return res
+      .status(500)
+      .json({ message: "Server error", error: err.message });
+  }
+};
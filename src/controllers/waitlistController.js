@@ -0,0 +1,126 @@
+const Waitlist = require("../models/waitlistSchema");
+const waitlist = require("../utils/waitlist");
+const { IntakeRejection } = require("../utils/intakeRules");
+
+// Intake rejections keep their code/details, other known errors their status
+const sendKnownError = (res, err) => {
+  if (err instanceof IntakeRejection) {
+    res.status(err.statusCode).json(err.toResponse());
+    return true;
+  }
+  if (err.statusCode) {
+    res
+      .status(err.statusCode)
+      .json({ message: err.message, ...(err.code ? { code: err.code } : {}) });
+    return true;
+  }
+  return false;
+};
+
+// =========================== MY WAITLIST ENTRIES ===========================
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await Waitlist.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate("businessId", "name")
+      .populate("queueId", "name");
+
+    const data = await Promise.all(
+      entries.map(async (entry) => ({
+        ...entry.toObject(),
+        position: await waitlist.positionOf(entry),
+      })),
+    );
+
+    res.status(200).json({
+      status: "success",
+      results: data.length,
+      data,
+    });
+  } catch (err) {
+    console.error("Get my waitlist error:", err);
+    res.status(500).json({
+      message: "Server error fetching waitlist",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== BUSINESS WAITLIST ===========================
+exports.getBusinessWaitlist = async (req, res) => {
+  try {
+    const filter = {
+      businessId: req.params.businessId,
+      status: { $in: waitlist.OPEN_STATUSES },
+    };
+    if (req.query.queueId) filter.queueId = req.query.queueId;
+
+    const entries = await Waitlist.find(filter)
+      .sort({ createdAt: 1 })
+      .populate("userId", "name email phone")
+      .populate("queueId", "name");
+
+    res.status(200).json({
+      status: "success",
+      results: entries.length,
+      data: entries,
+    });
+  } catch (err) {
+    console.error("Get business waitlist error:", err);
+    res.status(500).json({
+      message: "Server error fetching waitlist",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== ACCEPT OFFER ===========================
+exports.acceptOffer = async (req, res) => {
+  try {
+    const { entry, ticket, eta } = await waitlist.acceptOffer(
+      req.params.id,
+      req.user,
+      req.app.get("socketIO"),
+    );
+
+    res.status(201).json({
+      status: "success",
+      message: "You are in the queue",
+      data: ticket,
+      eta,
+      waitlist: entry,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("Accept waitlist offer error:", err);
+    res.status(500).json({
+      message: "Server error accepting offer",
+      error: err.message,
+    });
+  }
+};
+
+// =========================== LEAVE / DECLINE ===========================
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await waitlist.leaveWaitlist(
+      req.params.id,
+      req.user,
+      req.app.get("socketIO"),
+    );
+
+    res.status(200).json({
+      status: "success",
+      message: entry.status === "declined" ? "Offer declined" : "You left the waitlist",
+      data: entry,
+    });
+  } catch (err) {
+    if (sendKnownError(res, err)) return;
+    console.error("Leave waitlist error:", err);
+    res.status(500).json({
+      message: "Server error leaving waitlist",
+      error: err.message,
+    });
+  }
+};
@@ -4,6 +4,74 @@ const User = require("../models/userSchema");
 const Business = require("../models/businessSchema");
 const Admin = require("../models/adminSchema"); // OPTIONAL — remove if you don’t use it
 const Queue = require("../models/queueSchema");
+const Kiosk = require("../models/kioskSchema");
+const { hashToken } = require("../utils/token");
+
+const authError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+/**
+ * Resolve the account behind an access token
+ * Shared by protect (REST) and the Socket.IO handshake
+ * @param {String} token - JWT access token
+ * @returns {Object} - { entity (User / Business / Admin document), decoded }
+ * @throws {Error} - with statusCode and code: 401 NO_TOKEN, INVALID_TOKEN,
+ *   ACCOUNT_NOT_FOUND, PASSWORD_CHANGED; 403 ACCOUNT_INACTIVE
+ */
+const authenticateToken = async (token) => {
+  if (!token) {
+    throw authError(401, "Not authorized: No token provided", "NO_TOKEN");
+  }
+
+  // Decode JWT
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw authError(401, "Unauthorized: Token invalid or expired", "INVALID_TOKEN");
+  }
+  const userId = decoded.id || decoded.userId;
+
+  if (!userId) {
+    throw authError(401, "Invalid token: Missing user ID", "INVALID_TOKEN");
+  }
+
+  // Attempt to load entity from all types
+  const entity =
+    (await User.findById(userId).select(
+      "-password -refreshTokens -passwordResetToken -passwordResetExpires",
+    )) ||
+    (await Business.findById(userId).select(
+      "-password -refreshTokens -passwordResetToken -passwordResetExpires",
+    )) ||
+    (await Admin.findById(userId).select(
+      "-password -refreshTokens -passwordResetToken -passwordResetExpires",
+    ));
+
+  if (!entity) {
+    throw authError(401, "Account no longer exists", "ACCOUNT_NOT_FOUND");
+  }
+
+  // Check password changed after token was issued
+  if (
+    entity.changedPasswordAfter &&
+    entity.changedPasswordAfter(decoded.iat)
+  ) {
+    throw authError(
+      401,
+      "Password recently changed. Please login again.",
+      "PASSWORD_CHANGED",
+    );
+  }
+
+  // Suspended / deactivated user accounts (a business marked inactive only
+  // stops taking tickets, its staff can still sign in)
+  if (entity instanceof User && entity.status && entity.status !== "active") {
+    throw authError(403, `Account is ${entity.status}`, "ACCOUNT_INACTIVE");
+  }
+
+  return { entity, decoded };
+};
 
 /**
  * Protect Middleware
@@ -25,62 +93,25 @@ const protect = async (req, res, next) => {
       token = req.headers.authorization.split(" ")[1];
     }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: "Not authorized: No token provided",
-      });
-    }
-
-    // Decode JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.id || decoded.userId;
-
-    if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid token: Missing user ID",
-      });
-    }
-
-    // Attempt to load entity from all types
-    let entity =
-      (await User.findById(userId).select(
-        "-password -refreshTokens -passwordResetToken -passwordResetExpires",
-      )) ||
-      (await Business.findById(userId).select(
-        "-password -refreshTokens -passwordResetToken -passwordResetExpires",
-      )) ||
-      (await Admin.findById(userId).select(
-        "-password -refreshTokens -passwordResetToken -passwordResetExpires",
-      ));
-
-    if (!entity) {
-      return res.status(401).json({
-        success: false,
-        message: "Account no longer ex2ists",
-      });
-    }
-
-    // Check password changed after token was issued
-    if (
-      entity.changedPasswordAfter &&
-      entity.changedPasswordAfter(decoded.iat)
-    ) {
-      return res.status(401).json({
-        success: false,
-        message: "Password recently changed. Please login again.",
-      });
-    }
+    const { entity } = await authenticateToken(token);
 
     // Attach entity to request
     req.user = entity;
 
     next();
   } catch (err) {
-    return res.status(401).json({
+    // Auth rejections from authenticateToken; anything else (database,
+    // network) is a server error, not a bad token
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message,
+        code: err.code,
+      });
+    }
+    return res.status(500).json({
       success: false,
-      message: "Unauthorized: Token invalid or expired",
+      message: "Authorization error",
       error: err.message,
     });
   }
@@ -179,9 +210,116 @@ const allowQueueOwnerOrAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Check whether an authenticated entity can operate a business
+ * Business accounts own themselves; staff/owner users are linked via businessIds
+ */
+const isBusinessMember = (user, businessId) => {
+  if (!user || !businessId) return false;
+  if (user.role === "admin") return true;
+  if (user.role === "business") {
+    return user._id.toString() === businessId.toString();
+  }
+  if (["staff", "owner"].includes(user.role)) {
+    const userBusinessIds = user.businessIds?.map((id) => id.toString()) || [];
+    return userBusinessIds.includes(businessId.toString());
+  }
+  return false;
+};
+
+/**
+ * Business Staff Middleware
+ * Allows admin, the business itself, and its staff/owners
+ * Reads the business from req.params.businessId
+ */
+const allowBusinessStaff = (req, res, next) => {
+  if (!isBusinessMember(req.user, req.params.businessId)) {
+    return res.status(403).json({
+      success: false,
+      message: "You are not authorized to manage this business",
+    });
+  }
+  next();
+};
+
+/**
+ * Queue Staff Middleware
+ * Like allowQueueOwnerOrAdmin, but also lets staff/owners of the business
+ * operate the queue (e.g. call the next ticket from their counter)
+ */
+const allowQueueStaff = async (req, res, next) => {
+  try {
+    const queue = await Queue.findById(req.params.id);
+    if (!queue) {
+      return res.status(404).json({
+        success: false,
+        message: "Queue not found",
+      });
+    }
+
+    if (!isBusinessMember(req.user, queue.businessId)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to operate this queue",
+      });
+    }
+
+    next();
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Authorization error",
+      error: err.message,
+    });
+  }
+};
+
+/**
+ * Kiosk Middleware
+ * Authenticates a registered kiosk device by its key (X-Kiosk-Key header).
+ * Kiosk keys are scoped to one business and can only issue tickets.
+ */
+const protectKiosk = async (req, res, next) => {
+  try {
+    const key = req.headers["x-kiosk-key"];
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized: No kiosk key provided",
+      });
+    }
+
+    const kiosk = await Kiosk.findOneAndUpdate(
+      { keyHash: hashToken(key), status: "active" },
+      { lastSeenAt: new Date() },
+      { new: true },
+    );
+    if (!kiosk) {
+      return res.status(401).json({
+        success: false,
+        message: "Kiosk key invalid or revoked",
+      });
+    }
+
+    req.kiosk = kiosk;
+    next();
+  } catch (err) {
+    return res.status(500).json({
+      success: false,
+      message: "Authorization error",
+      error: err.message,
+    });
+  }
+};
+
 module.exports = {
+  authenticateToken,
   protect,
   restrictTo,
   restrictToOwnerOrAdmin,
   allowQueueOwnerOrAdmin,
+  allowBusinessStaff,
+  allowQueueStaff,
+  isBusinessMember,
+  protectKiosk,
 };
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const appointmentSchema = mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Business service (business.service[]._id) booked
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Booked slot
+    startAt: {
+      type: Date,
+      required: true,
+    },
+    endAt: {
+      type: Date,
+      required: true,
+    },
+    // booked -> queued (merged into the live queue) | cancelled | expired
+    status: {
+      type: String,
+      enum: ["booked", "queued", "cancelled", "expired"],
+      default: "booked",
+    },
+    // Ticket created when the appointment joined the live queue
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+    },
+    queuedAt: {
+      type: Date,
+    },
+    priority: {
+      type: String,
+      enum: ["normal", "priority", "vip"],
+      default: "normal",
+    },
+    notes: {
+      type: String,
+    },
+    reschedules: [
+      {
+        fromStartAt: { type: Date },
+        toStartAt: { type: Date },
+        by: { type: mongoose.Schema.Types.ObjectId },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Cancellation details
+    cancelReason: {
+      type: String,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  { timestamps: true },
+);
+
+appointmentSchema.index({ businessId: 1, startAt: 1, status: 1 });
+appointmentSchema.index({ userId: 1, startAt: -1 });
+appointmentSchema.index({ status: 1, startAt: 1 });
+
+const Appointment = mongoose.model("Appointment", appointmentSchema);
+
+module.exports = Appointment;
@@ -48,7 +48,14 @@ const businessSchema = new mongoose.Schema(
     businessImages: [String],
 
     address: { type: String, required: true },
+    // Coordinates used for geofence check-in
+    location: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 },
+    },
     specialization: { type: String },
+    // Language of printed tickets when the customer has no preference
+    locale: { type: String, enum: ["en", "ar"], default: "en" },
     ourClients: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
 
     workingHours: [
@@ -72,6 +79,23 @@ const businessSchema = new mongoose.Schema(
       },
     ],
 
+    // Date-specific exceptions to workingHours: holidays (closed) and
+    // special opening hours. Dates are "YYYY-MM-DD" in business local time;
+    // recurring entries repeat every year on the same month/day range
+    calendar: [
+      {
+        name: { type: String, trim: true },
+        date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+        // Last day of a multi-day exception (inclusive)
+        endDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+        recurring: { type: Boolean, default: false },
+        isClosed: { type: Boolean, default: true },
+        // Special hours when not closed
+        openTime: { type: String },
+        closeTime: { type: String },
+      },
+    ],
+
     service: [
       {
         name: { type: String, required: true },
@@ -88,6 +112,125 @@ const businessSchema = new mongoose.Schema(
       },
     ],
 
+    // How waiting tickets are picked when calling the next one
+    dispatchPolicy: {
+      mode: { type: String, enum: ["fifo", "weighted"], default: "weighted" },
+      // Fast-track (vip/priority) tickets called per normal ticket
+      priorityPerNormal: { type: Number, min: 0, default: 2 },
+      // Normal tickets waiting longer than this jump ahead (0 = disabled)
+      maxNormalWaitMinutes: { type: Number, min: 0, default: 45 },
+    },
+
+    // What happens when a called customer does not show up
+    holdPolicy: {
+      // Minutes a no-show stays on hold before being requeued or missed
+      graceMinutes: { type: Number, min: 0, default: 5 },
+      // Times staff can recall a ticket while it is on hold
+      maxRecalls: { type: Number, min: 0, default: 2 },
+      // Requeue automatically when the grace window expires
+      autoRequeue: { type: Boolean, default: true },
+      // Positions back from the front of the line when requeued
+      requeuePositions: { type: Number, min: 0, default: 3 },
+      // Requeues allowed before the ticket is marked missed
+      maxRequeues: { type: Number, min: 0, default: 1 },
+    },
+
+    // Overflow waitlist for full queues
+    waitlistPolicy: {
+      enabled: { type: Boolean, default: true },
+      // Customers waitlisted per queue
+      maxSize: { type: Number, min: 0, default: 20 },
+      // Minutes a promoted customer has to accept the freed slot
+      acceptMinutes: { type: Number, min: 1, default: 10 },
+    },
+
+    // Live ETA updates
+    etaPolicy: {
+      // Notify customers when their expected time moves by this many minutes
+      driftNotifyMinutes: { type: Number, min: 1, default: 10 },
+      // Assumed pause length when staff pause without a resume time
+      defaultPauseMinutes: { type: Number, min: 1, default: 15 },
+      // Scheduled breaks without service, e.g. lunch
+      breaks: [
+        {
+          name: { type: String, trim: true },
+          start: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+          end: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+          // Days of the week (0 = Sunday); empty = every day
+          days: [{ type: Number, min: 0, max: 6 }],
+        },
+      ],
+    },
+
+    // Customers running late letting others go ahead of them
+    deferPolicy: {
+      enabled: { type: Boolean, default: true },
+      // Deferrals allowed per ticket
+      maxDeferrals: { type: Number, min: 0, default: 2 },
+      // Largest single deferral, in positions and in minutes
+      maxPositions: { type: Number, min: 1, default: 10 },
+      maxMinutes: { type: Number, min: 1, default: 120 },
+    },
+
+    // Scheduled appointments served from the live queue
+    appointmentPolicy: {
+      enabled: { type: Boolean, default: true },
+      // Slot length in minutes (0 = use the service duration)
+      slotMinutes: { type: Number, min: 0, default: 0 },
+      // Appointments of one service that can share a slot (parallel desks)
+      capacityPerSlot: { type: Number, min: 1, default: 1 },
+      // Minutes before the slot when the appointment joins the live queue
+      arrivalWindowMinutes: { type: Number, min: 0, default: 15 },
+      // Minimum notice for booking / rescheduling
+      minNoticeMinutes: { type: Number, min: 0, default: 30 },
+      // How far ahead customers can book
+      maxDaysAhead: { type: Number, min: 0, default: 30 },
+    },
+
+    // Per-customer limits checked before a ticket is issued
+    // (daily cap and cut-off come from queueSettings)
+    intakeRules: {
+      // Active tickets one customer can hold at this business (0 = unlimited)
+      maxActivePerUser: { type: Number, min: 0, default: 1 },
+      // Minutes a customer must wait after missing a ticket (0 = none)
+      noShowCooldownMinutes: { type: Number, min: 0, default: 60 },
+      // People one group / family ticket can cover
+      maxPartySize: { type: Number, min: 1, default: 6 },
+    },
+
+    // Arrival confirmation (rotating QR code / geofence)
+    checkInPolicy: {
+      // Only tickets that checked in can be called by callNext
+      requireArrivalToCall: { type: Boolean, default: false },
+      geofenceRadiusMeters: { type: Number, min: 10, default: 150 },
+      qrRotationMinutes: { type: Number, min: 1, default: 5 },
+    },
+
+    // Daily queue opening / intake cut-off / closing from workingHours
+    // (opt-in: only queues it opened itself are stopped and closed)
+    queueLifecycle: {
+      enabled: { type: Boolean, default: false },
+      queueName: { type: String, trim: true, default: "General" },
+      // Leftover waiting tickets at closing time:
+      // cancel, carry-over (front of tomorrow's queue), appointment (next free slot)
+      leftoverPolicy: {
+        type: String,
+        enum: ["cancel", "carry-over", "appointment"],
+        default: "cancel",
+      },
+    },
+
+    // Public waiting-room screen (anonymized, no login)
+    displayBoard: {
+      enabled: { type: Boolean, default: true },
+      // Default announcement language when the screen does not ask for one
+      locale: { type: String, enum: ["en", "ar"], default: "en" },
+      // Chime + announcement text on every call
+      announcements: { type: Boolean, default: true },
+      recentCount: { type: Number, min: 1, max: 20, default: 5 },
+      nextCount: { type: Number, min: 0, max: 20, default: 5 },
+    },
+
     paymentMethod: {
       type: String,
       enum: ["cash", "credit-card", "wallet"],
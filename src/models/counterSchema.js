@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const counterSchema = mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    // Desk number shown to customers ("Counter 3")
+    number: {
+      type: Number,
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "closed",
+    },
+    // Staff member currently signed in to this counter
+    currentStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    signedInAt: {
+      type: Date,
+    },
+    // Ticket currently being served at this counter
+    currentTicket: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+    },
+  },
+  { timestamps: true },
+);
+
+counterSchema.index({ businessId: 1, number: 1 }, { unique: true });
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const kioskSchema = mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    // Device label, e.g. "Entrance kiosk"
+    name: {
+      type: String,
+      trim: true,
+      required: true,
+    },
+    // SHA-256 of the kiosk key (the key itself is shown once)
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // First characters of the key, to tell keys apart
+    keyPrefix: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["active", "revoked"],
+      default: "active",
+    },
+    // Queue used when the customer does not pick a service
+    defaultQueueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Queue",
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  },
+  { timestamps: true },
+);
+
+kioskSchema.index({ keyHash: 1 }, { unique: true });
+kioskSchema.index({ businessId: 1 });
+
+const Kiosk = mongoose.model("Kiosk", kioskSchema);
+
+module.exports = Kiosk;
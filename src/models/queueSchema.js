@@ -10,6 +10,38 @@ const queueSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Ticket",
     },
+    // Display name, e.g. "Pharmacy pickup", "Lab", "Doctor"
+    name: {
+      type: String,
+      trim: true,
+      default: "General",
+    },
+    // Business services (business.service[]._id) routed to this queue
+    // Empty means the queue accepts any service
+    serviceIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    // Prefix for displayed ticket numbers, e.g. "L" -> "L-12"
+    prefix: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // How ETAs are estimated for this queue
+    etaModel: {
+      method: {
+        type: String,
+        enum: ["historical", "fixed"],
+        default: "historical",
+      },
+      // Minutes per ticket for "fixed", fallback for "historical"
+      serviceMinutes: {
+        type: Number,
+        min: 1,
+      },
+    },
     maxCapacity: {
       type: Number,
       default: 20,
@@ -24,10 +56,46 @@ const queueSchema = mongoose.Schema(
     currentTicketNumber: {
       type: Number,
     },
+    // Business day the queue serves (local midnight)
+    date: {
+      type: Date,
+    },
+    // False once intake stops (queueSettings.LastTimeToAppoint); tickets
+    // already in line are still served
+    acceptingTickets: {
+      type: Boolean,
+      default: true,
+    },
+    // Opened by the daily lifecycle scheduler rather than by staff
+    autoManaged: {
+      type: Boolean,
+      default: false,
+    },
+    closedAt: {
+      type: Date,
+    },
+    // Current pause; resumesAt is the staff estimate (ETAs count on it)
+    pausedAt: {
+      type: Date,
+    },
+    resumesAt: {
+      type: Date,
+    },
+    pauseReason: {
+      type: String,
+      trim: true,
+    },
+    // Fast-track tickets called since the last normal ticket
+    priorityStreak: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true },
 );
 
+queueSchema.index({ businessId: 1, date: 1 });
+
 const Queue = mongoose.model("Queue", queueSchema);
 
 module.exports = Queue;
@@ -24,6 +24,56 @@ const ticketSchema = mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Position key within the queue (set to ticketNumber at issuance)
+    // Lets transferred, requeued and manually reordered tickets change place
+    sortKey: {
+      type: Number,
+    },
+    // Pinned to the front by staff, ahead of fast-track tickets
+    // (see utils/queueReorder)
+    pinnedAt: {
+      type: Date,
+      default: null,
+    },
+    // Ticket number with the queue prefix, e.g. "L-12"
+    displayNumber: {
+      type: String,
+    },
+    // Business service (business.service[]._id) the ticket was taken for
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Walk-in ticket, a booked appointment merged into the queue, or a
+    // ticket printed at a kiosk
+    source: {
+      type: String,
+      enum: ["walk-in", "appointment", "kiosk"],
+      default: "walk-in",
+    },
+    // Kiosk issuance (anonymous customers)
+    kioskId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Kiosk",
+    },
+    guestName: {
+      type: String,
+      trim: true,
+    },
+    guestPhone: {
+      type: String,
+      trim: true,
+    },
+    // Short code printed on the slip to claim the ticket into an account
+    claimCode: {
+      type: String,
+    },
+    claimedAt: {
+      type: Date,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
     type: {
       type: String,
       enum: ["examination", "consultation", "procedure", "followup"],
@@ -31,9 +81,51 @@ const ticketSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["waiting", "called", "in-progress", "missed", "done", "cancelled"],
+      enum: [
+        "waiting",
+        "called",
+        "on-hold",
+        "in-progress",
+        "missed",
+        "done",
+        "cancelled",
+      ],
       default: "waiting",
     },
+    // Group / family ticket: one place in line for the whole party, holding
+    // partySize queue slots (members still in the party)
+    partySize: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Party members, served and completed one by one (empty for one person)
+    members: [
+      {
+        name: { type: String, trim: true },
+        status: {
+          type: String,
+          enum: ["waiting", "in-progress", "done", "cancelled"],
+          default: "waiting",
+        },
+        startedAt: { type: Date },
+        completedAt: { type: Date },
+        servedBy: { type: mongoose.Schema.Types.ObjectId },
+      },
+    ],
+    // Customer proximity alerts ("3 people ahead", "15 minutes before my
+    // turn"); each fires once (see utils/proximityAlerts)
+    alerts: [
+      {
+        kind: {
+          type: String,
+          enum: ["people-ahead", "minutes-before"],
+          required: true,
+        },
+        threshold: { type: Number, min: 0, required: true },
+        firedAt: { type: Date, default: null },
+      },
+    ],
     // Priority for fast-track queueing (payment feature)
     priority: {
       type: String,
@@ -49,16 +141,127 @@ const ticketSchema = mongoose.Schema(
     expectedServiceTime: {
       type: Date,
     },
+    // Expected time the customer was last told (ETA drift baseline)
+    notifiedExpectedTime: {
+      type: Date,
+      default: null,
+    },
+    // ETA predictions as they were made (first one at issue), for accuracy
+    // tracking against firstCalledAt
+    etaSnapshots: [
+      {
+        at: { type: Date, default: Date.now },
+        event: { type: String },
+        position: { type: Number },
+        estimatedMinutes: { type: Number },
+        p90Minutes: { type: Number },
+        expectedTime: { type: Date },
+        method: { type: String },
+        confidence: { type: String },
+      },
+    ],
     // Actual service timestamps
     calledAt: {
       type: Date,
     },
+    // First call (calledAt moves on recalls)
+    firstCalledAt: {
+      type: Date,
+    },
     startedAt: {
       type: Date,
     },
     completedAt: {
       type: Date,
     },
+    // Arrival confirmation (remote tickets have no arrivedAt)
+    arrivedAt: {
+      type: Date,
+    },
+    arrivalMethod: {
+      type: String,
+      enum: ["qr", "geofence", "staff"],
+    },
+    // Meters from the business at geofence check-in
+    arrivalDistance: {
+      type: Number,
+    },
+    // Counter / desk the ticket was called to and who served it
+    counterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Counter",
+    },
+    servedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Hops between queues/services (e.g. doctor -> lab -> doctor)
+    transfers: [
+      {
+        fromQueueId: { type: mongoose.Schema.Types.ObjectId, ref: "Queue" },
+        toQueueId: { type: mongoose.Schema.Types.ObjectId, ref: "Queue" },
+        fromServiceId: { type: mongoose.Schema.Types.ObjectId },
+        toServiceId: { type: mongoose.Schema.Types.ObjectId },
+        fromTicketNumber: { type: Number },
+        toTicketNumber: { type: Number },
+        fromStatus: { type: String },
+        placement: { type: String, enum: ["front", "back", "keep"] },
+        reason: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Left waiting when the queue closed; joins the front of the next
+    // day's queue (queueLifecycle leftoverPolicy "carry-over")
+    carryOver: {
+      type: Boolean,
+      default: false,
+    },
+    // Manual reordering by staff and customer deferrals (audit trail);
+    // positions are dispatch positions (1 = next to be called)
+    reorders: [
+      {
+        action: { type: String, enum: ["move", "swap", "pin", "unpin", "defer"] },
+        fromPosition: { type: Number },
+        toPosition: { type: Number },
+        swappedWith: { type: mongoose.Schema.Types.ObjectId, ref: "Ticket" },
+        reason: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        byRole: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Every status change (see utils/ticketStateMachine)
+    statusHistory: [
+      {
+        from: { type: String },
+        to: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId },
+        byRole: { type: String },
+        reason: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Hold / recall / requeue for customers who miss their call
+    heldAt: {
+      type: Date,
+    },
+    holdUntil: {
+      type: Date,
+    },
+    recallCount: {
+      type: Number,
+      default: 0,
+    },
+    requeueCount: {
+      type: Number,
+      default: 0,
+    },
+    // Times the customer let others go ahead (see queueReorder.deferTicket)
+    deferCount: {
+      type: Number,
+      default: 0,
+    },
     // Cancellation details
     cancelReason: {
       type: String,
@@ -85,6 +288,10 @@ const ticketSchema = mongoose.Schema(
 ticketSchema.index({ businessId: 1, status: 1 });
 ticketSchema.index({ queueId: 1, ticketNumber: 1 });
 ticketSchema.index({ userId: 1, createdAt: -1 });
+ticketSchema.index({ status: 1, holdUntil: 1 });
+ticketSchema.index({ businessId: 1, carryOver: 1, status: 1 });
+ticketSchema.index({ claimCode: 1 }, { sparse: true });
+ticketSchema.index({ queueId: 1, status: 1, "alerts.firedAt": 1 });
 
 const Ticket = mongoose.model("Ticket", ticketSchema);
 
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+const waitlistSchema = mongoose.Schema(
+  {
+    businessId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Business",
+      required: true,
+    },
+    // Full queue the customer is waiting to get into
+    queueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Queue",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Ticket request, issued as-is when the offer is accepted
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    type: {
+      type: String,
+      enum: ["examination", "consultation", "procedure", "followup"],
+      default: "examination",
+    },
+    priority: {
+      type: String,
+      enum: ["normal", "priority", "vip"],
+      default: "normal",
+    },
+    partySize: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    memberNames: [{ type: String, trim: true }],
+    // waiting -> offered (slot held) -> accepted | declined | expired
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "accepted", "declined", "expired", "cancelled"],
+      default: "waiting",
+    },
+    offeredAt: {
+      type: Date,
+    },
+    // Slot passes to the next person after this
+    offerExpiresAt: {
+      type: Date,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // Ticket issued from an accepted offer
+    ticketId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ticket",
+    },
+  },
+  { timestamps: true },
+);
+
+waitlistSchema.index({ queueId: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+waitlistSchema.index({ userId: 1, createdAt: -1 });
+
+const Waitlist = mongoose.model("Waitlist", waitlistSchema);
+
+module.exports = Waitlist;
@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const appointmentController = require("../controllers/appointmentController");
+const {
+  protect,
+  allowBusinessStaff,
+} = require("../middlewares/authMiddleware");
+
+// Bookable slots for a service on a day (public)
+// GET /business/:businessId/availability?serviceId=...&date=YYYY-MM-DD
+router.get(
+  "/business/:businessId/availability",
+  appointmentController.getAvailability,
+);
+
+// Appointments of a business (staff only), optionally for one day
+router.get(
+  "/business/:businessId",
+  protect,
+  allowBusinessStaff,
+  appointmentController.getBusinessAppointments,
+);
+
+// Book / list own appointments
+router.post("/", protect, appointmentController.bookAppointment);
+router.get("/me", protect, appointmentController.getMyAppointments);
+
+// Reschedule / cancel (the customer or business staff)
+router.patch("/:id/reschedule", protect, appointmentController.rescheduleAppointment);
+router.patch("/:id/cancel", protect, appointmentController.cancelAppointment);
+
+module.exports = router;
@@ -15,12 +15,22 @@ router.get("/business", businessController.getAllBusinesses);
 // Get business by ID
 router.get("/business/:id", businessController.getBusinessById);
 
+// Holidays / special opening hours, resolved per day (public)
+// GET /business/:id/calendar?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get("/business/:id/calendar", businessController.getBusinessCalendar);
+
 // -------------------------
 // ME ROUTES (Logged-in Business)
 // -------------------------
 router.get("/me", protect, businessController.getBusinessInfo);
 router.put("/me", protect, businessController.updateBusinessInfo);
 router.delete("/me", protect, businessController.deleteBusiness);
+router.post("/me/calendar", protect, businessController.addCalendarEntry);
+router.delete(
+  "/me/calendar/:entryId",
+  protect,
+  businessController.deleteCalendarEntry,
+);
 
 // Update business by ID (only owner or admin)
 router.put(
@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+const counterController = require("../controllers/counterController");
+const {
+  protect,
+  restrictTo,
+  allowBusinessStaff,
+} = require("../middlewares/authMiddleware");
+
+// Create a counter (business/owner/admin only)
+router.post(
+  "/business/:businessId",
+  protect,
+  restrictTo("business", "owner", "admin"),
+  allowBusinessStaff,
+  counterController.createCounter,
+);
+
+// List counters of a business
+router.get(
+  "/business/:businessId",
+  protect,
+  allowBusinessStaff,
+  counterController.getBusinessCounters,
+);
+
+// Staff signs in to / out of a counter
+router.patch("/:id/sign-in", protect, counterController.signIn);
+router.patch("/:id/sign-out", protect, counterController.signOut);
+
+// Update / delete a counter (business/owner/admin only)
+router.patch(
+  "/:id",
+  protect,
+  restrictTo("business", "owner", "admin"),
+  counterController.updateCounter,
+);
+router.delete(
+  "/:id",
+  protect,
+  restrictTo("business", "owner", "admin"),
+  counterController.deleteCounter,
+);
+
+module.exports = router;
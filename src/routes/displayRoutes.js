@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const displayController = require("../controllers/displayController");
+
+// Public display board snapshot (no auth, anonymized)
+// Live updates: socket namespace /display, event "watch"
+router.get("/:businessId", displayController.getDisplaySnapshot);
+
+module.exports = router;
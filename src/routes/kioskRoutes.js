@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const kioskController = require("../controllers/kioskController");
+const {
+  protect,
+  allowBusinessStaff,
+  protectKiosk,
+} = require("../middlewares/authMiddleware");
+
+// Kiosk device endpoints (authenticated with the X-Kiosk-Key header)
+router.get("/me", protectKiosk, kioskController.getKioskInfo);
+router.post("/tickets", protectKiosk, kioskController.issueKioskTicket);
+router.get("/tickets/:id/slip", protectKiosk, kioskController.getKioskTicketSlip);
+
+// Kiosk management (business staff)
+router.post(
+  "/business/:businessId",
+  protect,
+  allowBusinessStaff,
+  kioskController.registerKiosk,
+);
+router.get(
+  "/business/:businessId",
+  protect,
+  allowBusinessStaff,
+  kioskController.getBusinessKiosks,
+);
+router.post(
+  "/business/:businessId/:kioskId/rotate-key",
+  protect,
+  allowBusinessStaff,
+  kioskController.rotateKioskKey,
+);
+router.patch(
+  "/business/:businessId/:kioskId/revoke",
+  protect,
+  allowBusinessStaff,
+  kioskController.revokeKiosk,
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   protect,
   restrictToOwnerOrAdmin,
   allowQueueOwnerOrAdmin,
+  allowQueueStaff,
 } = require("../middlewares/authMiddleware");
 
 router.post(
@@ -21,6 +22,12 @@ router.get(
   queueController.getTodayQueue,
 );
 
+router.get(
+  "/business/:businessId/queues/today",
+  protect,
+  queueController.getTodayQueues,
+);
+
 router.patch(
   "/queue/:id/pause",
   protect,
@@ -52,10 +59,18 @@ router.patch(
 router.patch(
   "/queue/:id/call-next",
   protect,
-  allowQueueOwnerOrAdmin,
+  allowQueueStaff,
   ticketController.callNextTicket,
 );
 
+// Manual reorders of the queue's tickets (audit trail, newest first)
+router.get(
+  "/queue/:id/reorders",
+  protect,
+  allowQueueStaff,
+  queueController.getReorderHistory,
+);
+
 router.delete(
   "/queues/:id",
   protect,
@@ -6,11 +6,24 @@
 const express = require("express");
 const router = express.Router();
 const statsController = require("../controllers/statsController");
-const { protect, restrictTo } = require("../middlewares/authMiddleware");
+const {
+  protect,
+  restrictTo,
+  allowBusinessStaff,
+} = require("../middlewares/authMiddleware");
 
 // Get business/clinic statistics
 router.get("/business/:id", protect, statsController.getBusinessStats);
 
+// ETA error metrics (MAE, bias, P90) per service and hour
+// ?from=&to=&queueId=&basis=issue|all
+router.get(
+  "/business/:businessId/eta-accuracy",
+  protect,
+  allowBusinessStaff,
+  statsController.getEtaAccuracy,
+);
+
 // Admin overview statistics
 router.get(
   "/admin/overview",
@@ -2,7 +2,11 @@
 const express = require("express");
 const router = express.Router();
 const ticketController = require("../controllers/ticketController");
-const { protect, restrictTo } = require("../middlewares/authMiddleware");
+const {
+  protect,
+  restrictTo,
+  allowBusinessStaff,
+} = require("../middlewares/authMiddleware");
 
 // NOTE: This router is intended to be mounted at app.use('/api/v1', ticketRoutes);
 
@@ -20,6 +24,12 @@ router.post(
   ticketController.createTicket,
 );
 
+// Claim a kiosk ticket into the logged-in account using its slip code
+router.post("/claim", protect, ticketController.claimTicket);
+
+// Live position of a kiosk ticket from the code on its slip (no login)
+router.get("/track/:claimCode", ticketController.trackTicketByCode);
+
 // Get all tickets (admin/staff only)
 router.get(
   "/",
@@ -54,6 +64,14 @@ router.get(
   ticketController.getClinicTickets,
 );
 
+// Rotating check-in code to show as a QR at the entrance (business staff)
+router.get(
+  "/businesses/:businessId/check-in-code",
+  protect,
+  allowBusinessStaff,
+  ticketController.getCheckInCode,
+);
+
 // IMPORTANT: Specific routes must come before generic /tickets/:id route
 // Cancel ticket
 router.patch("/:id/cancel", protect, ticketController.cancelTicket);
@@ -110,6 +128,94 @@ router.patch(
   ticketController.noShowTicket,
 );
 
+// Recall an on-hold ticket (business/staff/owner only)
+router.patch(
+  "/:id/recall",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.recallTicket,
+);
+
+// Put an on-hold ticket back in line (business/staff/owner only)
+router.patch(
+  "/:id/requeue",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.requeueTicket,
+);
+
+// Customer lets others go ahead of them (own ticket, business.deferPolicy)
+// PATCH /:id/defer { positions } or { minutes }, optional reason
+router.patch("/:id/defer", protect, ticketController.deferTicket);
+
+// Manual reordering, each with a mandatory reason (business/staff/owner only)
+// PATCH /:id/move { position, reason }   (1 = next to be called)
+// PATCH /:id/swap { otherTicketId, reason }
+// PATCH /:id/pin | /:id/unpin { reason }
+router.patch(
+  "/:id/move",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.moveTicket,
+);
+router.patch(
+  "/:id/swap",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.swapTickets,
+);
+router.patch(
+  "/:id/pin",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.pinTicket,
+);
+router.patch(
+  "/:id/unpin",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.unpinTicket,
+);
+
+// Group tickets: serve / complete each party member (business/staff/owner),
+// or take one out of the party (also the customer)
+router.patch(
+  "/:id/members/:memberId/start",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.startMember,
+);
+router.patch(
+  "/:id/members/:memberId/complete",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.completeMember,
+);
+router.patch("/:id/members/:memberId/cancel", protect, ticketController.cancelMember);
+
+// Confirm arrival: customer (QR code / location) or business staff
+router.patch("/:id/check-in", protect, ticketController.checkInTicket);
+
+// Live position, people ahead, now serving and fresh ETA
+// (customer or business staff); pushed as "positionUpdated" on sockets
+router.get("/:id/status", protect, ticketController.getTicketStatus);
+
+// Proximity alerts on the customer's own ticket; each fires once
+// PUT /:id/alerts { alerts: [{ kind: "people-ahead" | "minutes-before", threshold }] }
+router.put("/:id/alerts", protect, ticketController.setTicketAlerts);
+
+// Printable slip (customer or business staff)
+// GET /:id/slip?format=pdf|escpos&locale=en|ar
+router.get("/:id/slip", protect, ticketController.getTicketSlip);
+
+// Transfer ticket to another queue/service (business/staff/owner only)
+router.patch(
+  "/:id/transfer",
+  protect,
+  restrictTo("business", "staff", "owner"),
+  ticketController.transferTicket,
+);
+
 // Get ticket by ID (dynamic route must be last among GETs)
 router.get("/:id", protect, ticketController.getTicketById);
 
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const waitlistController = require("../controllers/waitlistController");
+const {
+  protect,
+  allowBusinessStaff,
+} = require("../middlewares/authMiddleware");
+
+// Customers join a full queue's waitlist through ticket creation:
+// POST /api/v1/tickets { ..., joinWaitlist: true }
+
+// Open waitlist entries of a business (staff only), optionally ?queueId=
+router.get(
+  "/business/:businessId",
+  protect,
+  allowBusinessStaff,
+  waitlistController.getBusinessWaitlist,
+);
+
+// Own entries with their place on the waitlist
+router.get("/me", protect, waitlistController.getMyWaitlist);
+
+// Accept a freed slot (within waitlistPolicy.acceptMinutes), or decline
+// the offer / leave the waitlist
+router.patch("/:id/accept", protect, waitlistController.acceptOffer);
+router.patch("/:id/leave", protect, waitlistController.leaveWaitlist);
+
+module.exports = router;
@@ -0,0 +1,169 @@
+/**
+ * Socket.IO Authentication and Access Control
+ *
+ * Handshake: the access token (auth.token, a Bearer Authorization header
+ * or the accessToken cookie) is checked with the same rules as the REST
+ * protect middleware. A bad token refuses the connection (connect_error
+ * with data { code, message }); no token at all connects anonymously,
+ * which is enough for public ticket tracking by claim code.
+ *
+ * Rooms:
+ * - business_<id> / queue_<id>: admin, the business itself and its
+ *   staff/owners (they carry full customer data)
+ * - user_<id>: only that account (joined automatically on connect)
+ * Staff events (callNext, skipTicket, completeTicket, ...) require a staff
+ * role in the business the ticket / queue belongs to, and are recorded
+ * under the authenticated account rather than a client-supplied staffId.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const { authenticateToken, isBusinessMember } = require("../middlewares/authMiddleware");
+
+const STAFF_ROLES = ["business", "staff", "owner", "admin"];
+
+const socketError = (code, message) => Object.assign(new Error(message), { code });
+
+// Token from the handshake: auth payload, Bearer header, then cookie
+const tokenOf = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith("Bearer")) return header.split(" ")[1];
+
+  const cookie = (handshake.headers?.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith("accessToken="));
+  return cookie ? decodeURIComponent(cookie.slice("accessToken=".length)) : null;
+};
+
+/**
+ * Socket.IO middleware: attach the authenticated account to socket.user
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Middleware callback
+ */
+exports.authenticate = async (socket, next) => {
+  const token = tokenOf(socket.handshake);
+  socket.user = null;
+  if (!token) return next();
+
+  try {
+    const { entity, decoded } = await authenticateToken(token);
+    socket.user = entity;
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    next();
+  } catch (error) {
+    // Only auth rejections carry a statusCode; database errors are not a bad token
+    const code = error.statusCode ? error.code : "SERVER_ERROR";
+    const refused = new Error(error.message);
+    refused.data = { code, message: error.message };
+    next(refused);
+  }
+};
+
+/**
+ * Check the socket still carries a live session
+ * @param {Object} socket - Connected socket
+ * @throws {Error} - UNAUTHENTICATED, TOKEN_EXPIRED
+ */
+const requireUser = (socket) => {
+  if (!socket.user) {
+    throw socketError("UNAUTHENTICATED", "Sign in to use this feature");
+  }
+  const expiresAt = socket.data.tokenExpiresAt;
+  if (expiresAt && expiresAt <= Date.now()) {
+    throw socketError("TOKEN_EXPIRED", "Session expired, reconnect with a fresh token");
+  }
+  return socket.user;
+};
+
+exports.requireUser = requireUser;
+
+/**
+ * Authorize joining a business room
+ * @param {Object} socket - Connected socket
+ * @param {String} businessId - Business ID
+ * @throws {Error} - UNAUTHENTICATED, TOKEN_EXPIRED, FORBIDDEN
+ */
+exports.authorizeBusinessRoom = (socket, businessId) => {
+  const user = requireUser(socket);
+  if (!isBusinessMember(user, businessId)) {
+    throw socketError("FORBIDDEN", "You are not a member of this business");
+  }
+};
+
+/**
+ * Authorize joining a queue room
+ * @param {Object} socket - Connected socket
+ * @param {String} queueId - Queue ID
+ * @throws {Error} - UNAUTHENTICATED, TOKEN_EXPIRED, NOT_FOUND, FORBIDDEN
+ */
+exports.authorizeQueueRoom = async (socket, queueId) => {
+  const user = requireUser(socket);
+  const queue = await Queue.findById(queueId).select("businessId");
+  if (!queue) throw socketError("NOT_FOUND", "Queue not found");
+  if (!isBusinessMember(user, queue.businessId)) {
+    throw socketError("FORBIDDEN", "You are not a member of this queue's business");
+  }
+};
+
+/**
+ * Authorize joining a personal notification room
+ * @param {Object} socket - Connected socket
+ * @param {String} userId - Requested user ID (defaults to own)
+ * @returns {String} - User ID of the room to join
+ * @throws {Error} - UNAUTHENTICATED, TOKEN_EXPIRED, FORBIDDEN
+ */
+exports.authorizeUserRoom = (socket, userId) => {
+  const user = requireUser(socket);
+  const own = user._id.toString();
+  if (userId && userId.toString() !== own) {
+    throw socketError("FORBIDDEN", "You can only join your own notification room");
+  }
+  return own;
+};
+
+/**
+ * Authorize a staff action on a business's ticket or queue
+ * @param {Object} socket - Connected socket
+ * @param {Object} data - Event payload: businessId, and ticketId or queueId
+ * @throws {Error} - UNAUTHENTICATED, TOKEN_EXPIRED, FORBIDDEN, NOT_FOUND
+ */
+exports.authorizeStaffAction = async (socket, data = {}) => {
+  const user = requireUser(socket);
+  if (!STAFF_ROLES.includes(user.role)) {
+    throw socketError("FORBIDDEN", "Only business staff can perform this action");
+  }
+
+  const { businessId, ticketId, queueId } = data;
+  if (!businessId || !isBusinessMember(user, businessId)) {
+    throw socketError("FORBIDDEN", "You are not authorized to manage this business");
+  }
+
+  // The target must belong to the business the permission was checked for
+  const target = ticketId
+    ? await Ticket.findById(ticketId).select("businessId")
+    : queueId
+      ? await Queue.findById(queueId).select("businessId")
+      : null;
+  if ((ticketId || queueId) && !target) {
+    throw socketError("NOT_FOUND", ticketId ? "Ticket not found" : "Queue not found");
+  }
+  if (target && target.businessId?.toString() !== businessId.toString()) {
+    throw socketError("FORBIDDEN", "This ticket or queue belongs to another business");
+  }
+};
+
+/**
+ * Error payload for a refused socket request
+ * @param {String} event - Client event that was refused
+ * @param {Error} error - Error with code
+ * @returns {Object} - { status, event, code, message }
+ */
+exports.refusal = (event, error) => ({
+  status: "fail",
+  event,
+  code: error.code || "FORBIDDEN",
+  message: error.message,
+});
@@ -6,40 +6,274 @@
  * Server → ticketCreated
  * Server → ticketUpdated
  * Client → callNext (staff action)
+ *
+ * Public display board: namespace /display
+ * Client → watch { businessId, locale } (no auth, anonymized data only)
+ * Server → displaySnapshot, displayCall
+ *
+ * Live ticket position: Client → trackTicket { ticketId, claimCode }
+ * Server → positionUpdated (ticket room and the owner's user room)
+ * Server → proximityAlert (same rooms, once per alert threshold)
+ *
+ * Authentication and room / staff-action permissions: see socketAuth.
+ * Refused requests get an "error" event and, when the client passed an
+ * acknowledgement callback, the same { status: "fail", event, code,
+ * message } payload through it.
  */
 
+const displayBoard = require("../utils/displayBoard");
+const etaCalculator = require("../utils/etaCalculator");
+const { seatsOf } = require("../utils/groupTicket");
+const ticketPosition = require("../utils/ticketPosition");
+const proximityAlerts = require("../utils/proximityAlerts");
+const waitlist = require("../utils/waitlist");
+const socketAuth = require("./socketAuth");
+
+// Display snapshots and ticket positions are rebuilt at most this often
+// per business
+const DISPLAY_REFRESH_MS = 1000;
+const POSITION_REFRESH_MS = 1000;
+
+// Public subset of a counter sent along with call events
+const formatCounter = (counter) =>
+  counter
+    ? { id: counter._id, number: counter.number, name: counter.name }
+    : null;
+
+// Error payload for failed ticket actions; state machine errors carry
+// their own code (ILLEGAL_TRANSITION / STATUS_CONFLICT)
+const ticketActionError = (error, fallbackMessage) =>
+  typeof error.toResponse === "function"
+    ? error.toResponse()
+    : {
+        message: error.statusCode ? error.message : fallbackMessage,
+        error: error.message,
+      };
+
+// Report a refused request on "error" and through the acknowledgement
+const refuse = (socket, ack, event, error) => {
+  const payload = socketAuth.refusal(event, error);
+  socket.emit("error", payload);
+  if (typeof ack === "function") ack(payload);
+};
+
 const socketHandler = (io) => {
+  // Authenticate every connection to the main namespace before any event
+  // handler runs (the /display namespace stays public)
+  io.use(socketAuth.authenticate);
+
   // Store connected users
   const connectedUsers = new Map();
 
+  // =========================================
+  // PUBLIC DISPLAY BOARD (/display namespace)
+  // Separate namespace so waiting-room screens never join business rooms,
+  // which carry full customer data
+  // =========================================
+  const display = io.of("/display");
+  const displayRefreshTimers = new Map();
+
+  const displayRoom = (businessId, locale) => `display_${businessId}_${locale}`;
+  const displayRooms = (businessId) =>
+    displayBoard.LOCALES.map((locale) => displayRoom(businessId, locale));
+  const hasDisplays = (businessId) =>
+    displayRooms(businessId).some((room) => display.adapter.rooms.get(room)?.size);
+
+  // Push a fresh snapshot to every screen of a business (debounced)
+  const refreshDisplay = (businessId) => {
+    const id = businessId.toString();
+    if (displayRefreshTimers.has(id) || !hasDisplays(id)) return;
+
+    displayRefreshTimers.set(
+      id,
+      setTimeout(async () => {
+        displayRefreshTimers.delete(id);
+        try {
+          const snapshot = await displayBoard.buildSnapshot(id);
+          display.to(displayRooms(id)).emit("displaySnapshot", snapshot);
+        } catch (error) {
+          console.error("display refresh error:", error.message);
+        }
+      }, DISPLAY_REFRESH_MS),
+    );
+  };
+
+  // Announce a call on the screens, each in its own language
+  const announceOnDisplay = async (businessId, ticket, counter) => {
+    const id = businessId.toString();
+    if (!hasDisplays(id)) return;
+    try {
+      const call = await displayBoard.buildCallEvent(ticket, counter);
+      if (call) {
+        const { announcements, ...event } = call;
+        displayBoard.LOCALES.forEach((locale) => {
+          display.to(displayRoom(id, locale)).emit("displayCall", {
+            ...event,
+            locale,
+            announcement: announcements?.[locale] || null,
+          });
+        });
+      }
+    } catch (error) {
+      console.error("display announce error:", error.message);
+    }
+    onQueueChange(id);
+  };
+
+  // =========================================
+  // LIVE TICKET POSITIONS
+  // Recomputed for the whole business after any change; each customer only
+  // gets an update when their own position, people ahead, now serving
+  // number or ETA changed
+  // =========================================
+  const positionRefreshTimers = new Map();
+  const lastPositions = new Map(); // ticketId -> signature of last push
+  const trackedByBusiness = new Map(); // businessId -> ticketIds in line
+
+  const positionSignature = (s) =>
+    [s.position, s.peopleAhead, s.priorityAhead, s.nowServing, s.eta?.estimatedMinutes].join("|");
+
+  const emitPosition = (status) => {
+    const { userId, ...payload } = status;
+    const rooms = [`ticket_${status.ticketId}`];
+    if (userId) rooms.push(`user_${userId}`);
+    io.to(rooms).emit("positionUpdated", { ...payload, timestamp: new Date() });
+  };
+
+  const refreshPositions = (businessId) => {
+    const id = businessId.toString();
+    if (positionRefreshTimers.has(id)) return;
+
+    positionRefreshTimers.set(
+      id,
+      setTimeout(async () => {
+        positionRefreshTimers.delete(id);
+        try {
+          const statuses = await ticketPosition.businessPositions(id);
+          statuses.forEach((status) => {
+            const key = status.ticketId.toString();
+            const signature = positionSignature(status);
+            if (lastPositions.get(key) === signature) return;
+            lastPositions.set(key, signature);
+            emitPosition(status);
+          });
+
+          // Forget tickets of this business that left the line
+          const live = new Set(statuses.map((s) => s.ticketId.toString()));
+          (trackedByBusiness.get(id) || new Set()).forEach((key) => {
+            if (!live.has(key)) lastPositions.delete(key);
+          });
+          trackedByBusiness.set(id, live);
+        } catch (error) {
+          console.error("position refresh error:", error.message);
+        }
+      }, POSITION_REFRESH_MS),
+    );
+  };
+
+  // Something changed in a business's queues: update screens and customers
+  const onQueueChange = (businessId) => {
+    refreshDisplay(businessId);
+    refreshPositions(businessId);
+  };
+
+  // The line moved: send the proximity alerts that are now due
+  const evaluateAlerts = (queueId) => {
+    if (queueId) proximityAlerts.evaluateQueue(queueId._id || queueId, helpers);
+  };
+
+  // The line moved: re-estimate every waiting ticket and tell customers
+  const refreshETAs = (queueId, event) => {
+    if (queueId) etaCalculator.updateQueueETAs(queueId._id || queueId, { socketIO: helpers, event });
+  };
+
+  display.on("connection", (socket) => {
+    socket.on("watch", async (data) => {
+      const businessId = typeof data === "string" ? data : data?.businessId;
+      if (!businessId) {
+        socket.emit("error", { message: "businessId is required" });
+        return;
+      }
+
+      try {
+        const snapshot = await displayBoard.buildSnapshot(businessId);
+        const locale = displayBoard.pickLocale(data?.locale, {
+          locale: snapshot.defaultLocale,
+        });
+
+        // One business and language per screen
+        socket.rooms.forEach((room) => {
+          if (room.startsWith("display_")) socket.leave(room);
+        });
+        socket.join(displayRoom(businessId.toString(), locale));
+
+        socket.emit("displaySnapshot", snapshot);
+      } catch (error) {
+        socket.emit("error", {
+          message: error.statusCode ? error.message : "Failed to load display board",
+        });
+      }
+    });
+
+    socket.on("unwatch", () => {
+      socket.rooms.forEach((room) => {
+        if (room.startsWith("display_")) socket.leave(room);
+      });
+    });
+  });
+
   io.on("connection", (socket) => {
     console.log(`🔌 New client connected: ${socket.id}`);
 
+    // Personal notifications (ticket called, ETA drift, waitlist offers...)
+    if (socket.user) socket.join(`user_${socket.user._id}`);
+
+    // Staff events: check the caller may manage the business and the
+    // ticket / queue belongs to it, then act as the authenticated account
+    const staffAction = (event, handler) => async (data, ack) => {
+      try {
+        await socketAuth.authorizeStaffAction(socket, data || {});
+      } catch (error) {
+        refuse(socket, ack, event, error);
+        return;
+      }
+      return handler({ ...data, staffId: socket.user._id }, ack);
+    };
+
     // =========================================
     // JOIN BUSINESS/CLINIC ROOM
     // Client → joinClinic (join room by businessId)
+    // Business rooms carry full customer data: members of the business only
     // =========================================
-    socket.on("joinBusiness", (data) => {
+    const joinBusiness = (event) => (data, ack) => {
       // Handle case where data might be undefined or just a string
       if (!data) {
-        socket.emit("error", { message: "Invalid data format" });
+        refuse(socket, ack, event, { code: "INVALID_DATA", message: "Invalid data format" });
         return;
       }
 
       // If data is a string, treat it as businessId
-      let businessId = typeof data === 'string' ? data : data.businessId;
-      const userId = typeof data === 'object' ? data.userId : null;
-      const role = typeof data === 'object' ? data.role : null;
-      
+      let businessId =
+        typeof data === 'string' ? data : data.businessId || data.clinicId;
+
       if (!businessId) {
-        socket.emit("error", { message: "businessId is required" });
+        refuse(socket, ack, event, { code: "INVALID_DATA", message: "businessId is required" });
+        return;
+      }
+
+      try {
+        socketAuth.authorizeBusinessRoom(socket, businessId);
+      } catch (error) {
+        refuse(socket, ack, event, error);
         return;
       }
 
       // Ensure businessId is a string
       businessId = businessId.toString();
       const room = `business_${businessId}`;
-      
+      const userId = socket.user._id.toString();
+      const role = socket.user.role || null;
+
       // Join the business room
       socket.join(room);
       
@@ -52,7 +286,7 @@ const socketHandler = (io) => {
       });
 
       const roomSize = io.sockets.adapter.rooms.get(room)?.size || 0;
-      console.log(`👤 User ${userId || socket.id} joined business room: ${room} (Room size: ${roomSize})`);
+      console.log(`👤 User ${userId} joined business room: ${room} (Room size: ${roomSize})`);
 
       // Notify room about new connection
       socket.to(room).emit("userJoined", {
@@ -62,19 +296,21 @@ const socketHandler = (io) => {
       });
 
       // Confirm join to client
-      socket.emit("joinedBusiness", {
+      const joined = {
         success: true,
         businessId,
         room,
         roomSize,
         message: `Successfully joined business ${businessId}`,
-      });
-    });
+      };
+      socket.emit("joinedBusiness", joined);
+      if (typeof ack === "function") ack({ status: "success", ...joined });
+    };
+
+    socket.on("joinBusiness", joinBusiness("joinBusiness"));
 
     // Alias for documentation compatibility
-    socket.on("joinClinic", (data) => {
-      socket.emit("joinBusiness", { ...data, businessId: data.clinicId || data.businessId });
-    });
+    socket.on("joinClinic", joinBusiness("joinClinic"));
 
     // =========================================
     // LEAVE BUSINESS ROOM
@@ -89,57 +325,190 @@ const socketHandler = (io) => {
     });
 
     // =========================================
-    // CALL NEXT TICKET (Staff Action)
-    // Client → callNext
+    // JOIN / LEAVE QUEUE ROOM
+    // Per-queue updates (e.g. a ticket transferred in or out)
     // =========================================
-    socket.on("callNext", async (data) => {
-      const { businessId, queueId, staffId } = data;
+    socket.on("joinQueue", async (data, ack) => {
+      const queueId = typeof data === 'string' ? data : data?.queueId;
 
-      if (!businessId) {
-        socket.emit("error", { message: "businessId is required" });
+      if (!queueId) {
+        refuse(socket, ack, "joinQueue", { code: "INVALID_DATA", message: "queueId is required" });
         return;
       }
 
-      // Emit to the business room that next ticket is being called
-      io.to(`business_${businessId}`).emit("ticketCalling", {
-        queueId,
-        staffId,
-        timestamp: new Date(),
-      });
+      try {
+        await socketAuth.authorizeQueueRoom(socket, queueId);
+      } catch (error) {
+        refuse(socket, ack, "joinQueue", error);
+        return;
+      }
 
-      console.log(`📢 Staff ${staffId} calling next ticket for business ${businessId}`);
+      const joined = { success: true, queueId, room: `queue_${queueId}` };
+      socket.join(joined.room);
+      socket.emit("joinedQueue", joined);
+      if (typeof ack === "function") ack({ status: "success", ...joined });
+    });
+
+    socket.on("leaveQueue", (data) => {
+      const queueId = typeof data === 'string' ? data : data?.queueId;
+      socket.leave(`queue_${queueId}`);
     });
 
     // =========================================
-    // CALL SPECIFIC TICKET
-    // Client → callTicket
+    // TRACK A TICKET (live position)
+    // Client → trackTicket { ticketId, claimCode }
+    // Allowed for the ticket owner (authenticated socket) or with the claim
+    // code printed on a kiosk slip
     // =========================================
-    socket.on("callTicket", async (data) => {
+    socket.on("trackTicket", async (data) => {
       try {
-        const { ticketId, businessId } = data;
-
-        if (!ticketId || !businessId) {
-          socket.emit("error", { message: "ticketId and businessId are required" });
+        const { ticketId, claimCode } = data || {};
+        if (!ticketId) {
+          socket.emit("error", { message: "ticketId is required" });
           return;
         }
 
-        // Import ticket controller
         const Ticket = require("../models/ticketSchema");
-        
-        const ticket = await Ticket.findById(ticketId).populate("userId");
-        if (!ticket) {
+        const ticket = await Ticket.findById(ticketId);
+        const socketUserId = socket.user?._id;
+        const isOwner =
+          socketUserId && ticket?.userId?.toString() === socketUserId.toString();
+        const hasCode =
+          claimCode &&
+          ticket?.claimCode &&
+          ticket.claimCode === String(claimCode).trim().toUpperCase();
+        if (!isOwner && !hasCode) {
           socket.emit("error", { message: "Ticket not found" });
           return;
         }
 
-        if (ticket.status !== "waiting") {
-          socket.emit("error", { message: "Only waiting tickets can be called" });
+        socket.join(`ticket_${ticket._id}`);
+
+        const { userId, ...status } = await ticketPosition.getTicketStatus(ticket);
+        socket.emit("positionUpdated", { ...status, timestamp: new Date() });
+      } catch (error) {
+        console.error("trackTicket error:", error);
+        socket.emit("error", { message: "Failed to track ticket", error: error.message });
+      }
+    });
+
+    socket.on("untrackTicket", (data) => {
+      const ticketId = typeof data === 'string' ? data : data?.ticketId;
+      socket.leave(`ticket_${ticketId}`);
+    });
+
+    // =========================================
+    // CALL NEXT TICKET (Staff Action)
+    // Client → callNext
+    // =========================================
+    socket.on("callNext", staffAction("callNext", async (data) => {
+      try {
+        const { businessId, queueId, staffId, counterId } = data;
+
+        if (!businessId || !queueId) {
+          socket.emit("error", { message: "businessId and queueId are required" });
+          return;
+        }
+
+        // Emit to the business room that next ticket is being called
+        io.to(`business_${businessId}`).emit("ticketCalling", {
+          queueId,
+          staffId,
+          timestamp: new Date(),
+        });
+
+        const dispatchPolicy = require("../utils/dispatchPolicy");
+        const Ticket = require("../models/ticketSchema");
+        const Counter = require("../models/counterSchema");
+
+        // Counter the ticket is called to: explicit, or the one the staff is signed in to
+        let counter = null;
+        if (counterId) {
+          counter = await Counter.findOne({ _id: counterId, businessId });
+          if (!counter || counter.status !== "open") {
+            socket.emit("error", { message: "Counter not found or closed" });
+            return;
+          }
+        } else if (staffId) {
+          counter = await Counter.findOne({
+            businessId,
+            currentStaff: staffId,
+            status: "open",
+          });
+        }
+
+        // Same priority-aware policy as the REST call-next endpoint
+        const calledTicket = await dispatchPolicy.callNext(queueId, {
+          counter,
+          servedBy: staffId,
+        });
+        if (!calledTicket) {
+          socket.emit("error", { message: "No waiting tickets in the queue" });
           return;
         }
 
-        ticket.status = "called";
-        ticket.calledAt = new Date();
-        await ticket.save();
+        const ticket = await Ticket.findById(calledTicket._id).populate("userId");
+        const counterInfo = formatCounter(counter);
+
+        io.to(`business_${businessId}`).emit("ticketCalled", {
+          ticket,
+          counter: counterInfo,
+          announcement: counterInfo
+            ? `Ticket ${ticket.displayNumber || ticket.ticketNumber} → Counter ${counterInfo.number}`
+            : null,
+          timestamp: new Date(),
+        });
+
+        if (ticket.userId?._id) {
+          io.to(`user_${ticket.userId._id}`).emit("yourTicketCalled", {
+            ticket,
+            counter: counterInfo,
+            message: counterInfo
+              ? `Your ticket has been called! Please proceed to Counter ${counterInfo.number}.`
+              : "Your ticket has been called! Please proceed to the counter.",
+            timestamp: new Date(),
+          });
+        }
+
+        announceOnDisplay(businessId, ticket, counter);
+
+        socket.emit("ticketActionSuccess", {
+          action: "called",
+          ticket,
+          counter: counterInfo,
+          message: "Next ticket called successfully",
+        });
+
+        refreshETAs(queueId, "call");
+        evaluateAlerts(queueId);
+
+        console.log(`📢 Staff ${staffId} called ticket ${ticket.ticketNumber} for business ${businessId}`);
+      } catch (error) {
+        console.error("callNext error:", error);
+        socket.emit("error", { message: "Failed to call next ticket", error: error.message });
+      }
+    }));
+
+    // =========================================
+    // CALL SPECIFIC TICKET
+    // Client → callTicket
+    // =========================================
+    socket.on("callTicket", staffAction("callTicket", async (data) => {
+      try {
+        const { ticketId, businessId, staffId } = data;
+
+        if (!ticketId || !businessId) {
+          socket.emit("error", { message: "ticketId and businessId are required" });
+          return;
+        }
+
+        const { transition } = require("../utils/ticketStateMachine");
+
+        const ticket = await transition(ticketId, "called", {
+          by: staffId,
+          from: "waiting",
+          set: { calledAt: new Date() },
+        });
 
         // Emit to business room
         io.to(`business_${businessId}`).emit("ticketCalled", {
@@ -156,6 +525,10 @@ const socketHandler = (io) => {
           });
         }
 
+        announceOnDisplay(businessId, ticket);
+        refreshETAs(ticket.queueId, "call");
+        evaluateAlerts(ticket.queueId);
+
         socket.emit("ticketActionSuccess", {
           action: "called",
           ticket,
@@ -165,17 +538,17 @@ const socketHandler = (io) => {
         console.log(`📢 Ticket ${ticketId} called for business ${businessId}`);
       } catch (error) {
         console.error("callTicket error:", error);
-        socket.emit("error", { message: "Failed to call ticket", error: error.message });
+        socket.emit("error", ticketActionError(error, "Failed to call ticket"));
       }
-    });
+    }));
 
     // =========================================
     // SKIP TICKET (Mark as No-Show)
     // Client → skipTicket
     // =========================================
-    socket.on("skipTicket", async (data) => {
+    socket.on("skipTicket", staffAction("skipTicket", async (data) => {
       try {
-        const { ticketId, businessId } = data;
+        const { ticketId, businessId, staffId } = data;
 
         if (!ticketId || !businessId) {
           socket.emit("error", { message: "ticketId and businessId are required" });
@@ -184,25 +557,42 @@ const socketHandler = (io) => {
 
         const Ticket = require("../models/ticketSchema");
         const Queue = require("../models/queueSchema");
+        const { transition } = require("../utils/ticketStateMachine");
 
-        const ticket = await Ticket.findById(ticketId);
+        let ticket = await Ticket.findById(ticketId);
         if (!ticket) {
           socket.emit("error", { message: "Ticket not found" });
           return;
         }
 
-        if (ticket.status !== "waiting") {
-          socket.emit("error", { message: "Only waiting tickets can be skipped" });
+        // Called customers who don't show up get a grace period on hold
+        if (ticket.status === "called") {
+          const { holdTicket } = require("../utils/ticketHold");
+          const held = await holdTicket(ticket._id, {
+            socketIO: helpers,
+            actor: { by: staffId, reason: "no-show" },
+          });
+
+          socket.emit("ticketActionSuccess", {
+            action: "held",
+            ticket: held,
+            message: "Ticket put on hold",
+          });
+
+          console.log(`⏸️ Ticket ${ticketId} put on hold for business ${businessId}`);
           return;
         }
 
-        ticket.status = "missed";
-        await ticket.save();
+        ticket = await transition(ticket, "missed", {
+          by: staffId,
+          reason: "no-show",
+          from: "waiting",
+        });
 
         // Update queue count
         if (ticket.queueId) {
           await Queue.findByIdAndUpdate(ticket.queueId, {
-            $inc: { currentCount: -1 },
+            $inc: { currentCount: -seatsOf(ticket) },
           });
         }
 
@@ -211,6 +601,10 @@ const socketHandler = (io) => {
           ticket,
           timestamp: new Date(),
         });
+        onQueueChange(businessId);
+        refreshETAs(ticket.queueId, "no-show");
+        evaluateAlerts(ticket.queueId);
+        waitlist.promoteNext(ticket.queueId, helpers);
 
         socket.emit("ticketActionSuccess", {
           action: "skipped",
@@ -221,17 +615,63 @@ const socketHandler = (io) => {
         console.log(`⏭️ Ticket ${ticketId} skipped for business ${businessId}`);
       } catch (error) {
         console.error("skipTicket error:", error);
-        socket.emit("error", { message: "Failed to skip ticket", error: error.message });
+        socket.emit("error", ticketActionError(error, "Failed to skip ticket"));
       }
-    });
+    }));
+
+    // =========================================
+    // RECALL / REQUEUE ON-HOLD TICKET
+    // Client → recallTicket / requeueTicket
+    // =========================================
+    const onHoldAction = (action, successMessage) => async (data) => {
+      try {
+        const { ticketId, businessId, positions, staffId, reason } = data || {};
+
+        if (!ticketId || !businessId) {
+          socket.emit("error", { message: "ticketId and businessId are required" });
+          return;
+        }
+
+        const ticketHold = require("../utils/ticketHold");
+        const options = {
+          socketIO: helpers,
+          actor: { by: staffId, reason },
+          positions,
+        };
+        const ticket =
+          action === "requeued"
+            ? await ticketHold.requeueTicket(ticketId, options)
+            : await ticketHold.recallTicket(ticketId, options);
+
+        socket.emit("ticketActionSuccess", {
+          action,
+          ticket,
+          message: successMessage,
+        });
+
+        console.log(`🔁 Ticket ${ticketId} ${action} for business ${businessId}`);
+      } catch (error) {
+        console.error(`${action} ticket error:`, error);
+        socket.emit("error", ticketActionError(error, "Failed to update ticket"));
+      }
+    };
+
+    socket.on(
+      "recallTicket",
+      staffAction("recallTicket", onHoldAction("recalled", "Ticket recalled successfully")),
+    );
+    socket.on(
+      "requeueTicket",
+      staffAction("requeueTicket", onHoldAction("requeued", "Ticket requeued successfully")),
+    );
 
     // =========================================
     // CANCEL TICKET
     // Client → cancelTicket
     // =========================================
-    socket.on("cancelTicket", async (data) => {
+    socket.on("cancelTicket", staffAction("cancelTicket", async (data) => {
       try {
-        const { ticketId, businessId, reason } = data;
+        const { ticketId, businessId, reason, staffId } = data;
 
         if (!ticketId || !businessId) {
           socket.emit("error", { message: "ticketId and businessId are required" });
@@ -241,27 +681,27 @@ const socketHandler = (io) => {
         const Ticket = require("../models/ticketSchema");
         const Queue = require("../models/queueSchema");
 
-        const ticket = await Ticket.findById(ticketId);
+        const { transition } = require("../utils/ticketStateMachine");
+
+        let ticket = await Ticket.findById(ticketId);
         if (!ticket) {
           socket.emit("error", { message: "Ticket not found" });
           return;
         }
 
-        if (["done", "cancelled", "missed"].includes(ticket.status)) {
-          socket.emit("error", { message: `Cannot cancel a ${ticket.status} ticket` });
-          return;
-        }
-
-        const wasWaiting = ticket.status === "waiting";
+        // On-hold tickets still hold their queue slot
+        const wasWaiting = ["waiting", "on-hold"].includes(ticket.status);
 
-        ticket.status = "cancelled";
-        ticket.cancelReason = reason || null;
-        await ticket.save();
+        ticket = await transition(ticket, "cancelled", {
+          by: staffId,
+          reason,
+          set: { cancelReason: reason || null, cancelledBy: staffId || null },
+        });
 
         // Update queue count if was waiting
         if (wasWaiting && ticket.queueId) {
           await Queue.findByIdAndUpdate(ticket.queueId, {
-            $inc: { currentCount: -1 },
+            $inc: { currentCount: -seatsOf(ticket) },
           });
         }
 
@@ -270,6 +710,10 @@ const socketHandler = (io) => {
           ticket,
           timestamp: new Date(),
         });
+        onQueueChange(businessId);
+        if (wasWaiting) refreshETAs(ticket.queueId, "cancel");
+        evaluateAlerts(ticket.queueId);
+        if (wasWaiting) waitlist.promoteNext(ticket.queueId, helpers);
 
         socket.emit("ticketActionSuccess", {
           action: "cancelled",
@@ -280,45 +724,52 @@ const socketHandler = (io) => {
         console.log(`✕ Ticket ${ticketId} cancelled for business ${businessId}`);
       } catch (error) {
         console.error("cancelTicket error:", error);
-        socket.emit("error", { message: "Failed to cancel ticket", error: error.message });
+        socket.emit("error", ticketActionError(error, "Failed to cancel ticket"));
       }
-    });
+    }));
 
     // =========================================
     // COMPLETE TICKET
     // Client → completeTicket
     // =========================================
-    socket.on("completeTicket", async (data) => {
+    socket.on("completeTicket", staffAction("completeTicket", async (data) => {
       try {
-        const { ticketId, businessId } = data;
+        const { ticketId, businessId, staffId } = data;
 
         if (!ticketId || !businessId) {
           socket.emit("error", { message: "ticketId and businessId are required" });
           return;
         }
 
-        const Ticket = require("../models/ticketSchema");
+        const { transition } = require("../utils/ticketStateMachine");
 
-        const ticket = await Ticket.findById(ticketId);
-        if (!ticket) {
-          socket.emit("error", { message: "Ticket not found" });
-          return;
-        }
+        const { completeOpenMembers } = require("../utils/groupTicket");
 
-        if (ticket.status === "done") {
-          socket.emit("error", { message: "Ticket already completed" });
-          return;
-        }
+        const ticket = await completeOpenMembers(
+          await transition(ticketId, "done", {
+            by: staffId,
+            set: { completedAt: new Date() },
+          }),
+        );
 
-        ticket.status = "done";
-        ticket.completedAt = new Date();
-        await ticket.save();
+        // Free the counter that was serving this ticket (same as REST)
+        if (ticket.counterId) {
+          const Counter = require("../models/counterSchema");
+          await Counter.updateOne(
+            { _id: ticket.counterId, currentTicket: ticket._id },
+            { currentTicket: null },
+          );
+        }
 
         // Emit to business room
         io.to(`business_${businessId}`).emit("ticketCompleted", {
           ticket,
           timestamp: new Date(),
         });
+        onQueueChange(businessId);
+        refreshETAs(ticket.queueId, "complete");
+        evaluateAlerts(ticket.queueId);
+        waitlist.promoteNext(ticket.queueId, helpers);
 
         socket.emit("ticketActionSuccess", {
           action: "completed",
@@ -329,24 +780,72 @@ const socketHandler = (io) => {
         console.log(`✓ Ticket ${ticketId} completed for business ${businessId}`);
       } catch (error) {
         console.error("completeTicket error:", error);
-        socket.emit("error", { message: "Failed to complete ticket", error: error.message });
+        socket.emit("error", ticketActionError(error, "Failed to complete ticket"));
       }
-    });
+    }));
 
 
+    // =========================================
+    // TRANSFER TICKET
+    // Client → transferTicket (move to another queue / service)
+    // =========================================
+    socket.on("transferTicket", staffAction("transferTicket", async (data) => {
+      try {
+        const { ticketId, businessId, queueId, serviceId, placement, reason, staffId } = data;
+
+        if (!ticketId || !businessId) {
+          socket.emit("error", { message: "ticketId and businessId are required" });
+          return;
+        }
+
+        const { transferTicket } = require("../utils/ticketTransfer");
+
+        const result = await transferTicket(ticketId, {
+          queueId,
+          serviceId,
+          placement,
+          reason,
+          by: staffId,
+        });
+
+        helpers.emitTicketTransferred(businessId, result);
+        refreshETAs(result.toQueue._id, "transfer");
+        if (result.fromQueue && !result.fromQueue._id.equals(result.toQueue._id)) {
+          refreshETAs(result.fromQueue._id, "transfer");
+        }
+
+        socket.emit("ticketActionSuccess", {
+          action: "transferred",
+          ticket: result.ticket,
+          message: "Ticket transferred successfully",
+        });
+
+        console.log(`🔀 Ticket ${ticketId} transferred for business ${businessId}`);
+      } catch (error) {
+        console.error("transferTicket error:", error);
+        socket.emit("error", ticketActionError(error, "Failed to transfer ticket"));
+      }
+    }));
+
     // =========================================
     // JOIN USER'S PERSONAL ROOM (for notifications)
     // =========================================
-    socket.on("joinUserRoom", (data) => {
+    // Authenticated sockets are already in their own room; this stays for
+    // older clients and only accepts the caller's own userId
+    socket.on("joinUserRoom", (data, ack) => {
       // Handle case where data might be a string (userId) or an object
-      const userId = typeof data === 'string' ? data : (data?.userId || data);
-      
-      if (!userId) {
-        socket.emit("error", { message: "userId is required" });
+      const requested = typeof data === 'string' ? data : data?.userId;
+
+      let userId;
+      try {
+        userId = socketAuth.authorizeUserRoom(socket, requested);
+      } catch (error) {
+        refuse(socket, ack, "joinUserRoom", error);
         return;
       }
 
       socket.join(`user_${userId}`);
+      if (typeof ack === "function") ack({ status: "success", room: `user_${userId}` });
       console.log(`👤 User ${userId} joined personal notification room`);
     });
 
@@ -393,7 +892,7 @@ const socketHandler = (io) => {
   // HELPER FUNCTIONS TO EMIT FROM CONTROLLERS
   // =========================================
   
-  return {
+  const helpers = {
     // Server → ticketCreated
     emitTicketCreated: (businessId, ticket) => {
       const businessIdStr = businessId.toString();
@@ -404,6 +903,8 @@ const socketHandler = (io) => {
         timestamp: new Date(),
       });
       
+      onQueueChange(businessIdStr);
+
       console.log(`📤 Emitted ticketCreated to room ${room}`, {
         businessId: businessIdStr,
         ticketId: ticket?._id,
@@ -418,14 +919,22 @@ const socketHandler = (io) => {
         ticket,
         timestamp: new Date(),
       });
+      onQueueChange(businessId);
       console.log(`📤 Emitted ticketUpdated to business ${businessId}`);
     },
 
     // Emit ticket called (when staff calls next)
-    emitTicketCalled: (businessId, ticket, userId) => {
+    // counter is optional: { _id, number, name } of the desk serving it
+    emitTicketCalled: (businessId, ticket, userId, counter) => {
+      const counterInfo = formatCounter(counter);
+
       // Emit to business room
       io.to(`business_${businessId}`).emit("ticketCalled", {
         ticket,
+        counter: counterInfo,
+        announcement: counterInfo
+          ? `Ticket ${ticket.displayNumber || ticket.ticketNumber} → Counter ${counterInfo.number}`
+          : null,
         timestamp: new Date(),
       });
 
@@ -433,10 +942,14 @@ const socketHandler = (io) => {
       if (userId) {
         io.to(`user_${userId}`).emit("yourTicketCalled", {
           ticket,
-          message: "Your ticket has been called! Please proceed to the counter.",
+          counter: counterInfo,
+          message: counterInfo
+            ? `Your ticket has been called! Please proceed to Counter ${counterInfo.number}.`
+            : "Your ticket has been called! Please proceed to the counter.",
           timestamp: new Date(),
         });
       }
+      announceOnDisplay(businessId, ticket, counter);
       console.log(`📤 Emitted ticketCalled to business ${businessId}`);
     },
 
@@ -446,6 +959,7 @@ const socketHandler = (io) => {
         ticket,
         timestamp: new Date(),
       });
+      onQueueChange(businessId);
       console.log(`📤 Emitted ticketSkipped to business ${businessId}`);
     },
 
@@ -455,6 +969,7 @@ const socketHandler = (io) => {
         ticket,
         timestamp: new Date(),
       });
+      onQueueChange(businessId);
       console.log(`📤 Emitted ticketCancelled to business ${businessId}`);
     },
 
@@ -464,9 +979,40 @@ const socketHandler = (io) => {
         ticket,
         timestamp: new Date(),
       });
+      onQueueChange(businessId);
       console.log(`📤 Emitted ticketCompleted to business ${businessId}`);
     },
 
+    // Emit counter status change (staff sign in/out, open/close)
+    emitCounterUpdate: (businessId, counter) => {
+      io.to(`business_${businessId}`).emit("counterUpdated", {
+        counter,
+        timestamp: new Date(),
+      });
+      onQueueChange(businessId);
+      console.log(`📤 Emitted counterUpdated to business ${businessId}`);
+    },
+
+    // Emit appointment booked/rescheduled/cancelled
+    // Goes to the business room and the customer
+    emitAppointmentUpdate: (businessId, appointment, event = "appointmentUpdated") => {
+      const payload = { appointment, timestamp: new Date() };
+      io.to(`business_${businessId}`).emit(event, payload);
+      if (appointment.userId) {
+        io.to(`user_${appointment.userId.toString()}`).emit(event, payload);
+      }
+      console.log(`📤 Emitted ${event} to business ${businessId}`);
+    },
+
+    // Overflow waitlist changed (joined, offered, accepted, expired, ...)
+    emitWaitlistUpdated: (businessId, entry) => {
+      io.to(`business_${businessId}`).emit("waitlistUpdated", {
+        entry,
+        timestamp: new Date(),
+      });
+      console.log(`📤 Emitted waitlistUpdated to business ${businessId}`);
+    },
+
     // Emit queue status update
     emitQueueUpdate: (businessId, queueData) => {
       const businessIdStr = businessId.toString();
@@ -478,6 +1024,8 @@ const socketHandler = (io) => {
         timestamp: new Date(),
       });
       
+      onQueueChange(businessIdStr);
+
       console.log(`📤 Emitted queueUpdated to room ${room}`, {
         businessId: businessIdStr,
         queueData,
@@ -485,6 +1033,62 @@ const socketHandler = (io) => {
       });
     },
 
+    // Emit ticket transferred between queues/services
+    // Goes to the business room, both queue rooms and the ticket owner
+    emitTicketTransferred: (businessId, { ticket, fromQueue, toQueue }) => {
+      const payload = {
+        ticket,
+        fromQueueId: fromQueue?._id,
+        toQueueId: toQueue._id,
+        transfer: ticket.transfers?.[ticket.transfers.length - 1],
+        timestamp: new Date(),
+      };
+
+      const rooms = [`business_${businessId}`, `queue_${toQueue._id}`];
+      if (fromQueue && !fromQueue._id.equals(toQueue._id)) {
+        rooms.push(`queue_${fromQueue._id}`);
+      }
+      io.to(rooms).emit("ticketTransferred", payload);
+
+      [fromQueue, toQueue].filter(Boolean).forEach((queue) => {
+        io.to(rooms).emit("queueUpdated", {
+          businessId: businessId.toString(),
+          queue: {
+            queueId: queue._id.toString(),
+            name: queue.name,
+            status: queue.status,
+            currentCount: queue.currentCount,
+            currentTicketNumber: queue.currentTicketNumber,
+          },
+          timestamp: new Date(),
+        });
+      });
+
+      if (ticket.userId) {
+        io.to(`user_${ticket.userId}`).emit("yourTicketTransferred", {
+          ...payload,
+          message: `Your ticket is now ${ticket.displayNumber || ticket.ticketNumber} in ${toQueue.name || "another queue"}.`,
+        });
+      }
+      onQueueChange(businessId);
+      console.log(`📤 Emitted ticketTransferred to ${rooms.join(", ")}`);
+    },
+
+    // Announce a (re)call on the public display board
+    announceOnDisplay,
+
+    // Emit to everyone following a ticket: its room and the owner's room
+    emitToTicket: (ticket, event, data) => {
+      const rooms = [`ticket_${ticket._id}`];
+      const userId = ticket.userId?._id || ticket.userId;
+      if (userId) rooms.push(`user_${userId}`);
+      io.to(rooms).emit(event, {
+        ...data,
+        timestamp: new Date(),
+      });
+      console.log(`📤 Emitted ${event} for ticket ${ticket._id}`);
+    },
+
     // Emit notification to specific user
     emitToUser: (userId, event, data) => {
       io.to(`user_${userId}`).emit(event, {
@@ -503,6 +1107,8 @@ const socketHandler = (io) => {
     // Get all connected users
     getConnectedUsers: () => connectedUsers,
   };
+
+  return helpers;
 };
 
 module.exports = socketHandler;
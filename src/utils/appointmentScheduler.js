@@ -0,0 +1,386 @@
+/**
+ * Appointment Slots & Queue Merging
+ *
+ * Customers can book a slot ahead of time instead of joining today's live
+ * queue. Slots are computed from the business working hours, the service
+ * duration (or appointmentPolicy.slotMinutes) and existing bookings.
+ *
+ * A booked appointment joins the live queue as a regular ticket
+ * (source "appointment") appointmentPolicy.arrivalWindowMinutes before its
+ * slot, placed so that it reaches the front around the slot time. Walk-ins
+ * and appointments are then served from the same line.
+ */
+
+const Appointment = require("../models/appointmentSchema");
+const Business = require("../models/businessSchema");
+const Queue = require("../models/queueSchema");
+const Ticket = require("../models/ticketSchema");
+const queueRouting = require("./queueRouting");
+const { sortKeyForPosition } = require("./dispatchPolicy");
+const etaCalculator = require("./etaCalculator");
+const etaAccuracy = require("./etaAccuracy");
+const { workingWindow } = require("./businessHours");
+
+const DEFAULT_APPOINTMENT_POLICY = {
+  enabled: true,
+  slotMinutes: 0,
+  capacityPerSlot: 1,
+  arrivalWindowMinutes: 15,
+  minNoticeMinutes: 30,
+  maxDaysAhead: 30,
+};
+
+// Appointments that still hold their slot
+const ACTIVE_STATUSES = ["booked", "queued"];
+
+const appointmentError = (statusCode, message) =>
+  Object.assign(new Error(message), { statusCode });
+
+/**
+ * Merge a business appointment policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveAppointmentPolicy = (business) => {
+  const policy = business?.appointmentPolicy?.toObject
+    ? business.appointmentPolicy.toObject()
+    : business?.appointmentPolicy || {};
+  return { ...DEFAULT_APPOINTMENT_POLICY, ...policy };
+};
+
+exports.resolveAppointmentPolicy = resolveAppointmentPolicy;
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+/**
+ * Parse a "YYYY-MM-DD" date as local midnight
+ * @param {String} value - Date string
+ * @returns {Date|null}
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(day.getTime()) ? null : day;
+};
+
+exports.parseDay = parseDay;
+
+/**
+ * Slot length in minutes for a service
+ * @param {Object} policy - Resolved appointment policy
+ * @param {Object} service - business.service[] entry
+ * @returns {Number}
+ */
+const slotLength = (policy, service) =>
+  policy.slotMinutes || service?.duration || 15;
+
+// Active appointments of a service overlapping [startAt, endAt); each
+// service has its own desks, so capacityPerSlot applies per service
+const overlapping = (businessId, serviceId, startAt, endAt, excludeId) =>
+  Appointment.find({
+    businessId,
+    serviceId,
+    status: { $in: ACTIVE_STATUSES },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt },
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  }).sort({ createdAt: 1, _id: 1 });
+
+/**
+ * List bookable slots for a service on a day
+ * @param {Object} business - Business document
+ * @param {String} serviceId - business.service[]._id
+ * @param {Date} day - Local midnight of the day
+ * @param {Object} options - excludeId (appointment being rescheduled), now
+ * @returns {Array} - [{ startAt, endAt, remaining }]
+ */
+exports.getAvailableSlots = async (
+  business,
+  serviceId,
+  day,
+  { excludeId, now = new Date() } = {},
+) => {
+  const policy = resolveAppointmentPolicy(business);
+  const service = business.service.id(serviceId);
+  if (!policy.enabled || !service) return [];
+
+  const window = workingWindow(business, day);
+  if (!window) return [];
+
+  const length = slotLength(policy, service) * 60 * 1000;
+  const earliest = new Date(now.getTime() + policy.minNoticeMinutes * 60 * 1000);
+
+  const booked = await overlapping(
+    business._id,
+    service._id,
+    window.open,
+    window.close,
+    excludeId,
+  );
+
+  const slots = [];
+  for (
+    let start = window.open.getTime();
+    start + length <= window.close.getTime();
+    start += length
+  ) {
+    const startAt = new Date(start);
+    const endAt = new Date(start + length);
+    if (startAt < earliest) continue;
+
+    const taken = booked.filter((a) => a.startAt < endAt && a.endAt > startAt).length;
+    const remaining = policy.capacityPerSlot - taken;
+    if (remaining > 0) slots.push({ startAt, endAt, remaining });
+  }
+
+  return slots;
+};
+
+/**
+ * Validate a requested slot and compute its end
+ * @param {Object} business - Business document
+ * @param {String} serviceId - business.service[]._id
+ * @param {Date|String} startAt - Requested slot start
+ * @param {Object} options - excludeId (appointment being rescheduled)
+ * @returns {Object} - { startAt, endAt }
+ * @throws {Error} - with statusCode 400/409 when the slot cannot be booked
+ */
+exports.validateSlot = async (business, serviceId, startAt, { excludeId } = {}) => {
+  const policy = resolveAppointmentPolicy(business);
+  if (!policy.enabled) {
+    throw appointmentError(400, "This business does not take appointments");
+  }
+
+  const service = business.service.id(serviceId);
+  if (!service) throw appointmentError(400, "Service not offered by this business");
+
+  const start = new Date(startAt);
+  if (Number.isNaN(start.getTime())) {
+    throw appointmentError(400, "startAt must be a valid date");
+  }
+
+  const now = new Date();
+  if (start < new Date(now.getTime() + policy.minNoticeMinutes * 60 * 1000)) {
+    throw appointmentError(
+      400,
+      `Appointments must be booked at least ${policy.minNoticeMinutes} minutes ahead`,
+    );
+  }
+  if (start > new Date(now.getTime() + policy.maxDaysAhead * 24 * 60 * 60 * 1000)) {
+    throw appointmentError(
+      400,
+      `Appointments can be booked at most ${policy.maxDaysAhead} days ahead`,
+    );
+  }
+
+  const day = new Date(start);
+  day.setHours(0, 0, 0, 0);
+  const slots = await exports.getAvailableSlots(business, serviceId, day, {
+    excludeId,
+    now,
+  });
+  const slot = slots.find((s) => s.startAt.getTime() === start.getTime());
+  if (!slot) throw appointmentError(409, "This slot is not available");
+
+  return { startAt: slot.startAt, endAt: slot.endAt };
+};
+
+/**
+ * Check that an appointment did not overbook its slot
+ * Called right after a booking is written; the earliest bookings win
+ * @param {Object} appointment - Appointment document
+ * @returns {Boolean}
+ */
+exports.isWithinCapacity = async (appointment) => {
+  const business = await Business.findById(appointment.businessId).select(
+    "appointmentPolicy",
+  );
+  const policy = resolveAppointmentPolicy(business);
+  const taken = await overlapping(
+    appointment.businessId,
+    appointment.serviceId,
+    appointment.startAt,
+    appointment.endAt,
+  );
+  const index = taken.findIndex((a) => a._id.equals(appointment._id));
+  return index !== -1 && index < policy.capacityPerSlot;
+};
+
+/**
+ * Put a booked appointment into today's live queue as a ticket
+ * @param {Object} appointment - Appointment document (status "booked")
+ * @param {Object} business - Business document
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Object|null} - Created ticket, or null when no queue is open
+ */
+const mergeIntoQueue = async (appointment, business, socketIO) => {
+  const queue = await queueRouting.resolveServiceQueue(
+    appointment.businessId,
+    appointment.serviceId,
+  );
+  if (!queue) return null;
+
+  // Claim the appointment so concurrent sweeps merge it once
+  const claimed = await Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: "booked" },
+    { status: "queued", queuedAt: new Date() },
+    { new: true },
+  );
+  if (!claimed) return null;
+
+  // Booked customers keep their place even when walk-ins filled the queue
+  const updatedQueue = await Queue.findOneAndUpdate(
+    { _id: queue._id, status: { $ne: "closed" } },
+    { $inc: { currentCount: 1, currentTicketNumber: 1 } },
+    { new: true },
+  );
+  if (!updatedQueue) {
+    await Appointment.updateOne(
+      { _id: claimed._id },
+      { status: "booked", queuedAt: null },
+    );
+    return null;
+  }
+
+  // Enough people ahead to reach the front around the slot time
+  const now = new Date();
+  const service = business.service.id(appointment.serviceId);
+  const serviceMinutes =
+    updatedQueue.etaModel?.serviceMinutes || service?.duration || 15;
+  const minutesUntilSlot = Math.max(0, (appointment.startAt - now) / 60000);
+  const position = Math.floor(minutesUntilSlot / serviceMinutes);
+
+  let ticket;
+  try {
+    const sortKey = await sortKeyForPosition(updatedQueue._id, position);
+    ticket = await Ticket.create({
+      businessId: appointment.businessId,
+      userId: appointment.userId,
+      queueId: updatedQueue._id,
+      serviceId: appointment.serviceId,
+      ticketNumber: updatedQueue.currentTicketNumber,
+      displayNumber: queueRouting.formatTicketNumber(
+        updatedQueue,
+        updatedQueue.currentTicketNumber,
+      ),
+      sortKey,
+      source: "appointment",
+      appointmentId: appointment._id,
+      status: "waiting",
+      priority: appointment.priority || "normal",
+      estimatedTime: Math.round(minutesUntilSlot),
+      expectedServiceTime: appointment.startAt,
+      etaSnapshots: [
+        etaAccuracy.snapshotOf(
+          {
+            estimatedMinutes: Math.round(minutesUntilSlot),
+            expectedTime: appointment.startAt,
+            method: "appointment",
+          },
+          { event: "issue", position: position + 1, at: now },
+        ),
+      ],
+    });
+  } catch (error) {
+    // Give the slot back (the ticket number stays skipped, another ticket
+    // may already hold the next one) and leave the appointment booked
+    await Queue.updateOne({ _id: updatedQueue._id }, { $inc: { currentCount: -1 } });
+    await Appointment.updateOne(
+      { _id: claimed._id },
+      { status: "booked", queuedAt: null },
+    );
+    throw error;
+  }
+
+  claimed.ticketId = ticket._id;
+  await claimed.save();
+
+  await etaCalculator.updateQueueETAs(updatedQueue._id, { socketIO, event: "issue" });
+
+  if (socketIO) {
+    const businessIdStr = appointment.businessId.toString();
+    const populatedTicket = await Ticket.findById(ticket._id)
+      .populate("userId")
+      .populate("queueId");
+    socketIO.emitTicketCreated(businessIdStr, populatedTicket);
+    socketIO.emitQueueUpdate(businessIdStr, {
+      queueId: updatedQueue._id.toString(),
+      status: updatedQueue.status,
+      currentCount: updatedQueue.currentCount,
+      currentTicketNumber: updatedQueue.currentTicketNumber,
+    });
+    socketIO.emitToUser(appointment.userId.toString(), "appointmentQueued", {
+      appointment: claimed,
+      ticket,
+      message: `Your appointment is now in the queue as ticket ${ticket.displayNumber}.`,
+    });
+  }
+
+  return ticket;
+};
+
+exports.mergeIntoQueue = mergeIntoQueue;
+
+/**
+ * Merge every appointment whose arrival window has opened into the live
+ * queue, and expire bookings whose slot passed without an open queue
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Number} - Number of appointments merged
+ */
+exports.mergeDueAppointments = async (socketIO) => {
+  const now = new Date();
+  const { end } = queueRouting.todayRange();
+
+  const due = await Appointment.find({
+    status: "booked",
+    startAt: { $lt: end },
+  }).sort({ startAt: 1 });
+
+  const businesses = new Map();
+  let merged = 0;
+
+  for (const appointment of due) {
+    try {
+      const key = appointment.businessId.toString();
+      if (!businesses.has(key)) {
+        businesses.set(key, await Business.findById(appointment.businessId));
+      }
+      const business = businesses.get(key);
+      if (!business) continue;
+
+      if (appointment.endAt <= now) {
+        await Appointment.updateOne(
+          { _id: appointment._id, status: "booked" },
+          { status: "expired" },
+        );
+        continue;
+      }
+
+      const policy = resolveAppointmentPolicy(business);
+      const opensAt = appointment.startAt.getTime() - policy.arrivalWindowMinutes * 60 * 1000;
+      if (opensAt > now.getTime()) continue;
+
+      if (await mergeIntoQueue(appointment, business, socketIO)) merged += 1;
+    } catch (error) {
+      console.error("Merge appointment error:", error);
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Periodically merge due appointments into the live queues
+ * @param {Object} socketIO - Socket helpers
+ * @param {Number} intervalMs - Sweep interval (default 60s)
+ * @returns {Object} - Interval handle
+ */
+exports.startAppointmentScheduler = (socketIO, intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    exports.mergeDueAppointments(socketIO).catch((error) =>
+      console.error("Appointment scheduler error:", error),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
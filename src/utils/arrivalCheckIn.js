@@ -0,0 +1,175 @@
+/**
+ * Arrival Check-in (QR / Geofence)
+ *
+ * Remote customers confirm they are on site before being called:
+ * - scanning the business's rotating QR code (HMAC of the business ID and
+ *   the current time window; the previous window is still accepted so a
+ *   code scanned right before it rotates works)
+ * - or sending a location within checkInPolicy.geofenceRadiusMeters of
+ *   business.location
+ * Staff can also mark a ticket as arrived at the desk.
+ *
+ * With checkInPolicy.requireArrivalToCall, callNext only picks tickets that
+ * have arrived.
+ */
+
+const crypto = require("crypto");
+const Ticket = require("../models/ticketSchema");
+
+const DEFAULT_CHECK_IN_POLICY = {
+  requireArrivalToCall: false,
+  geofenceRadiusMeters: 150,
+  qrRotationMinutes: 5,
+};
+
+const ARRIVAL_METHODS = ["qr", "geofence", "staff"];
+
+const checkInError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+exports.ARRIVAL_METHODS = ARRIVAL_METHODS;
+
+/**
+ * Merge a business check-in policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveCheckInPolicy = (business) => {
+  const policy = business?.checkInPolicy?.toObject
+    ? business.checkInPolicy.toObject()
+    : business?.checkInPolicy || {};
+  return { ...DEFAULT_CHECK_IN_POLICY, ...policy };
+};
+
+exports.resolveCheckInPolicy = resolveCheckInPolicy;
+
+const qrSecret = () =>
+  process.env.CHECKIN_QR_SECRET || process.env.JWT_SECRET || "checkin-secret";
+
+const signWindow = (businessId, window) =>
+  crypto
+    .createHmac("sha256", qrSecret())
+    .update(`${businessId}:${window}`)
+    .digest("base64url")
+    .slice(0, 16);
+
+/**
+ * Current check-in code of a business (to render as a QR code)
+ * @param {Object} business - Business document
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} - { code, expiresAt }
+ */
+exports.currentQrCode = (business, now = new Date()) => {
+  const rotationMs = resolveCheckInPolicy(business).qrRotationMinutes * 60 * 1000;
+  const window = Math.floor(now.getTime() / rotationMs);
+  return {
+    code: `${window}.${signWindow(business._id.toString(), window)}`,
+    expiresAt: new Date((window + 1) * rotationMs),
+  };
+};
+
+/**
+ * Check a scanned code against the current or previous window
+ * @param {Object} business - Business document
+ * @param {String} code - Scanned code
+ * @param {Date} now - Current time (default: now)
+ * @returns {Boolean}
+ */
+exports.verifyQrCode = (business, code, now = new Date()) => {
+  const [windowPart, signature] = String(code || "").split(".");
+  const window = Number(windowPart);
+  if (!signature || !Number.isInteger(window)) return false;
+
+  const rotationMs = resolveCheckInPolicy(business).qrRotationMinutes * 60 * 1000;
+  const current = Math.floor(now.getTime() / rotationMs);
+  if (window !== current && window !== current - 1) return false;
+
+  const expected = signWindow(business._id.toString(), window);
+  return (
+    expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  );
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {Number} - Meters
+ */
+const distanceMeters = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+exports.distanceMeters = distanceMeters;
+
+/**
+ * Mark a ticket as arrived
+ * @param {Object} ticket - Ticket document
+ * @param {Object} business - Business document
+ * @param {Object} proof - { qrCode } or { lat, lng }, or { staff: true }
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - with statusCode and code (INVALID_QR_CODE,
+ *   OUTSIDE_GEOFENCE, ...) when the proof is rejected
+ */
+exports.checkIn = async (ticket, business, proof = {}) => {
+  if (!["waiting", "on-hold", "called"].includes(ticket.status)) {
+    throw checkInError(
+      400,
+      `Cannot check in a ${ticket.status} ticket`,
+      "TICKET_NOT_ACTIVE",
+    );
+  }
+  if (ticket.arrivedAt) return ticket;
+
+  const policy = resolveCheckInPolicy(business);
+  let method;
+  let distance;
+
+  if (proof.staff) {
+    method = "staff";
+  } else if (proof.qrCode) {
+    if (!exports.verifyQrCode(business, proof.qrCode)) {
+      throw checkInError(400, "Check-in code is invalid or expired", "INVALID_QR_CODE");
+    }
+    method = "qr";
+  } else if (proof.lat != null && proof.lng != null) {
+    const location = business.location;
+    if (location?.lat == null || location?.lng == null) {
+      throw checkInError(
+        400,
+        "This business does not support location check-in",
+        "GEOFENCE_UNAVAILABLE",
+      );
+    }
+    distance = Math.round(
+      distanceMeters(
+        { lat: Number(proof.lat), lng: Number(proof.lng) },
+        { lat: location.lat, lng: location.lng },
+      ),
+    );
+    if (!Number.isFinite(distance) || distance > policy.geofenceRadiusMeters) {
+      throw checkInError(
+        400,
+        `You need to be within ${policy.geofenceRadiusMeters} m of the business to check in`,
+        "OUTSIDE_GEOFENCE",
+      );
+    }
+    method = "geofence";
+  } else {
+    throw checkInError(400, "qrCode or lat/lng is required", "PROOF_REQUIRED");
+  }
+
+  const updated = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, arrivedAt: null },
+    { arrivedAt: new Date(), arrivalMethod: method, arrivalDistance: distance },
+    { new: true },
+  );
+  return updated || Ticket.findById(ticket._id);
+};
@@ -0,0 +1,220 @@
+/**
+ * Business Opening Hours
+ *
+ * Resolves when a business is open on a given day from:
+ * 1. business.calendar - date-specific exceptions (holidays, special hours),
+ *    one-off entries win over recurring (yearly) ones
+ * 2. business.workingHours - weekly list of day name, openTime, closeTime,
+ *    isClosed
+ * Dates are "YYYY-MM-DD" and times "HH:mm", in server local time.
+ *
+ * Everything that depends on opening hours (ticket intake, open-now search,
+ * appointment slots, the queue lifecycle, ETAs) goes through this module.
+ */
+
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+exports.DAY_NAMES = DAY_NAMES;
+
+/**
+ * Local midnight of the day containing a date
+ * @param {Date} date - Any time on that day (default: now)
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+exports.startOfDay = startOfDay;
+
+/**
+ * "YYYY-MM-DD" key of a day in local time
+ * @param {Date} date - Any time on that day
+ * @returns {String}
+ */
+const dayKey = (date) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+exports.dayKey = dayKey;
+
+/**
+ * A "HH:mm" time on a given day
+ * @param {Date} day - Any time on that day
+ * @param {String} clock - "HH:mm"
+ * @returns {Date|null}
+ */
+const atClock = (day, clock) => {
+  if (!clock) return null;
+  const [hours, minutes] = String(clock).split(":").map(Number);
+  if (Number.isNaN(hours)) return null;
+  const date = new Date(day);
+  date.setHours(hours, minutes || 0, 0, 0);
+  return date;
+};
+
+exports.atClock = atClock;
+
+// Does a calendar entry cover a "YYYY-MM-DD" day?
+const entryCovers = (entry, key) => {
+  const first = entry.date;
+  const last = entry.endDate || entry.date;
+  if (!entry.recurring) return key >= first && key <= last;
+
+  // Yearly: compare month-day, ranges may wrap the new year (Dec 31 - Jan 2)
+  const md = key.slice(5);
+  const start = first.slice(5);
+  const end = last.slice(5);
+  return start <= end ? md >= start && md <= end : md >= start || md <= end;
+};
+
+/**
+ * Calendar exception that applies to a day, if any
+ * @param {Object} business - Business document
+ * @param {Date} day - Any time on that day
+ * @returns {Object|null} - business.calendar[] entry
+ */
+exports.calendarEntryFor = (business, day) => {
+  const key = dayKey(day);
+  const entries = (business.calendar || []).filter((e) => entryCovers(e, key));
+  return entries.find((e) => !e.recurring) || entries[0] || null;
+};
+
+/**
+ * Resolved opening hours of a business on a day
+ * @param {Object} business - Business document
+ * @param {Date} day - Any time on that day
+ * @returns {Object} - { date, isClosed, openTime, closeTime, source, name }
+ *   source is "calendar" when an exception applies, "weekly" otherwise
+ */
+exports.resolveDay = (business, day) => {
+  const date = dayKey(day);
+  const entry = exports.calendarEntryFor(business, day);
+
+  if (entry) {
+    return {
+      date,
+      isClosed: Boolean(entry.isClosed),
+      openTime: entry.isClosed ? null : entry.openTime,
+      closeTime: entry.isClosed ? null : entry.closeTime,
+      source: "calendar",
+      name: entry.name || null,
+    };
+  }
+
+  const dayName = DAY_NAMES[day.getDay()];
+  const hours = (business.workingHours || []).find((h) => h.days === dayName);
+  return {
+    date,
+    isClosed: !hours || Boolean(hours.isClosed),
+    openTime: hours && !hours.isClosed ? hours.openTime : null,
+    closeTime: hours && !hours.isClosed ? hours.closeTime : null,
+    source: "weekly",
+    name: null,
+  };
+};
+
+/**
+ * Opening window of a business on a day
+ * @param {Object} business - Business document
+ * @param {Date} day - Any time on that day
+ * @returns {Object|null} - { open, close, lastIntake } or null when closed
+ *   lastIntake comes from queueSettings.LastTimeToAppoint (default: close)
+ */
+exports.workingWindow = (business, day) => {
+  const resolved = exports.resolveDay(business, day);
+  if (resolved.isClosed) return null;
+
+  const open = atClock(day, resolved.openTime);
+  const close = atClock(day, resolved.closeTime);
+  if (!open || !close || close <= open) return null;
+
+  let lastIntake = atClock(day, business.queueSettings?.[0]?.LastTimeToAppoint);
+  if (!lastIntake || lastIntake > close || lastIntake < open) lastIntake = close;
+
+  return { open, close, lastIntake };
+};
+
+/**
+ * Check whether a business is open at a moment
+ * @param {Object} business - Business document
+ * @param {Date} at - Moment to check (default: now)
+ * @returns {Boolean}
+ */
+exports.isOpenAt = (business, at = new Date()) => {
+  const window = exports.workingWindow(business, at);
+  return Boolean(window && at >= window.open && at < window.close);
+};
+
+/**
+ * Why a business is closed right now because of its calendar
+ * Weekly hours are not enforced here, only date-specific exceptions
+ * @param {Object} business - Business document
+ * @param {Date} at - Moment to check (default: now)
+ * @returns {String|null} - Message, or null when the calendar allows it
+ */
+exports.calendarClosure = (business, at = new Date()) => {
+  const resolved = exports.resolveDay(business, at);
+  if (resolved.source !== "calendar") return null;
+
+  const label = resolved.name ? ` (${resolved.name})` : "";
+  if (resolved.isClosed) return `Business is closed today${label}`;
+
+  if (!exports.isOpenAt(business, at)) {
+    return `Business is open ${resolved.openTime}-${resolved.closeTime} today${label}`;
+  }
+  return null;
+};
+
+/**
+ * Find the next day (after `from`) the business is open
+ * @param {Object} business - Business document
+ * @param {Date} from - Start searching the day after this date
+ * @param {Number} maxDays - Days to look ahead
+ * @returns {Object|null} - { day, window }
+ */
+exports.nextOpenDay = (business, from = new Date(), maxDays = 14) => {
+  const day = startOfDay(from);
+  for (let i = 1; i <= maxDays; i += 1) {
+    day.setDate(day.getDate() + 1);
+    const window = exports.workingWindow(business, day);
+    if (window) return { day: new Date(day), window };
+  }
+  return null;
+};
+
+/**
+ * Validate a calendar entry before saving it
+ * @param {Object} entry - { name, date, endDate, recurring, isClosed, openTime, closeTime }
+ * @returns {String|null} - Error message, or null when valid
+ */
+exports.validateCalendarEntry = (entry = {}) => {
+  if (!DATE_PATTERN.test(entry.date || "")) return "date must be YYYY-MM-DD";
+  if (entry.endDate) {
+    if (!DATE_PATTERN.test(entry.endDate)) return "endDate must be YYYY-MM-DD";
+    if (!entry.recurring && entry.endDate < entry.date) {
+      return "endDate must not be before date";
+    }
+  }
+  if (entry.isClosed === false) {
+    if (!TIME_PATTERN.test(entry.openTime || "") || !TIME_PATTERN.test(entry.closeTime || "")) {
+      return "openTime and closeTime (HH:mm) are required for special opening hours";
+    }
+    if (entry.closeTime <= entry.openTime) return "closeTime must be after openTime";
+  }
+  return null;
+};
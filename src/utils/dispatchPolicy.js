@@ -0,0 +1,220 @@
+/**
+ * Priority-aware Ticket Dispatch
+ *
+ * Decides the order in which waiting tickets are called:
+ * 1. Fast-track tickets (vip before priority) go ahead of normal tickets
+ * 2. Weighted interleaving: at most N fast-track tickets per normal ticket
+ * 3. Starvation protection: a normal ticket that has waited longer than
+ *    the business maximum is called before any fast-track ticket
+ * Tickets pinned by staff (pinnedAt, see queueReorder) come before all of
+ * these, in the order they were pinned.
+ *
+ * The same ordering is used by callNext (REST + socket) and by the
+ * ETA positions reported to waiting customers.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const Counter = require("../models/counterSchema");
+const { transition, TicketTransitionError } = require("./ticketStateMachine");
+
+const PRIORITY_RANK = { vip: 0, priority: 1, normal: 2 };
+
+const DEFAULT_POLICY = {
+  mode: "weighted",
+  priorityPerNormal: 2,
+  maxNormalWaitMinutes: 45,
+};
+
+// Average minutes per ticket used to project future waits
+const DEFAULT_SERVICE_MINUTES = 15;
+
+// Queue order: explicit sortKey (transfers/reordering), else ticketNumber
+const queueOrderKey = (t) => t.sortKey ?? t.ticketNumber;
+const byQueueOrder = (a, b) =>
+  queueOrderKey(a) - queueOrderKey(b) || a.ticketNumber - b.ticketNumber;
+
+exports.queueOrderKey = queueOrderKey;
+
+/**
+ * Merge a business dispatch policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object} - Effective policy
+ */
+exports.resolvePolicy = (business) => {
+  const policy = business?.dispatchPolicy?.toObject
+    ? business.dispatchPolicy.toObject()
+    : business?.dispatchPolicy || {};
+
+  return {
+    mode: policy.mode || DEFAULT_POLICY.mode,
+    priorityPerNormal:
+      policy.priorityPerNormal ?? DEFAULT_POLICY.priorityPerNormal,
+    maxNormalWaitMinutes:
+      policy.maxNormalWaitMinutes ?? DEFAULT_POLICY.maxNormalWaitMinutes,
+  };
+};
+
+/**
+ * Order waiting tickets in the sequence they will be called
+ * @param {Array} tickets - Waiting tickets
+ * @param {Object} policy - Effective dispatch policy
+ * @param {Object} options - streak (fast-track calls since last normal),
+ *   now, avgServiceMinutes (used to project when later tickets are reached)
+ * @returns {Array} - Tickets in call order
+ */
+exports.orderTickets = (tickets, policy, options = {}) => {
+  const pinned = tickets
+    .filter((t) => t.pinnedAt)
+    .sort((a, b) => new Date(a.pinnedAt) - new Date(b.pinnedAt) || byQueueOrder(a, b));
+  if (pinned.length > 0) {
+    const rest = tickets.filter((t) => !t.pinnedAt);
+    return [...pinned, ...exports.orderTickets(rest, policy, options)];
+  }
+
+  if (policy.mode === "fifo") return [...tickets].sort(byQueueOrder);
+
+  const {
+    now = new Date(),
+    avgServiceMinutes = DEFAULT_SERVICE_MINUTES,
+  } = options;
+  let streak = options.streak || 0;
+
+  const normal = tickets
+    .filter((t) => (t.priority || "normal") === "normal")
+    .sort(byQueueOrder);
+  const fastTrack = tickets
+    .filter((t) => t.priority && t.priority !== "normal")
+    .sort(
+      (a, b) =>
+        PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority] ||
+        byQueueOrder(a, b),
+    );
+
+  const maxWaitMs = policy.maxNormalWaitMinutes * 60 * 1000;
+  const ordered = [];
+  let clock = now.getTime();
+
+  while (normal.length || fastTrack.length) {
+    const oldestNormal = normal[0];
+    const starving =
+      oldestNormal &&
+      maxWaitMs > 0 &&
+      clock - new Date(oldestNormal.createdAt).getTime() >= maxWaitMs;
+    const fastTrackTurn = !oldestNormal || streak < policy.priorityPerNormal;
+
+    if (fastTrack.length && fastTrackTurn && !starving) {
+      ordered.push(fastTrack.shift());
+      streak++;
+    } else {
+      ordered.push(normal.shift());
+      streak = 0;
+    }
+
+    clock += avgServiceMinutes * 60 * 1000;
+  }
+
+  return ordered;
+};
+
+/**
+ * Get the waiting tickets of a queue in dispatch order
+ * @param {String} queueId - Queue ID
+ * @param {Object} options - callableOnly: drop tickets that cannot be called
+ *   yet (not checked in while checkInPolicy.requireArrivalToCall is on)
+ * @returns {Array} - Ordered waiting tickets (empty if queue not found)
+ */
+exports.getDispatchOrder = async (queueId, { callableOnly = false } = {}) => {
+  const queue = await Queue.findById(queueId);
+  if (!queue) return [];
+
+  const [business, waitingTickets] = await Promise.all([
+    Business.findById(queue.businessId).select("dispatchPolicy checkInPolicy"),
+    Ticket.find({ queueId, status: "waiting" }),
+  ]);
+
+  const ordered = exports.orderTickets(
+    waitingTickets,
+    exports.resolvePolicy(business),
+    { streak: queue.priorityStreak },
+  );
+
+  if (callableOnly && business?.checkInPolicy?.requireArrivalToCall) {
+    return ordered.filter((t) => t.arrivedAt);
+  }
+  return ordered;
+};
+
+/**
+ * Call the next ticket of a queue according to the business policy
+ * @param {String} queueId - Queue ID
+ * @param {Object} options - counter (Counter document the ticket is called
+ *   to), servedBy (staff ID) and byRole, all optional
+ * @returns {Object|null} - The called ticket, or null if nobody callable is waiting
+ */
+exports.callNext = async (queueId, { counter, servedBy, byRole } = {}) => {
+  // Retry when another caller grabs the same ticket first
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const [next] = await exports.getDispatchOrder(queueId, { callableOnly: true });
+    if (!next) return null;
+
+    const set = { calledAt: new Date() };
+    if (counter) set.counterId = counter._id;
+    if (servedBy) set.servedBy = servedBy;
+
+    let called;
+    try {
+      called = await transition(next, "called", {
+        set,
+        by: servedBy,
+        byRole,
+        reason: "call-next",
+      });
+    } catch (error) {
+      if (error instanceof TicketTransitionError) continue;
+      throw error;
+    }
+
+    if (counter) {
+      await Counter.findByIdAndUpdate(counter._id, {
+        currentTicket: called._id,
+      });
+    }
+
+    await Queue.findByIdAndUpdate(
+      queueId,
+      called.priority === "normal"
+        ? { priorityStreak: 0 }
+        : { $inc: { priorityStreak: 1 } },
+    );
+
+    return called;
+  }
+
+  return null;
+};
+
+/**
+ * Compute a sortKey that places a ticket at a given position in queue order
+ * @param {String} queueId - Queue ID
+ * @param {Number} position - Zero-based target index among waiting tickets
+ * @param {String} excludeId - Ticket being moved (ignored when ranking)
+ * @returns {Number}
+ */
+exports.sortKeyForPosition = async (queueId, position, excludeId) => {
+  const keys = (
+    await Ticket.find({
+      queueId,
+      status: "waiting",
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    })
+  )
+    .map(queueOrderKey)
+    .sort((a, b) => a - b);
+
+  if (keys.length === 0) return 0;
+  if (position <= 0) return keys[0] - 1;
+  if (position >= keys.length) return keys[keys.length - 1] + 1;
+  return (keys[position - 1] + keys[position]) / 2;
+};
@@ -0,0 +1,229 @@
+/**
+ * Public Display Board
+ *
+ * Anonymized view of a business's queues for waiting-room screens. Nothing
+ * here identifies a customer: tickets are reduced to their display number,
+ * queue name and counter.
+ * - snapshot: now serving per counter, last N called numbers, next up per
+ *   queue and today's average wait
+ * - call event: one per ticket called, with an optional announcement text
+ *   in English or Arabic (business.displayBoard.locale by default)
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Business = require("../models/businessSchema");
+const Counter = require("../models/counterSchema");
+const Queue = require("../models/queueSchema");
+const dispatchPolicy = require("./dispatchPolicy");
+const queueRouting = require("./queueRouting");
+
+const DEFAULT_DISPLAY_POLICY = {
+  enabled: true,
+  locale: "en",
+  announcements: true,
+  recentCount: 5,
+  nextCount: 5,
+};
+
+const LOCALES = ["en", "ar"];
+
+exports.LOCALES = LOCALES;
+
+/**
+ * Merge a business display policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveDisplayPolicy = (business) => {
+  const policy = business?.displayBoard?.toObject
+    ? business.displayBoard.toObject()
+    : business?.displayBoard || {};
+  return { ...DEFAULT_DISPLAY_POLICY, ...policy };
+};
+
+exports.resolveDisplayPolicy = resolveDisplayPolicy;
+
+/**
+ * Pick a supported locale, falling back to the business default
+ * @param {String} requested - e.g. "ar", "ar-EG", "en-US"
+ * @param {Object} policy - Resolved display policy
+ * @returns {String} - "en" or "ar"
+ */
+const pickLocale = (requested, policy = DEFAULT_DISPLAY_POLICY) => {
+  const language = String(requested || "").slice(0, 2).toLowerCase();
+  return LOCALES.includes(language) ? language : policy.locale;
+};
+
+exports.pickLocale = pickLocale;
+
+const displayNumberOf = (ticket) =>
+  ticket.displayNumber || String(ticket.ticketNumber);
+
+/**
+ * Spoken/printed announcement for a call
+ * @param {String} number - Ticket display number
+ * @param {Object} counter - { number, name } (optional)
+ * @param {String} locale - "en" or "ar"
+ * @returns {String}
+ */
+const announcementText = (number, counter, locale) => {
+  if (locale === "ar") {
+    return counter
+      ? `التذكرة رقم ${number}، يرجى التوجه إلى الشباك رقم ${counter.number}`
+      : `التذكرة رقم ${number}، يرجى التوجه إلى الشباك`;
+  }
+  return counter
+    ? `Ticket ${number}, please proceed to counter ${counter.number}`
+    : `Ticket ${number}, please proceed to the counter`;
+};
+
+exports.announcementText = announcementText;
+
+const publicCounter = (counter) =>
+  counter ? { number: counter.number, name: counter.name || null } : null;
+
+/**
+ * Load a business whose display board is enabled
+ * @param {String} businessId - Business ID
+ * @returns {Object} - { business, policy }
+ * @throws {Error} - 404 when the business is missing or its board is disabled
+ */
+const loadBoard = async (businessId) => {
+  const business = await Business.findById(businessId).select(
+    "name displayBoard",
+  );
+  const policy = resolveDisplayPolicy(business);
+  if (!business || !policy.enabled) {
+    throw Object.assign(new Error("Display board not available"), {
+      statusCode: 404,
+    });
+  }
+  return { business, policy };
+};
+
+/**
+ * Build the public snapshot of a business's queues
+ * @param {String} businessId - Business ID
+ * @returns {Object} - { business, defaultLocale, nowServing, recentlyCalled,
+ *   nextUp, averageWaitMinutes, generatedAt }
+ * @throws {Error} - 404 when the board is not available
+ */
+exports.buildSnapshot = async (businessId) => {
+  const { business, policy } = await loadBoard(businessId);
+  const { start, end } = queueRouting.todayRange();
+
+  const [queues, counters, serving, recent, calledToday] = await Promise.all([
+    queueRouting.findTodayQueues(business._id, { status: { $ne: "closed" } }),
+    Counter.find({ businessId: business._id, status: "open" }).sort({ number: 1 }),
+    // Today only: tickets left "called" on earlier days are not being served
+    Ticket.find({
+      businessId: business._id,
+      status: { $in: ["called", "in-progress"] },
+      $or: [
+        { calledAt: { $gte: start, $lt: end } },
+        { createdAt: { $gte: start, $lt: end } },
+      ],
+    }).sort({ calledAt: -1 }),
+    Ticket.find({
+      businessId: business._id,
+      calledAt: { $gte: start, $lt: end },
+    })
+      .sort({ calledAt: -1 })
+      .limit(policy.recentCount),
+    Ticket.find({
+      businessId: business._id,
+      calledAt: { $gte: start, $lt: end },
+    }).select("createdAt calledAt"),
+  ]);
+
+  const queueNames = new Map(queues.map((q) => [q._id.toString(), q.name]));
+  const countersById = new Map(counters.map((c) => [c._id.toString(), c]));
+
+  const publicTicket = (ticket) => ({
+    displayNumber: displayNumberOf(ticket),
+    queueName: queueNames.get(ticket.queueId?.toString()) || null,
+    counter: publicCounter(countersById.get(ticket.counterId?.toString())),
+    calledAt: ticket.calledAt || null,
+  });
+
+  // One row per open counter, plus calls that were not made from a counter
+  const nowServing = counters.map((counter) => {
+    const ticket = serving.find(
+      (t) => t.counterId?.toString() === counter._id.toString(),
+    );
+    return {
+      counter: publicCounter(counter),
+      ticket: ticket ? publicTicket(ticket) : null,
+    };
+  });
+  serving
+    .filter((t) => !t.counterId || !countersById.has(t.counterId.toString()))
+    .forEach((t) => nowServing.push({ counter: null, ticket: publicTicket(t) }));
+
+  const nextUp = await Promise.all(
+    queues.map(async (queue) => ({
+      queueName: queue.name,
+      waiting: queue.currentCount,
+      tickets: (await dispatchPolicy.getDispatchOrder(queue._id))
+        .slice(0, policy.nextCount)
+        .map(displayNumberOf),
+    })),
+  );
+
+  const waits = calledToday
+    .map((t) => t.calledAt - t.createdAt)
+    .filter((ms) => ms >= 0);
+  const averageWaitMinutes = waits.length
+    ? Math.round(waits.reduce((sum, ms) => sum + ms, 0) / waits.length / 60000)
+    : null;
+
+  return {
+    business: { _id: business._id, name: business.name },
+    defaultLocale: policy.locale,
+    nowServing,
+    recentlyCalled: recent.map(publicTicket),
+    nextUp,
+    averageWaitMinutes,
+    generatedAt: new Date(),
+  };
+};
+
+/**
+ * Public call event for a ticket that was just called
+ * @param {Object} ticket - Ticket document (queueId may be populated)
+ * @param {Object} counter - Counter document (optional)
+ * @returns {Object|null} - { displayNumber, queueName, counter, calledAt,
+ *   chime, defaultLocale, announcements: { en, ar } }, null when the board
+ *   is disabled
+ */
+exports.buildCallEvent = async (ticket, counter) => {
+  const businessId = ticket.businessId?._id || ticket.businessId;
+  const business = await Business.findById(businessId).select("displayBoard");
+  const policy = resolveDisplayPolicy(business);
+  if (!business || !policy.enabled) return null;
+
+  let queueName = ticket.queueId?.name;
+  if (!queueName && ticket.queueId) {
+    queueName = (await Queue.findById(ticket.queueId).select("name"))?.name;
+  }
+
+  if (!counter && ticket.counterId) {
+    counter = await Counter.findById(ticket.counterId?._id || ticket.counterId);
+  }
+
+  const number = displayNumberOf(ticket);
+  const publicInfo = publicCounter(counter);
+  return {
+    displayNumber: number,
+    queueName: queueName || null,
+    counter: publicInfo,
+    calledAt: ticket.calledAt || new Date(),
+    chime: policy.announcements,
+    defaultLocale: policy.locale,
+    announcements: policy.announcements
+      ? Object.fromEntries(
+          LOCALES.map((locale) => [locale, announcementText(number, publicInfo, locale)]),
+        )
+      : null,
+  };
+};
@@ -0,0 +1,55 @@
+/**
+ * Robust Duration Statistics
+ *
+ * Small helpers for summarizing observed durations (minutes) without
+ * letting a few forgotten-open tickets skew the result:
+ * - outliers are trimmed with Tukey fences (1.5 x IQR beyond the quartiles)
+ * - summaries report the median (P50) and P90 rather than the mean
+ */
+
+/**
+ * Percentile of sorted values (linear interpolation)
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {Number} p - Percentile, 0-100
+ * @returns {Number|null}
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const low = Math.floor(rank);
+  const high = Math.ceil(rank);
+  return sorted[low] + (sorted[high] - sorted[low]) * (rank - low);
+};
+
+exports.percentile = percentile;
+
+/**
+ * Drop values outside the Tukey fences
+ * @param {Array} values - Numbers
+ * @returns {Array} - Remaining values, ascending
+ */
+const trimOutliers = (values) => {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length < 4) return sorted;
+  const q1 = percentile(sorted, 25);
+  const q3 = percentile(sorted, 75);
+  const fence = 1.5 * (q3 - q1);
+  return sorted.filter((v) => v >= q1 - fence && v <= q3 + fence);
+};
+
+exports.trimOutliers = trimOutliers;
+
+/**
+ * Robust summary of durations
+ * @param {Array} values - Durations (minutes)
+ * @returns {Object} - { samples, trimmed, p50, p90 } (p50/p90 null when empty)
+ */
+exports.summarize = (values) => {
+  const kept = trimOutliers(values);
+  return {
+    samples: kept.length,
+    trimmed: values.length - kept.length,
+    p50: percentile(kept, 50),
+    p90: percentile(kept, 90),
+  };
+};
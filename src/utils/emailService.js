@@ -223,7 +223,73 @@ const sendOTPEmail = async ({ email, otp, name }) => {
   }
 };
 
+/**
+ * Send a "your turn is near" queue alert
+ * @param {Object} options - Email options
+ * @param {string} options.email - Recipient email address
+ * @param {string} options.message - Alert text (see utils/proximityAlerts)
+ * @param {string} options.name - Recipient name (optional)
+ * @param {string} options.businessName - Business the ticket is for (optional)
+ */
+const sendQueueAlertEmail = async ({ email, message, name, businessName }) => {
+  const transporter = createTransporter();
+  const fromAddress = parseEmailFrom();
+  const greeting = name ? `Hi ${name},` : "Hello,";
+
+  const info = await transporter.sendMail({
+    from: fromAddress,
+    to: email,
+    subject: `Your turn is coming up${businessName ? ` at ${businessName}` : ""} - Queue Management System`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your turn is coming up</title>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f4f4f4;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse;">
+          <tr>
+            <td align="center" style="padding: 40px 0;">
+              <table role="presentation" style="width: 600px; border-collapse: collapse; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                <tr>
+                  <td style="padding: 40px 30px; text-align: center; background: linear-gradient(135deg, #359487 0%, #2a8074 100%); border-radius: 8px 8px 0 0;">
+                    <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: bold;">🔔 Your turn is coming up</h1>
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 40px 30px;">
+                    <p style="margin: 0 0 20px; font-size: 16px; line-height: 1.5; color: #333333;">${greeting}</p>
+                    <p style="margin: 0 0 20px; font-size: 16px; line-height: 1.5; color: #333333;">${message}</p>
+                    ${businessName ? `<p style="margin: 0; font-size: 14px; line-height: 1.5; color: #666666;">${businessName}</p>` : ""}
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding: 30px; text-align: center; background-color: #f8f9fa; border-radius: 0 0 8px 8px; border-top: 1px solid #e9ecef;">
+                    <p style="margin: 0 0 10px; font-size: 14px; color: #666666;">Queue Management System</p>
+                    <p style="margin: 0; font-size: 12px; color: #999999;">This is an automated email. Please do not reply.</p>
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `,
+    text: `${greeting}\n\n${message}\n\n${businessName ? `${businessName}\n\n` : ""}Queue Management System`,
+  });
+
+  console.log("✅ Queue alert email sent:", info.messageId);
+  return {
+    success: true,
+    messageId: info.messageId,
+  };
+};
+
 module.exports = {
   sendOTPEmail,
+  sendQueueAlertEmail,
   testConnection,
 };
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * ETA Accuracy Tracking
+ *
+ * Every ETA shown to a customer is stored on the ticket as a snapshot
+ * (ticket.etaSnapshots: at issue, then each time a recomputation changed
+ * it) and compared with when the ticket was actually first called
+ * (ticket.firstCalledAt). Error = actual - predicted, in minutes, so a
+ * positive bias means customers are called later than promised.
+ * Metrics per group: MAE (mean absolute error), bias (mean error) and the
+ * P90 of the absolute error.
+ */
+
+const mongoose = require("mongoose");
+const Ticket = require("../models/ticketSchema");
+const Business = require("../models/businessSchema");
+const durationStats = require("./durationStats");
+
+// Snapshots kept per ticket; the first ones (the ETA at issue) are kept
+const MAX_ETA_SNAPSHOTS = 50;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const MAX_TICKETS = 5000;
+const BASES = ["issue", "all"];
+
+exports.MAX_ETA_SNAPSHOTS = MAX_ETA_SNAPSHOTS;
+
+/**
+ * Snapshot of an ETA as shown to the customer
+ * @param {Object} eta - { estimatedMinutes, range, expectedTime, method, confidence }
+ * @param {Object} context - event, position, at (default now)
+ * @returns {Object}
+ */
+exports.snapshotOf = (eta, { event, position, at = new Date() } = {}) => ({
+  at,
+  event,
+  position,
+  estimatedMinutes: eta.estimatedMinutes,
+  p90Minutes: eta.range?.p90 ?? eta.estimatedMinutes,
+  expectedTime:
+    eta.expectedTime || new Date(at.getTime() + eta.estimatedMinutes * 60 * 1000),
+  method: eta.method,
+  confidence: eta.confidence,
+});
+
+/**
+ * $push operand appending a snapshot within the per-ticket cap
+ * @param {Object} snapshot - See snapshotOf
+ * @returns {Object}
+ */
+exports.pushSnapshot = (snapshot) => ({
+  etaSnapshots: { $each: [snapshot], $slice: MAX_ETA_SNAPSHOTS },
+});
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Error metrics of a set of prediction errors
+ * @param {Array} errors - actual - predicted, minutes
+ * @returns {Object} - { count, mae, bias, p90AbsError } (null when empty)
+ */
+const errorMetrics = (errors) => {
+  if (errors.length === 0) {
+    return { count: 0, mae: null, bias: null, p90AbsError: null };
+  }
+  const abs = errors.map(Math.abs).sort((a, b) => a - b);
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+  return {
+    count: errors.length,
+    mae: round1(sum(abs) / errors.length),
+    bias: round1(sum(errors) / errors.length),
+    p90AbsError: round1(durationStats.percentile(abs, 90)),
+  };
+};
+
+exports.errorMetrics = errorMetrics;
+
+/**
+ * Metrics overall, per service and per hour of the prediction
+ * @param {Array} rows - { error, serviceKey, service, hour }
+ * @returns {Object} - { overall, byService, byHour }
+ */
+const groupErrors = (rows) => {
+  const byService = new Map();
+  const byHour = new Map();
+  for (const row of rows) {
+    if (!byService.has(row.serviceKey)) {
+      byService.set(row.serviceKey, { service: row.service, errors: [] });
+    }
+    byService.get(row.serviceKey).errors.push(row.error);
+    if (!byHour.has(row.hour)) byHour.set(row.hour, []);
+    byHour.get(row.hour).push(row.error);
+  }
+
+  return {
+    overall: errorMetrics(rows.map((r) => r.error)),
+    byService: [...byService.entries()].map(([serviceKey, group]) => ({
+      serviceId: mongoose.isValidObjectId(serviceKey) ? serviceKey : null,
+      service: group.service,
+      ...errorMetrics(group.errors),
+    })),
+    byHour: [...byHour.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([hour, errors]) => ({ hour, ...errorMetrics(errors) })),
+  };
+};
+
+exports.groupErrors = groupErrors;
+
+/**
+ * Service grouping of a ticket: the business service, else the ticket type
+ * @param {Object} business - Business document (for service names)
+ * @param {Object} ticket - Ticket with serviceId / type
+ * @returns {Object} - { serviceKey, service }
+ */
+const serviceOf = (business, ticket) => {
+  if (ticket.serviceId) {
+    const service = business?.service?.id(ticket.serviceId);
+    return {
+      serviceKey: ticket.serviceId.toString(),
+      service: service?.name || "Unknown service",
+    };
+  }
+  const type = ticket.type || "examination";
+  return { serviceKey: `type:${type}`, service: type };
+};
+
+exports.serviceOf = serviceOf;
+
+/**
+ * Parse a report period (defaults to the last 30 days)
+ * @param {Object} query - from, to (dates)
+ * @returns {Object} - { from, to }
+ * @throws {Error} - 400 INVALID_PERIOD
+ */
+const resolvePeriod = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from
+    ? new Date(from)
+    : new Date(end.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+    throw Object.assign(new Error("from and to must be valid dates, from before to"), {
+      statusCode: 400,
+      code: "INVALID_PERIOD",
+    });
+  }
+  return { from: start, to: end };
+};
+
+exports.resolvePeriod = resolvePeriod;
+
+/**
+ * Accuracy of the live ETAs of a business
+ * @param {String} businessId - Business ID
+ * @param {Object} options - from, to, queueId, basis ("issue": the ETA
+ *   given when the ticket was taken, "all": every snapshot)
+ * @returns {Object} - { from, to, basis, tickets, overall, byService, byHour }
+ * @throws {Error} - 400 INVALID_PERIOD / INVALID_BASIS
+ */
+exports.accuracyReport = async (businessId, options = {}) => {
+  const { from, to } = resolvePeriod(options);
+  const basis = options.basis || "issue";
+  if (!BASES.includes(basis)) {
+    throw Object.assign(new Error(`basis must be one of: ${BASES.join(", ")}`), {
+      statusCode: 400,
+      code: "INVALID_BASIS",
+    });
+  }
+
+  const filter = {
+    businessId,
+    firstCalledAt: { $gte: from, $lt: to },
+    "etaSnapshots.0": { $exists: true },
+  };
+  if (options.queueId) filter.queueId = options.queueId;
+
+  const [business, tickets] = await Promise.all([
+    Business.findById(businessId).select("service"),
+    Ticket.find(filter)
+      .sort({ firstCalledAt: -1 })
+      .limit(MAX_TICKETS)
+      .select("serviceId type firstCalledAt etaSnapshots")
+      .lean(),
+  ]);
+
+  const rows = [];
+  for (const ticket of tickets) {
+    const snapshots =
+      basis === "issue" ? ticket.etaSnapshots.slice(0, 1) : ticket.etaSnapshots;
+    const service = serviceOf(business, ticket);
+    for (const snapshot of snapshots) {
+      if (!snapshot.expectedTime || snapshot.at > ticket.firstCalledAt) continue;
+      rows.push({
+        ...service,
+        hour: new Date(snapshot.at).getHours(),
+        error: (ticket.firstCalledAt - snapshot.expectedTime) / 60000,
+      });
+    }
+  }
+
+  return { from, to, basis, tickets: tickets.length, ...groupErrors(rows) };
+};
@@ -0,0 +1,171 @@
+/**
+ * ETA Backtesting
+ *
+ * Replays historical tickets through the current ETA model
+ * (etaCalculator.estimatePerPerson / waitRange) so model changes can be
+ * compared offline against real data (scripts/etaBacktest.js). For every
+ * ticket taken in the period the queue is rebuilt as it was at that moment:
+ * - samples: only tickets completed before it was taken
+ * - people ahead: tickets of the queue taken earlier and not yet called or
+ *   gone, in seats (arrival order; fast-track jumps are not replayed)
+ * - open counters: counters that called a ticket of the queue within an
+ *   hour of that moment
+ * The replayed prediction is compared with the actual first call, next to
+ * the ETA the customer was really given (its first snapshot) when stored.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const etaCalculator = require("./etaCalculator");
+const etaAccuracy = require("./etaAccuracy");
+const { seatsOf } = require("./groupTicket");
+
+const OPEN_COUNTER_WINDOW_MS = 60 * 60 * 1000;
+const TERMINAL_STATUSES = ["done", "cancelled", "missed"];
+
+// Actual first call (older tickets only have calledAt)
+const calledAtOf = (ticket) => ticket.firstCalledAt || ticket.calledAt || null;
+
+// When the ticket stopped waiting: called, or left the queue
+const leftAtOf = (ticket) => {
+  const called = calledAtOf(ticket);
+  if (called) return called;
+  if (TERMINAL_STATUSES.includes(ticket.status)) {
+    const last = ticket.statusHistory?.[ticket.statusHistory.length - 1];
+    return last?.at || ticket.updatedAt;
+  }
+  return null;
+};
+
+/**
+ * Replay one queue's tickets
+ * @param {Object} business - Business document
+ * @param {Object} queue - Queue document
+ * @param {Object} period - { from, to }
+ * @returns {Object} - { rows, liveRows, methods }
+ */
+const replayQueue = async (business, queue, { from, to }) => {
+  const tickets = await Ticket.find({ queueId: queue._id })
+    .select(
+      "createdAt updatedAt status calledAt firstCalledAt partySize type serviceId counterId statusHistory.at etaSnapshots",
+    )
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const calledTimes = tickets.map(calledAtOf).filter(Boolean);
+  if (calledTimes.length === 0) return { rows: [], liveRows: [], methods: {} };
+
+  // History up to the last call of the queue, cut per ticket below
+  const lastCall = new Date(Math.max(...calledTimes.map((d) => d.getTime())) + 1);
+  const samples = await etaCalculator.loadSamples(business._id, queue, lastCall);
+
+  const rows = [];
+  const liveRows = [];
+  const methods = {};
+  for (const ticket of tickets) {
+    const takenAt = ticket.createdAt;
+    const actual = calledAtOf(ticket);
+    if (!actual || takenAt < from || takenAt >= to) continue;
+
+    const history = samples.filter((s) => s.completedAt < takenAt);
+    const openCounterIds = [
+      ...new Set(
+        tickets
+          .filter((t) => {
+            const called = calledAtOf(t);
+            return (
+              t.counterId &&
+              called &&
+              Math.abs(called - takenAt) <= OPEN_COUNTER_WINDOW_MS
+            );
+          })
+          .map((t) => t.counterId.toString()),
+      ),
+    ];
+    const model = etaCalculator.estimatePerPerson(
+      history,
+      { type: ticket.type || "examination", hour: takenAt.getHours(), day: takenAt.getDay() },
+      { etaModel: queue.etaModel || {}, openCounterIds },
+    );
+    methods[model.method] = (methods[model.method] || 0) + 1;
+
+    const ahead = tickets
+      .filter((t) => {
+        if (t._id.equals(ticket._id) || t.createdAt >= takenAt) return false;
+        const leftAt = leftAtOf(t);
+        return !leftAt || leftAt > takenAt;
+      })
+      .reduce((seats, t) => seats + seatsOf(t), 0);
+    const predicted = etaCalculator.waitRange(model.perPerson, ahead + seatsOf(ticket)).p50;
+
+    const service = etaAccuracy.serviceOf(business, ticket);
+    rows.push({
+      ...service,
+      hour: takenAt.getHours(),
+      error: (actual - takenAt) / 60000 - predicted,
+    });
+
+    const given = ticket.etaSnapshots?.[0];
+    if (given?.expectedTime) {
+      liveRows.push({
+        ...service,
+        hour: takenAt.getHours(),
+        error: (actual - given.expectedTime) / 60000,
+      });
+    }
+  }
+
+  return { rows, liveRows, methods };
+};
+
+/**
+ * Backtest the ETA model on a business's history
+ * @param {String} businessId - Business ID
+ * @param {Object} options - from, to (default: last 30 days), queueId
+ * @returns {Object} - { from, to, queues, tickets, methods, replayed, live }
+ *   replayed / live: { overall, byService, byHour } (see etaAccuracy)
+ * @throws {Error} - 404 BUSINESS_NOT_FOUND, 400 INVALID_PERIOD
+ */
+exports.backtest = async (businessId, options = {}) => {
+  const period = etaAccuracy.resolvePeriod(options);
+
+  const business = await Business.findById(businessId).select("service");
+  if (!business) {
+    throw Object.assign(new Error("Business not found"), {
+      statusCode: 404,
+      code: "BUSINESS_NOT_FOUND",
+    });
+  }
+
+  const filter = { businessId, createdAt: { $gte: period.from, $lt: period.to } };
+  if (options.queueId) filter.queueId = options.queueId;
+  const queueIds = await Ticket.distinct("queueId", filter);
+
+  const rows = [];
+  const liveRows = [];
+  const methods = {};
+  let queues = 0;
+  for (const queueId of queueIds) {
+    const queue = await Queue.findById(queueId);
+    if (!queue) continue;
+
+    const result = await replayQueue(business, queue, period);
+    if (result.rows.length === 0) continue;
+    queues += 1;
+    rows.push(...result.rows);
+    liveRows.push(...result.liveRows);
+    for (const [method, count] of Object.entries(result.methods)) {
+      methods[method] = (methods[method] || 0) + count;
+    }
+  }
+
+  return {
+    ...period,
+    queues,
+    tickets: rows.length,
+    methods,
+    replayed: etaAccuracy.groupErrors(rows),
+    live: etaAccuracy.groupErrors(liveRows),
+  };
+};
@@ -1,159 +1,394 @@
 /**
- * AI-based ETA Prediction Module
- * Documentation: Optional: AI-based ETA predictions
- * 
- * This module calculates estimated wait times using:
- * 1. Historical data analysis
- * 2. Current queue length
- * 3. Time-of-day patterns
- * 4. Day-of-week patterns
- * 5. Service type duration
+ * ETA Prediction From Observed Durations
+ *
+ * Estimates are learned from what actually happened to done tickets over
+ * the last LOOKBACK_DAYS, never from earlier estimates:
+ * - service time: completedAt - startedAt (calledAt when never started),
+ *   per person for group tickets
+ * - wait time: calledAt - createdAt (reported alongside, for reference)
+ * Samples are segmented by service type, hour of day (+/- 1h) and day of
+ * week; the most specific segment with enough samples wins. Outliers are
+ * trimmed and the median (P50) / P90 are used (see durationStats).
+ * Counters with staff signed in work in parallel, each at its own
+ * observed speed. The wait for N people ahead is reported as a range:
+ *   p50 = N x P50 per person,  p90 = p50 + (P90 - P50) x sqrt(N)
+ * then spread over the clock around the current pause and scheduled
+ * breaks (see etaSchedule).
+ * Queues with etaModel.method "fixed" use their configured minutes.
  */
 
 const Ticket = require("../models/ticketSchema");
 const Queue = require("../models/queueSchema");
-const mongoose = require("mongoose");
+const Business = require("../models/businessSchema");
+const Counter = require("../models/counterSchema");
+const dispatchPolicy = require("./dispatchPolicy");
+const businessHours = require("./businessHours");
+const groupTicket = require("./groupTicket");
+const durationStats = require("./durationStats");
+const etaDrift = require("./etaDrift");
+const etaAccuracy = require("./etaAccuracy");
+const etaSchedule = require("./etaSchedule");
+
+const LOOKBACK_DAYS = 30;
+const MAX_SAMPLES = 1000;
+// Samples a segment needs before it is trusted
+const MIN_SEGMENT_SAMPLES = 8;
+const HIGH_CONFIDENCE_SAMPLES = 30;
+// Longest plausible service, anything above is a ticket left open
+const MAX_SERVICE_MINUTES = 8 * 60;
+
+const DEFAULT_SERVICE_MINUTES = 15;
+
+// Only used when there is no history at all
+const DEFAULT_TYPE_MULTIPLIERS = {
+  examination: 1.0,
+  consultation: 1.5,
+  procedure: 2.0,
+  followup: 0.7,
+};
+
+// Most specific first; "type" segments only for the ticket's own service
+const SEGMENTS = [
+  { name: "type_hour_day", type: true, hour: true, day: true },
+  { name: "type_hour", type: true, hour: true },
+  { name: "type_day", type: true, day: true },
+  { name: "type", type: true },
+  { name: "hour_day", hour: true, day: true },
+  { name: "hour", hour: true },
+  { name: "day", day: true },
+  { name: "all" },
+];
+
+const minutesBetween = (from, to) => (to - from) / 60000;
+
+/**
+ * Observed durations of a queue's done tickets
+ * @param {String} businessId - Business ID
+ * @param {Object} queue - Queue document
+ * @param {Date} now - Reference time (backtests replay the past)
+ * @returns {Array} - { type, hour, day, counterId, completedAt, serviceMinutes,
+ *   waitMinutes }
+ */
+const loadSamples = async (businessId, queue, now = new Date()) => {
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  // Queues bound to services only learn from tickets of those services
+  const serviceFilter = queue.serviceIds?.length
+    ? { serviceId: { $in: queue.serviceIds } }
+    : {};
+
+  const tickets = await Ticket.find({
+    businessId,
+    status: "done",
+    completedAt: { $gte: since, $lt: now },
+    calledAt: { $ne: null },
+    ...serviceFilter,
+  })
+    .sort({ completedAt: -1 })
+    .limit(MAX_SAMPLES)
+    .select("type partySize createdAt calledAt startedAt completedAt counterId")
+    .lean();
+
+  return tickets
+    .map((t) => {
+      const servedFrom = t.startedAt || t.calledAt;
+      return {
+        type: t.type || "examination",
+        hour: servedFrom.getHours(),
+        day: servedFrom.getDay(),
+        counterId: t.counterId ? t.counterId.toString() : null,
+        completedAt: t.completedAt,
+        serviceMinutes:
+          minutesBetween(servedFrom, t.completedAt) / groupTicket.seatsOf(t),
+        waitMinutes: minutesBetween(t.createdAt, t.calledAt),
+      };
+    })
+    .filter((s) => s.serviceMinutes > 0 && s.serviceMinutes <= MAX_SERVICE_MINUTES);
+};
+
+exports.loadSamples = loadSamples;
+
+const inSegment = (segment, { type, hour, day }) => (s) =>
+  (!segment.type || s.type === type) &&
+  (!segment.hour || Math.abs(s.hour - hour) <= 1) &&
+  (!segment.day || s.day === day);
+
+/**
+ * Most specific segment with enough samples
+ * @param {Array} samples - See loadSamples
+ * @param {Object} at - { type, hour, day }; type null to skip type segments
+ * @param {String} field - "serviceMinutes" or "waitMinutes"
+ * @returns {Object|null} - { segment, samples, trimmed, p50, p90, rows }
+ */
+const pickSegment = (samples, at, field = "serviceMinutes") => {
+  for (const segment of SEGMENTS) {
+    if (segment.type && !at.type) continue;
+    const rows = samples.filter(inSegment(segment, at));
+    const summary = durationStats.summarize(rows.map((s) => s[field]));
+    if (summary.samples >= MIN_SEGMENT_SAMPLES) {
+      return { segment: segment.name, ...summary, rows };
+    }
+  }
+  return null;
+};
+
+/**
+ * Effective minutes per person when several counters serve in parallel
+ * Each staffed counter that served the queue counts at its own P50 (the
+ * segment P50 when it has too few samples); when none of them did, every
+ * staffed counter counts at the segment P50. P90 is scaled alike
+ * @param {Object} picked - pickSegment result
+ * @param {Array} openCounterIds - Counters with staff signed in
+ * @returns {Object} - { p50, p90, servers } (servers 0 = nobody serving,
+ *   counted as one)
+ */
+const parallelRate = (picked, openCounterIds) => {
+  const known = openCounterIds.filter((id) =>
+    picked.rows.some((s) => s.counterId === id),
+  );
+  const serving = known.length > 0 ? known : openCounterIds;
+  if (serving.length <= 1) {
+    return { p50: picked.p50, p90: picked.p90, servers: serving.length };
+  }
+
+  const perHour = serving.reduce((sum, id) => {
+    const own = durationStats.summarize(
+      picked.rows.filter((s) => s.counterId === id).map((s) => s.serviceMinutes),
+    );
+    const minutes = own.samples >= MIN_SEGMENT_SAMPLES ? own.p50 : picked.p50;
+    return sum + 1 / Math.max(minutes, 0.1);
+  }, 0);
+
+  const p50 = 1 / perHour;
+  return { p50, p90: picked.p90 * (p50 / picked.p50), servers: serving.length };
+};
+
+/**
+ * Wait range for a number of people ahead
+ * @param {Object} perPerson - { p50, p90 } minutes per person
+ * @param {Number} people - People ahead (including the ticket itself)
+ * @returns {Object} - { p50, p90 } minutes
+ */
+const waitRange = (perPerson, people) => {
+  const n = Math.max(people, 0);
+  const p50 = n * perPerson.p50;
+  const p90 = p50 + Math.max(perPerson.p90 - perPerson.p50, 0) * Math.sqrt(n);
+  return { p50: Math.round(p50), p90: Math.round(p90) };
+};
+
+exports.waitRange = waitRange;
+
+/**
+ * Minutes per person of an ETA result (older results only carry the total)
+ * @param {Object} eta - calculateETA result
+ * @param {Object} queue - Queue the ETA was computed for
+ * @returns {Object} - { p50, p90 }
+ */
+const perPersonOf = (eta, queue) => {
+  if (eta.perPerson) return eta.perPerson;
+  const p50 = eta.estimatedMinutes / Math.max(queue.currentCount || 0, 1);
+  return { p50, p90: p50 };
+};
+
+exports.perPersonOf = perPersonOf;
+
+/**
+ * Wait for a number of people on the clock, around the downtime of an ETA
+ * @param {Object} eta - calculateETA result (uses its downtime)
+ * @param {Object} perPerson - { p50, p90 } minutes per person
+ * @param {Number} people - People ahead (including the ticket itself)
+ * @param {Date} now - Reference time
+ * @returns {Object} - { estimatedMinutes, range: { p50, p90 }, expectedTime }
+ */
+const projectWait = (eta, perPerson, people, now = new Date()) => {
+  const service = waitRange(perPerson, people);
+  const downtime = eta.downtime || [];
+  const expectedTime = etaSchedule.addServiceMinutes(now, service.p50, downtime);
+  const latest = etaSchedule.addServiceMinutes(now, service.p90, downtime);
+  const range = {
+    p50: Math.round((expectedTime - now) / 60000),
+    p90: Math.round((latest - now) / 60000),
+  };
+  return { estimatedMinutes: range.p50, range, expectedTime };
+};
+
+exports.projectWait = projectWait;
+
+// high: plenty of samples in an hour-aware segment with a tight spread
+const confidenceOf = (picked) => {
+  if (!picked) return "low";
+  const tight = picked.p50 > 0 && picked.p90 / picked.p50 <= 2;
+  if (picked.samples >= HIGH_CONFIDENCE_SAMPLES && picked.segment.includes("hour") && tight) {
+    return "high";
+  }
+  return "medium";
+};
+
+/**
+ * Minutes per person predicted from observed samples
+ * Pure: calculateETA feeds it live data, backtests replay history through it
+ * @param {Array} samples - See loadSamples
+ * @param {Object} at - { type, hour, day } of the prediction
+ * @param {Object} options - etaModel (queue.etaModel), openCounterIds
+ *   (counters with staff signed in)
+ * @returns {Object} - { perPerson: { p50, p90 }, ownService, confidence,
+ *   method, picked, servers, observedWait }
+ */
+const estimatePerPerson = (samples, at, { etaModel = {}, openCounterIds = [] } = {}) => {
+  if (etaModel.method === "fixed" && etaModel.serviceMinutes) {
+    // Queue configured with a fixed time per ticket
+    return {
+      perPerson: { p50: etaModel.serviceMinutes, p90: etaModel.serviceMinutes },
+      ownService: etaModel.serviceMinutes,
+      confidence: "medium",
+      method: "queue_fixed",
+      picked: null,
+      servers: 1,
+      observedWait: null,
+    };
+  }
+
+  // People ahead need any kind of service; the ticket itself its own
+  const picked = pickSegment(samples, { ...at, type: null });
+  const own = pickSegment(samples, at);
+  const waits = pickSegment(samples, { ...at, type: null }, "waitMinutes");
+  const observedWait = waits
+    ? {
+        segment: waits.segment,
+        p50: Math.round(waits.p50),
+        p90: Math.round(waits.p90),
+        samples: waits.samples,
+      }
+    : null;
+
+  if (picked) {
+    const rate = parallelRate(picked, openCounterIds);
+    return {
+      perPerson: { p50: rate.p50, p90: rate.p90 },
+      ownService: (own || picked).p50,
+      confidence: confidenceOf(own || picked),
+      method: `observed_${picked.segment}`,
+      picked,
+      servers: rate.servers,
+      observedWait,
+    };
+  }
+
+  const base =
+    (etaModel.serviceMinutes || DEFAULT_SERVICE_MINUTES) *
+    (DEFAULT_TYPE_MULTIPLIERS[at.type] || 1.0);
+  const servers = openCounterIds.length;
+  const p50 = base / Math.max(servers, 1);
+  return {
+    perPerson: { p50, p90: p50 * 1.5 },
+    ownService: base,
+    confidence: "low",
+    method: "default",
+    picked: null,
+    servers,
+    observedWait,
+  };
+};
+
+exports.estimatePerPerson = estimatePerPerson;
 
 /**
  * Calculate ETA for a new ticket
  * @param {String} businessId - Business ID
  * @param {String} queueId - Queue ID
  * @param {String} serviceType - Type of service
- * @returns {Object} - ETA prediction with confidence
+ * @param {Number} partySize - People on the ticket (group tickets take
+ *   partySize times as long to serve)
+ * @param {Date} now - Reference time (default: now; backtests replay the past)
+ * @returns {Object} - { estimatedMinutes (P50), range: { p50, p90 },
+ *   perPerson: { p50, p90 }, expectedTime, serviceMinutes, confidence,
+ *   method, closesAt, afterClosing, paused ({ since, resumesAt, overdue,
+ *   reason, message } while the queue is paused), downtime, factors }
  */
-exports.calculateETA = async (businessId, queueId, serviceType = "examination") => {
+exports.calculateETA = async (
+  businessId,
+  queueId,
+  serviceType = "examination",
+  partySize = 1,
+  now = new Date(),
+) => {
   try {
-    // Get queue info
     const queue = await Queue.findById(queueId);
     if (!queue) {
       return { estimatedMinutes: 15, confidence: "low", method: "default" };
     }
 
-    const currentHour = new Date().getHours();
-    const currentDay = new Date().getDay();
-
-    // Get historical data for this business (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    // Aggregate historical service times
-    const historicalData = await Ticket.aggregate([
-      {
-        $match: {
-          businessId: new mongoose.Types.ObjectId(businessId),
-          status: "done",
-          createdAt: { $gte: thirtyDaysAgo },
-        },
-      },
-      {
-        $addFields: {
-          hour: { $hour: "$createdAt" },
-          dayOfWeek: { $dayOfWeek: "$createdAt" },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          overallAvg: { $avg: "$estimatedTime" },
-          count: { $sum: 1 },
-          hourlyData: {
-            $push: {
-              hour: "$hour",
-              estimatedTime: "$estimatedTime",
-            },
-          },
-        },
-      },
-    ]);
+    const type = serviceType || "examination";
+    const at = { type, hour: now.getHours(), day: now.getDay() };
+    const etaModel = queue.etaModel || {};
 
-    // Get current hour average
-    const hourlyAnalysis = await Ticket.aggregate([
-      {
-        $match: {
-          businessId: new mongoose.Types.ObjectId(businessId),
-          status: "done",
-          createdAt: { $gte: thirtyDaysAgo },
-        },
-      },
-      {
-        $addFields: {
-          hour: { $hour: "$createdAt" },
-        },
-      },
-      {
-        $match: {
-          hour: { $gte: currentHour - 1, $lte: currentHour + 1 },
-        },
-      },
-      {
-        $group: {
-          _id: null,
-          avgTime: { $avg: "$estimatedTime" },
-          count: { $sum: 1 },
-        },
-      },
+    const fixed = etaModel.method === "fixed" && etaModel.serviceMinutes;
+    const [samples, activeCounters, business] = await Promise.all([
+      fixed ? [] : loadSamples(businessId, queue, now),
+      // Only counters someone is signed in to are serving
+      Counter.find({ businessId, status: "open", currentStaff: { $ne: null } })
+        .select("_id")
+        .lean(),
+      Business.findById(businessId).select(
+        "workingHours calendar queueSettings etaPolicy",
+      ),
     ]);
+    const openCounterIds = activeCounters.map((c) => c._id.toString());
 
-    // Calculate base service time
-    let baseServiceTime = 15; // Default
-    let confidence = "low";
-    let method = "default";
-
-    if (historicalData.length > 0 && historicalData[0].count >= 10) {
-      baseServiceTime = historicalData[0].overallAvg;
-      confidence = "medium";
-      method = "historical_average";
-
-      // Use hourly data if available (more accurate)
-      if (hourlyAnalysis.length > 0 && hourlyAnalysis[0].count >= 5) {
-        baseServiceTime = hourlyAnalysis[0].avgTime;
-        confidence = "high";
-        method = "hourly_pattern";
-      }
-    }
-
-    // Service type multipliers
-    const serviceMultipliers = {
-      examination: 1.0,
-      consultation: 1.5,
-      procedure: 2.0,
-      followup: 0.7,
-    };
-
-    const multiplier = serviceMultipliers[serviceType] || 1.0;
-
-    // Peak hour adjustments
-    const peakHours = [9, 10, 11, 14, 15, 16]; // Typical peak hours
-    const isPeakHour = peakHours.includes(currentHour);
-    const peakMultiplier = isPeakHour ? 1.2 : 1.0;
+    const model = estimatePerPerson(samples, at, { etaModel, openCounterIds });
+    const { perPerson, ownService, method, picked, servers, observedWait } = model;
+    let { confidence } = model;
+    if (servers === 0) confidence = "low";
 
-    // Weekend adjustment
-    const isWeekend = currentDay === 0 || currentDay === 6;
-    const weekendMultiplier = isWeekend ? 0.8 : 1.0; // Usually less busy
+    // Pause and breaks ahead push the wait back on the clock
+    const policy = etaSchedule.resolveEtaPolicy(business);
+    const downtime = etaSchedule.downtimeFrom(queue, policy, now);
+    const pause = etaSchedule.pauseOf(queue, policy, now);
 
-    // Calculate final ETA
-    const adjustedServiceTime = baseServiceTime * multiplier * peakMultiplier * weekendMultiplier;
     const waitingCount = queue.currentCount || 0;
-    const estimatedMinutes = Math.round(waitingCount * adjustedServiceTime);
+    const { estimatedMinutes, range, expectedTime } = projectWait(
+      { downtime },
+      perPerson,
+      waitingCount,
+      now,
+    );
+    // Time the ticket itself occupies a counter
+    const serviceMinutes = Math.round(ownService * partySize);
 
-    // Calculate expected time
-    const expectedTime = new Date();
-    expectedTime.setMinutes(expectedTime.getMinutes() + estimatedMinutes);
+    // Today's closing time, including holidays / special opening hours
+    const today = business ? businessHours.resolveDay(business, now) : null;
+    const window = business ? businessHours.workingWindow(business, now) : null;
+    const closesAt = window ? window.close : null;
+    const afterClosing = Boolean(closesAt && expectedTime > closesAt);
+    if (afterClosing) confidence = "low";
 
     return {
       estimatedMinutes,
+      range,
+      perPerson: {
+        p50: Math.round(perPerson.p50 * 10) / 10,
+        p90: Math.round(perPerson.p90 * 10) / 10,
+      },
       expectedTime,
+      serviceMinutes,
       confidence,
       method,
+      closesAt,
+      afterClosing,
+      paused: pause ? { ...pause, message: etaSchedule.pauseMessage(pause) } : null,
+      downtime,
       factors: {
-        baseServiceTime: Math.round(baseServiceTime),
-        serviceType,
-        serviceMultiplier: multiplier,
-        isPeakHour,
-        peakMultiplier,
-        isWeekend,
-        weekendMultiplier,
+        baseServiceTime: Math.round(ownService),
+        serviceType: type,
+        segment: picked?.segment || null,
+        samples: picked?.samples || 0,
+        trimmedOutliers: picked?.trimmed || 0,
+        servers,
+        downtimeMinutes: estimatedMinutes - waitRange(perPerson, waitingCount).p50,
+        observedWait,
         waitingCount,
+        partySize,
+        specialDay: today?.source === "calendar" ? today.name || true : false,
       },
     };
   } catch (error) {
@@ -169,35 +404,67 @@ exports.calculateETA = async (businessId, queueId, serviceType = "examination")
 };
 
 /**
- * Update ETA for all waiting tickets in a queue
+ * Recompute the ETA of every waiting ticket in a queue
+ * Called on each queue event; customers get the new estimate live
+ * ("etaUpdated") and a notification when it drifted past the business
+ * threshold (see etaDrift)
  * @param {String} queueId - Queue ID
+ * @param {Object} options - socketIO (optional), event (call, complete,
+ *   cancel, no-show, pause, resume, reorder, transfer, issue, open, staffing)
+ * @returns {Number} - Waiting tickets updated
  */
-exports.updateQueueETAs = async (queueId) => {
+exports.updateQueueETAs = async (queueId, { socketIO, event } = {}) => {
   try {
     const queue = await Queue.findById(queueId).populate("businessId");
     if (!queue) return;
 
-    const waitingTickets = await Ticket.find({
-      queueId,
-      status: "waiting",
-    }).sort({ ticketNumber: 1 });
+    // Waiting tickets in the order they will actually be called
+    const waitingTickets = await dispatchPolicy.getDispatchOrder(queueId);
 
     // Calculate ETA for first ticket
+    const now = new Date();
     const baseETA = await exports.calculateETA(
       queue.businessId._id || queue.businessId,
-      queueId
+      queueId,
+      undefined,
+      1,
+      now
     );
+    const policy = etaSchedule.resolveEtaPolicy(queue.businessId);
 
-    // Update each ticket with cumulative ETA
+    // Update each ticket with cumulative ETA (a group counts once per person)
+    const perPerson = perPersonOf(baseETA, queue);
+    let seatsSoFar = 0;
     for (let i = 0; i < waitingTickets.length; i++) {
       const ticket = waitingTickets[i];
-      const positionETA = Math.round(
-        (i + 1) * (baseETA.estimatedMinutes / (queue.currentCount || 1))
-      );
+      seatsSoFar += groupTicket.seatsOf(ticket);
+      const { range, expectedTime } = projectWait(baseETA, perPerson, seatsSoFar, now);
+      const changed = ticket.estimatedTime !== range.p50;
+
+      const update = { estimatedTime: range.p50, expectedServiceTime: expectedTime };
+      if (changed) {
+        update.$push = etaAccuracy.pushSnapshot(
+          etaAccuracy.snapshotOf(
+            { ...baseETA, estimatedMinutes: range.p50, range, expectedTime },
+            { event, position: i + 1, at: now },
+          ),
+        );
+      }
+      await Ticket.findByIdAndUpdate(ticket._id, update);
 
-      await Ticket.findByIdAndUpdate(ticket._id, {
-        estimatedTime: positionETA,
-      });
+      if (!ticket.userId) continue;
+      if (socketIO && changed) {
+        socketIO.emitToUser(ticket.userId.toString(), "etaUpdated", {
+          ticketId: ticket._id,
+          position: i + 1,
+          estimatedMinutes: range.p50,
+          range,
+          expectedTime,
+          paused: baseETA.paused || null,
+          event: event || null,
+        });
+      }
+      await etaDrift.notifyDrift(ticket, expectedTime, { policy, event, socketIO });
     }
 
     return waitingTickets.length;
@@ -217,16 +484,19 @@ exports.getPositionETA = async (queueId, position) => {
     if (!queue) return null;
 
     const baseETA = await exports.calculateETA(queue.businessId, queueId);
-    const estimatedMinutes = Math.round(position * (baseETA.estimatedMinutes / Math.max(queue.currentCount, 1)));
-
-    const expectedTime = new Date();
-    expectedTime.setMinutes(expectedTime.getMinutes() + estimatedMinutes);
+    const { estimatedMinutes, range, expectedTime } = projectWait(
+      baseETA,
+      perPersonOf(baseETA, queue),
+      position,
+    );
 
     return {
       position,
       estimatedMinutes,
+      range,
       expectedTime,
       confidence: baseETA.confidence,
+      paused: baseETA.paused || null,
     };
   } catch (error) {
     console.error("Get position ETA error:", error);
@@ -0,0 +1,98 @@
+/**
+ * ETA Drift Notifications
+ *
+ * Waiting tickets are re-estimated on every queue event
+ * (etaCalculator.updateQueueETAs). Small moves are only pushed as live
+ * updates; when a customer's expected time has moved by at least
+ * etaPolicy.driftNotifyMinutes since they were last told
+ * (ticket.notifiedExpectedTime), they also get a notification such as
+ * "Your wait increased by 20 minutes because the queue was paused".
+ * Drift is measured on the expected clock time, so a queue moving as
+ * predicted never triggers it.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Notification = require("../models/notificationSchema");
+
+// Why the estimate moved, by queue event and direction
+const LATER_CAUSES = {
+  pause: "the queue was paused",
+  resume: "the queue was paused",
+  reorder: "the queue order changed",
+  transfer: "the queue order changed",
+  staffing: "fewer counters are serving",
+};
+const SOONER_CAUSES = {
+  resume: "the queue was resumed",
+  cancel: "people ahead of you left the queue",
+  "no-show": "people ahead of you left the queue",
+  reorder: "the queue order changed",
+  transfer: "the queue order changed",
+  staffing: "more counters are serving",
+};
+
+/**
+ * Customer-facing text for a drift
+ * @param {Number} driftMinutes - Positive when the wait got longer
+ * @param {String} event - Queue event that triggered the recomputation
+ * @returns {String}
+ */
+const driftMessage = (driftMinutes, event) => {
+  const later = driftMinutes > 0;
+  const cause =
+    (later ? LATER_CAUSES : SOONER_CAUSES)[event] ||
+    (later
+      ? "service is taking longer than expected"
+      : "the queue is moving faster than expected");
+  const minutes = Math.abs(driftMinutes);
+  return `Your wait ${later ? "increased" : "decreased"} by ${minutes} minute${minutes === 1 ? "" : "s"} because ${cause}.`;
+};
+
+exports.driftMessage = driftMessage;
+
+/**
+ * Notify the customer when a ticket's expected time drifted past the
+ * business threshold since they were last told
+ * @param {Object} ticket - Ticket as it was before the recomputation
+ * @param {Date} expectedTime - New expected time
+ * @param {Object} options - policy (etaSchedule.resolveEtaPolicy), event,
+ *   socketIO
+ * @returns {Number|null} - Drift in minutes when the customer was notified
+ */
+exports.notifyDrift = async (ticket, expectedTime, { policy, event, socketIO } = {}) => {
+  const told = ticket.notifiedExpectedTime || null;
+  const baseline = told || ticket.expectedServiceTime;
+  const driftMinutes = baseline
+    ? Math.round((expectedTime - new Date(baseline)) / 60000)
+    : 0;
+  const notify = Boolean(baseline) && Math.abs(driftMinutes) >= policy.driftNotifyMinutes;
+  if (told && !notify) return null;
+
+  // Move the baseline (or set the first one) only if nobody else did, so
+  // concurrent recomputations notify once
+  const claimed = await Ticket.updateOne(
+    { _id: ticket._id, notifiedExpectedTime: told },
+    { notifiedExpectedTime: notify ? expectedTime : baseline || expectedTime },
+  );
+  if (!notify || claimed.modifiedCount !== 1 || !ticket.userId) return null;
+
+  const message = driftMessage(driftMinutes, event);
+  await Notification.create({
+    businessId: ticket.businessId,
+    ticketId: ticket._id,
+    userId: ticket.userId,
+    queueId: ticket.queueId,
+    type: "queue",
+    message,
+  });
+  if (socketIO) {
+    socketIO.emitToUser(ticket.userId.toString(), "etaDrift", {
+      ticketId: ticket._id,
+      driftMinutes,
+      expectedTime,
+      event: event || null,
+      message,
+    });
+  }
+  return driftMinutes;
+};
@@ -0,0 +1,134 @@
+/**
+ * Service Downtime For ETAs
+ *
+ * Counters serve nobody:
+ * - while the queue is paused, until queue.resumesAt (staff's estimate
+ *   when pausing, else pausedAt + etaPolicy.defaultPauseMinutes)
+ * - during scheduled breaks (etaPolicy.breaks, "HH:mm" in server local
+ *   time, optionally only on some days of the week)
+ * etaCalculator predicts minutes of service; addServiceMinutes spreads
+ * them over the clock around the downtime, so a customer 30 minutes away
+ * with a 20 minute pause ahead is told 50.
+ */
+
+const { atClock } = require("./businessHours");
+
+const DEFAULT_ETA_POLICY = {
+  driftNotifyMinutes: 10,
+  defaultPauseMinutes: 15,
+  breaks: [],
+};
+
+/**
+ * Merge a business ETA policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveEtaPolicy = (business) => {
+  const policy = business?.etaPolicy?.toObject
+    ? business.etaPolicy.toObject()
+    : business?.etaPolicy || {};
+  return { ...DEFAULT_ETA_POLICY, ...policy };
+};
+
+exports.resolveEtaPolicy = resolveEtaPolicy;
+
+/**
+ * Scheduled breaks of a business on a day
+ * @param {Object} policy - Resolved ETA policy
+ * @param {Date} day - Any time on that day
+ * @returns {Array} - { start, end, name }, by start time
+ */
+const breaksOn = (policy, day) =>
+  (policy.breaks || [])
+    .filter((b) => !b.days?.length || b.days.includes(day.getDay()))
+    .map((b) => ({ start: atClock(day, b.start), end: atClock(day, b.end), name: b.name }))
+    .filter((b) => b.start && b.end && b.end > b.start)
+    .sort((a, b) => a.start - b.start);
+
+exports.breaksOn = breaksOn;
+
+/**
+ * Current pause of a queue
+ * @param {Object} queue - Queue document
+ * @param {Object} policy - Resolved ETA policy
+ * @param {Date} now - Reference time
+ * @returns {Object|null} - { since, resumesAt, overdue, reason }
+ */
+const pauseOf = (queue, policy, now = new Date()) => {
+  if (queue?.status !== "paused") return null;
+  const since = queue.pausedAt || now;
+  const resumesAt =
+    queue.resumesAt ||
+    new Date(since.getTime() + policy.defaultPauseMinutes * 60 * 1000);
+  return {
+    since,
+    resumesAt,
+    overdue: resumesAt <= now,
+    reason: queue.pauseReason || null,
+  };
+};
+
+exports.pauseOf = pauseOf;
+
+const formatClock = (date) =>
+  new Date(date).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" });
+
+/**
+ * What customers see instead of a bare number while the queue is paused
+ * @param {Object} pause - See pauseOf
+ * @returns {String}
+ */
+exports.pauseMessage = (pause) =>
+  pause.overdue
+    ? "Queue paused, resuming shortly"
+    : `Queue paused, resumes at ~${formatClock(pause.resumesAt)}`;
+
+/**
+ * Intervals without service from now on: the rest of the current pause
+ * and the breaks still ahead today
+ * @param {Object} queue - Queue document
+ * @param {Object} policy - Resolved ETA policy
+ * @param {Date} now - Reference time
+ * @returns {Array} - { start, end }, sorted and non-overlapping
+ */
+exports.downtimeFrom = (queue, policy, now = new Date()) => {
+  const intervals = breaksOn(policy, now)
+    .filter((b) => b.end > now)
+    .map((b) => ({ start: b.start < now ? now : b.start, end: b.end }));
+
+  const pause = pauseOf(queue, policy, now);
+  if (pause && !pause.overdue) intervals.push({ start: now, end: pause.resumesAt });
+
+  return intervals
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        if (interval.end > last.end) last.end = interval.end;
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+};
+
+/**
+ * Clock time after some minutes of service, skipping downtime
+ * @param {Date} start - When counting starts
+ * @param {Number} minutes - Minutes of service
+ * @param {Array} downtime - See downtimeFrom
+ * @returns {Date}
+ */
+exports.addServiceMinutes = (start, minutes, downtime = []) => {
+  let at = start.getTime();
+  let left = Math.max(minutes, 0) * 60 * 1000;
+  for (const { start: from, end } of downtime) {
+    if (end.getTime() <= at) continue;
+    const gap = Math.max(from.getTime() - at, 0);
+    if (left <= gap) break;
+    left -= gap;
+    at = Math.max(at, end.getTime());
+  }
+  return new Date(at + left);
+};
@@ -0,0 +1,186 @@
+/**
+ * Group / Family Tickets
+ *
+ * One ticket for a whole party (partySize people) that keeps a single place
+ * in line, while:
+ * - holding partySize queue slots (currentCount / maxCapacity)
+ * - stretching its service-time estimate by partySize (etaCalculator)
+ * - letting staff start, complete or cancel each member on their own
+ *
+ * partySize always counts the members still in the party: cancelling a
+ * member gives its slot back. The ticket moves to in-progress with its
+ * first started member and to done once no member is left to serve.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const { transition } = require("./ticketStateMachine");
+
+const MEMBER_STATUSES = ["waiting", "in-progress", "done", "cancelled"];
+const OPEN_MEMBER_STATUSES = ["waiting", "in-progress"];
+
+// Member actions: allowed member statuses, target status and the ticket
+// statuses they can happen in
+const MEMBER_ACTIONS = {
+  start: {
+    from: ["waiting"],
+    to: "in-progress",
+    ticketStatuses: ["waiting", "called", "in-progress"],
+  },
+  complete: {
+    from: OPEN_MEMBER_STATUSES,
+    to: "done",
+    ticketStatuses: ["called", "in-progress"],
+  },
+  cancel: {
+    from: ["waiting"],
+    to: "cancelled",
+    ticketStatuses: ["waiting", "called", "on-hold", "in-progress"],
+  },
+};
+
+const groupError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+exports.MEMBER_STATUSES = MEMBER_STATUSES;
+exports.MEMBER_ACTIONS = Object.keys(MEMBER_ACTIONS);
+
+/**
+ * Queue slots held by a ticket
+ * @param {Object} ticket - Ticket document
+ * @returns {Number}
+ */
+exports.seatsOf = (ticket) => Math.max(ticket?.partySize || 1, 1);
+
+/**
+ * Members of a new group ticket
+ * @param {Number} partySize - People in the party
+ * @param {Array} names - Optional member names, in order
+ * @returns {Array} - ticket.members entries (empty for a single person)
+ */
+exports.buildMembers = (partySize, names = []) => {
+  if (partySize <= 1) return [];
+  return Array.from({ length: partySize }, (_, i) => ({
+    name: typeof names[i] === "string" && names[i].trim() ? names[i].trim() : undefined,
+    status: "waiting",
+  }));
+};
+
+/**
+ * Start, complete or cancel one member of a group ticket
+ * @param {String} ticketId - Ticket ID
+ * @param {String} memberId - ticket.members[]._id
+ * @param {String} action - "start" | "complete" | "cancel"
+ * @param {Object} actor - by, byRole, reason (recorded on the ticket when its
+ *   status changes)
+ * @returns {Object} - { ticket, member, releasedSlot }
+ * @throws {Error} - with statusCode and code (MEMBER_NOT_FOUND,
+ *   MEMBER_STATUS_CONFLICT, LAST_MEMBER, ...)
+ */
+exports.updateMember = async (ticketId, memberId, action, { by, byRole, reason } = {}) => {
+  const move = MEMBER_ACTIONS[action];
+  if (!move) throw groupError(400, `Unknown member action: ${action}`, "INVALID_ACTION");
+
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw groupError(404, "Ticket not found", "TICKET_NOT_FOUND");
+
+  const member = ticket.members?.id(memberId);
+  if (!member) throw groupError(404, "Party member not found", "MEMBER_NOT_FOUND");
+
+  if (!move.ticketStatuses.includes(ticket.status)) {
+    throw groupError(
+      409,
+      `Cannot ${action} a member of a ${ticket.status} ticket`,
+      "TICKET_NOT_ACTIVE",
+    );
+  }
+  if (!move.from.includes(member.status)) {
+    throw groupError(409, `Member is already ${member.status}`, "MEMBER_STATUS_CONFLICT");
+  }
+
+  // The last open member cannot be cancelled on its own: cancel the ticket
+  const openMembers = ticket.members.filter((m) => OPEN_MEMBER_STATUSES.includes(m.status));
+  const anyDone = ticket.members.some((m) => m.status === "done");
+  if (action === "cancel" && openMembers.length === 1 && !anyDone) {
+    throw groupError(409, "Cancel the ticket to cancel the whole party", "LAST_MEMBER");
+  }
+
+  const now = new Date();
+  const set = { "members.$.status": move.to };
+  if (action === "start") {
+    set["members.$.startedAt"] = now;
+    set["members.$.servedBy"] = by || null;
+  }
+  if (action !== "start") set["members.$.completedAt"] = now;
+
+  let updated = await Ticket.findOneAndUpdate(
+    {
+      _id: ticket._id,
+      status: ticket.status,
+      members: { $elemMatch: { _id: member._id, status: { $in: move.from } } },
+    },
+    {
+      $set: set,
+      ...(action === "cancel" ? { $inc: { partySize: -1 } } : {}),
+    },
+    { new: true },
+  );
+  if (!updated) {
+    throw groupError(409, "Ticket was modified, please retry", "STATUS_CONFLICT");
+  }
+
+  // Like a cancelled ticket, a member leaving the line frees its slot
+  const releasedSlot =
+    action === "cancel" && ["waiting", "on-hold"].includes(updated.status);
+  if (releasedSlot) {
+    await Queue.updateOne({ _id: updated.queueId }, { $inc: { currentCount: -1 } });
+  }
+
+  // First member in the room: the ticket is being served
+  if (action === "start" && updated.status !== "in-progress") {
+    updated = await transition(updated, "in-progress", {
+      by,
+      byRole,
+      reason,
+      set: { startedAt: now },
+    });
+  }
+
+  // Nobody left to serve: the ticket is done
+  const stillOpen = updated.members.some((m) => OPEN_MEMBER_STATUSES.includes(m.status));
+  if (!stillOpen && ["called", "in-progress"].includes(updated.status)) {
+    updated = await transition(updated, "done", {
+      by,
+      byRole,
+      reason: reason || "all party members served",
+      set: { completedAt: now },
+    });
+  }
+
+  return { ticket: updated, member: updated.members.id(member._id), releasedSlot };
+};
+
+/**
+ * Mark the members still open as done when the whole ticket is completed
+ * @param {Object} ticket - Ticket document (already done)
+ * @returns {Object} - Updated ticket
+ */
+exports.completeOpenMembers = async (ticket) => {
+  if (!ticket.members?.length) return ticket;
+  const now = new Date();
+  return (
+    (await Ticket.findByIdAndUpdate(
+      ticket._id,
+      {
+        $set: {
+          "members.$[open].status": "done",
+          "members.$[open].completedAt": now,
+        },
+      },
+      {
+        new: true,
+        arrayFilters: [{ "open.status": { $in: OPEN_MEMBER_STATUSES } }],
+      },
+    )) || ticket
+  );
+};
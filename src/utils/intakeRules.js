@@ -0,0 +1,226 @@
+/**
+ * Ticket Intake Rules
+ *
+ * Evaluated before a ticket is issued. Every rejection carries a
+ * machine-readable code so apps can show a proper message:
+ * - BUSINESS_CLOSED       business inactive, or closed by its calendar
+ * - INTAKE_CLOSED         past queueSettings.LastTimeToAppoint
+ * - DAILY_CAP_REACHED     queueSettings.maxPatientsPerDay reached (all queues)
+ * - ACTIVE_TICKET_EXISTS  customer already holds intakeRules.maxActivePerUser
+ *                         active tickets at this business
+ * - NO_SHOW_COOLDOWN      customer missed a ticket less than
+ *                         intakeRules.noShowCooldownMinutes ago
+ * - PARTY_TOO_LARGE       group ticket above intakeRules.maxPartySize
+ * - PRIORITY_NOT_ALLOWED  fast-track priority requested by someone who is
+ *                         not staff of the business (customers get it by
+ *                         paying, see paymentController)
+ * Queue-level rejections (QUEUE_NOT_FOUND, QUEUE_CLOSED, QUEUE_FULL, ...)
+ * are raised where the queue is resolved.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const businessHours = require("./businessHours");
+const { isBusinessMember } = require("../middlewares/authMiddleware");
+const { todayRange } = require("./queueRouting");
+
+const PRIORITIES = ["normal", "priority", "vip"];
+
+const DEFAULT_INTAKE_RULES = {
+  // 0 = unlimited
+  maxActivePerUser: 1,
+  // 0 = no cooldown
+  noShowCooldownMinutes: 60,
+  maxPartySize: 6,
+};
+
+// Tickets that still hold a place in line
+const ACTIVE_STATUSES = ["waiting", "called", "on-hold", "in-progress"];
+
+class IntakeRejection extends Error {
+  constructor(code, message, { statusCode = 400, details } = {}) {
+    super(message);
+    this.name = "IntakeRejection";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  // Body sent to REST clients and socket acknowledgements
+  toResponse() {
+    return {
+      status: "fail",
+      code: this.code,
+      message: this.message,
+      ...(this.details ? { details: this.details } : {}),
+    };
+  }
+}
+
+exports.IntakeRejection = IntakeRejection;
+exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+/**
+ * Merge business intake rules with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveIntakeRules = (business) => {
+  const rules = business?.intakeRules?.toObject
+    ? business.intakeRules.toObject()
+    : business?.intakeRules || {};
+  return { ...DEFAULT_INTAKE_RULES, ...rules };
+};
+
+exports.resolveIntakeRules = resolveIntakeRules;
+
+/**
+ * Validate the party size of a group ticket
+ * @param {Object} business - Business document
+ * @param {*} value - Requested party size (default 1)
+ * @returns {Number} - Party size
+ * @throws {IntakeRejection} - PARTY_TOO_LARGE, or INVALID_PARTY_SIZE when
+ *   not a positive integer
+ */
+exports.checkPartySize = (business, value) => {
+  if (value == null || value === "") return 1;
+  const partySize = Number(value);
+  if (!Number.isInteger(partySize) || partySize < 1) {
+    throw new IntakeRejection("INVALID_PARTY_SIZE", "partySize must be a positive integer");
+  }
+  const { maxPartySize } = resolveIntakeRules(business);
+  if (partySize > maxPartySize) {
+    throw new IntakeRejection(
+      "PARTY_TOO_LARGE",
+      `A ticket can cover at most ${maxPartySize} people`,
+      { details: { maxPartySize } },
+    );
+  }
+  return partySize;
+};
+
+/**
+ * Validate the priority requested for a ticket
+ * @param {Object} user - Authenticated account (req.user), null for kiosks
+ * @param {String} businessId - Business the ticket is for
+ * @param {*} value - Requested priority (default "normal")
+ * @param {Object} options - paid: fast-track is being paid for (card
+ *   checkout), so any caller may ask for it
+ * @returns {String} - Priority
+ * @throws {IntakeRejection} - INVALID_PRIORITY, or PRIORITY_NOT_ALLOWED
+ *   (403) when a non-staff caller asks for fast-track without paying
+ */
+exports.checkPriority = (user, businessId, value, { paid = false } = {}) => {
+  if (value == null || value === "" || value === "normal") return "normal";
+  if (!PRIORITIES.includes(value)) {
+    throw new IntakeRejection(
+      "INVALID_PRIORITY",
+      `priority must be one of: ${PRIORITIES.join(", ")}`,
+    );
+  }
+  if (!paid && !isBusinessMember(user, businessId)) {
+    throw new IntakeRejection(
+      "PRIORITY_NOT_ALLOWED",
+      "Fast-track priority is only available through payment",
+      { statusCode: 403 },
+    );
+  }
+  return value;
+};
+
+/**
+ * Check whether a business can issue a ticket right now
+ * @param {Object} business - Business document
+ * @param {Object} options - userId (customer account) or guestPhone (kiosk
+ *   walk-in) identify the customer, per-customer rules are skipped without
+ *   either; now
+ * @throws {IntakeRejection} - when a rule rejects the ticket
+ */
+exports.assertCanIssue = async (
+  business,
+  { userId, guestPhone, now = new Date() } = {},
+) => {
+  if (business.status !== "active") {
+    throw new IntakeRejection("BUSINESS_CLOSED", "Business is closed");
+  }
+
+  // Holidays and special opening hours from the business calendar
+  const closure = businessHours.calendarClosure(business, now);
+  if (closure) throw new IntakeRejection("BUSINESS_CLOSED", closure);
+
+  const settings = business.queueSettings?.[0] || {};
+
+  // Cut-off time for new tickets
+  if (settings.LastTimeToAppoint) {
+    const window = businessHours.workingWindow(business, now);
+    const cutoff = window
+      ? window.lastIntake
+      : businessHours.atClock(now, settings.LastTimeToAppoint);
+    if (cutoff && now >= cutoff) {
+      throw new IntakeRejection(
+        "INTAKE_CLOSED",
+        `No new tickets after ${settings.LastTimeToAppoint} today`,
+        { details: { cutoff } },
+      );
+    }
+  }
+
+  // Daily cap across all of today's queues (cancelled tickets free a place)
+  if (settings.maxPatientsPerDay) {
+    const { start, end } = todayRange();
+    const issuedToday = await Ticket.countDocuments({
+      businessId: business._id,
+      createdAt: { $gte: start, $lt: end },
+      status: { $ne: "cancelled" },
+    });
+    if (issuedToday >= settings.maxPatientsPerDay) {
+      throw new IntakeRejection(
+        "DAILY_CAP_REACHED",
+        "This business has reached its maximum number of patients for today",
+        { statusCode: 409, details: { maxPatientsPerDay: settings.maxPatientsPerDay } },
+      );
+    }
+  }
+
+  const customer = userId ? { userId } : guestPhone ? { guestPhone } : null;
+  if (!customer) return;
+  const rules = resolveIntakeRules(business);
+
+  if (rules.maxActivePerUser > 0) {
+    const active = await Ticket.countDocuments({
+      businessId: business._id,
+      ...customer,
+      status: { $in: ACTIVE_STATUSES },
+    });
+    if (active >= rules.maxActivePerUser) {
+      throw new IntakeRejection(
+        "ACTIVE_TICKET_EXISTS",
+        rules.maxActivePerUser === 1
+          ? "You already have an active ticket at this business"
+          : `You already have ${active} active tickets at this business`,
+        { statusCode: 409, details: { maxActivePerUser: rules.maxActivePerUser } },
+      );
+    }
+  }
+
+  if (rules.noShowCooldownMinutes > 0) {
+    const since = new Date(now.getTime() - rules.noShowCooldownMinutes * 60 * 1000);
+    const lastMissed = await Ticket.findOne({
+      businessId: business._id,
+      ...customer,
+      status: "missed",
+      updatedAt: { $gte: since },
+    })
+      .sort({ updatedAt: -1 })
+      .select("updatedAt");
+    if (lastMissed) {
+      const retryAt = new Date(
+        lastMissed.updatedAt.getTime() + rules.noShowCooldownMinutes * 60 * 1000,
+      );
+      throw new IntakeRejection(
+        "NO_SHOW_COOLDOWN",
+        "You missed your last turn here. Please try again later",
+        { statusCode: 429, details: { retryAt } },
+      );
+    }
+  }
+};
@@ -0,0 +1,260 @@
+/**
+ * Proximity Alerts
+ *
+ * Lets customers leave the waiting room and be told when to come back:
+ * - "people-ahead": fires once at most threshold people are ahead
+ *   (0 = "I'm next")
+ * - "minutes-before": fires once the live ETA is at most threshold minutes
+ * Alerts are evaluated from the live positions (ticketPosition) whenever a
+ * queue advances. Each alert is claimed atomically (firedAt) before it is
+ * delivered, so concurrent evaluations never send it twice. Delivery: the
+ * ticket/user socket rooms (proximityAlert), a persisted Notification and
+ * an email for customers with an account.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const User = require("../models/userSchema");
+const Notification = require("../models/notificationSchema");
+const ticketPosition = require("./ticketPosition");
+const { sendQueueAlertEmail } = require("./emailService");
+
+// Accepted thresholds per kind
+const ALERT_LIMITS = {
+  "people-ahead": { min: 0, max: 50 },
+  "minutes-before": { min: 1, max: 240 },
+};
+
+const MAX_ALERTS_PER_TICKET = 5;
+
+// Tickets whose alerts can still be set or fire
+const ALERTABLE_STATUSES = ["waiting", "on-hold"];
+
+const alertError = (message, code, statusCode = 400) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+exports.ALERT_KINDS = Object.keys(ALERT_LIMITS);
+exports.MAX_ALERTS_PER_TICKET = MAX_ALERTS_PER_TICKET;
+
+/**
+ * Validate requested alerts
+ * @param {Array} alerts - [{ kind, threshold }]
+ * @returns {Array} - Normalized alerts, duplicates removed
+ * @throws {Error} - 400 with code INVALID_ALERT or TOO_MANY_ALERTS
+ */
+const normalizeAlerts = (alerts) => {
+  if (alerts === undefined || alerts === null) return [];
+  if (!Array.isArray(alerts)) {
+    throw alertError("alerts must be an array", "INVALID_ALERT");
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  alerts.forEach((alert) => {
+    const limits = ALERT_LIMITS[alert?.kind];
+    if (!limits) {
+      throw alertError(
+        `Alert kind must be one of: ${Object.keys(ALERT_LIMITS).join(", ")}`,
+        "INVALID_ALERT",
+      );
+    }
+    const threshold = Number(alert.threshold);
+    if (!Number.isInteger(threshold) || threshold < limits.min || threshold > limits.max) {
+      throw alertError(
+        `${alert.kind} threshold must be a whole number between ${limits.min} and ${limits.max}`,
+        "INVALID_ALERT",
+      );
+    }
+    const key = `${alert.kind}:${threshold}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    normalized.push({ kind: alert.kind, threshold });
+  });
+
+  if (normalized.length > MAX_ALERTS_PER_TICKET) {
+    throw alertError(
+      `At most ${MAX_ALERTS_PER_TICKET} alerts per ticket`,
+      "TOO_MANY_ALERTS",
+    );
+  }
+  return normalized;
+};
+
+exports.normalizeAlerts = normalizeAlerts;
+
+/**
+ * Replace the alerts of a ticket
+ * Alerts that already fired keep their firedAt when requested again, so a
+ * threshold is never sent twice
+ * @param {Object} ticket - Ticket document
+ * @param {Array} alerts - [{ kind, threshold }]
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - 400 (invalid alerts), 409 when the ticket left the line
+ */
+exports.setTicketAlerts = async (ticket, alerts) => {
+  const requested = normalizeAlerts(alerts);
+
+  if (!ALERTABLE_STATUSES.includes(ticket.status)) {
+    throw alertError(
+      `Alerts cannot be set on a ${ticket.status} ticket`,
+      "TICKET_NOT_WAITING",
+      409,
+    );
+  }
+
+  const next = requested.map((alert) => {
+    const fired = (ticket.alerts || []).find(
+      (a) => a.kind === alert.kind && a.threshold === alert.threshold && a.firedAt,
+    );
+    return fired || alert;
+  });
+
+  const updated = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: { $in: ALERTABLE_STATUSES } },
+    { $set: { alerts: next } },
+    { new: true },
+  );
+  if (!updated) {
+    throw alertError("Ticket is no longer waiting", "TICKET_NOT_WAITING", 409);
+  }
+  return updated;
+};
+
+/**
+ * Whether a live status reached an alert threshold
+ * @param {Object} alert - { kind, threshold }
+ * @param {Object} status - ticketPosition status
+ * @returns {Boolean}
+ */
+const isReached = (alert, status) => {
+  if (alert.kind === "people-ahead") return status.peopleAhead <= alert.threshold;
+  if (alert.kind === "minutes-before") {
+    return status.eta != null && status.eta.estimatedMinutes <= alert.threshold;
+  }
+  return false;
+};
+
+/**
+ * Customer-facing text for a fired alert
+ * @param {Object} alert - { kind, threshold }
+ * @param {Object} status - ticketPosition status
+ * @returns {String}
+ */
+const alertMessage = (alert, status) => {
+  const where = status.queue?.name ? ` in ${status.queue.name}` : "";
+  const number = `Ticket ${status.displayNumber}`;
+  if (alert.kind === "minutes-before") {
+    return `${number}: your turn${where} is about ${status.eta.estimatedMinutes} min away. Please head back.`;
+  }
+  if (status.peopleAhead === 0) {
+    return `${number}: you are next${where}. Please head back now.`;
+  }
+  const people = status.peopleAhead === 1 ? "1 person is" : `${status.peopleAhead} people are`;
+  return `${number}: ${people} ahead of you${where}. Please head back.`;
+};
+
+exports.alertMessage = alertMessage;
+
+// Mark one alert as fired; false when another evaluation got there first
+const claimAlert = async (ticketId, alertId) => {
+  const result = await Ticket.updateOne(
+    {
+      _id: ticketId,
+      status: { $in: ALERTABLE_STATUSES },
+      alerts: { $elemMatch: { _id: alertId, firedAt: null } },
+    },
+    { $set: { "alerts.$.firedAt": new Date() } },
+  );
+  return result.modifiedCount === 1;
+};
+
+const deliverAlert = async (ticket, alert, status, { business, socketIO }) => {
+  const message = alertMessage(alert, status);
+
+  if (socketIO) {
+    socketIO.emitToTicket(ticket, "proximityAlert", {
+      ticketId: ticket._id,
+      displayNumber: status.displayNumber,
+      alert: { _id: alert._id, kind: alert.kind, threshold: alert.threshold },
+      position: status.position,
+      peopleAhead: status.peopleAhead,
+      eta: status.eta,
+      message,
+    });
+  }
+
+  // Guests (kiosk tickets) only have the ticket room
+  if (!ticket.userId) return;
+
+  await Notification.create({
+    businessId: ticket.businessId,
+    ticketId: ticket._id,
+    userId: ticket.userId,
+    queueId: ticket.queueId,
+    type: "queue",
+    message,
+  });
+
+  const user = await User.findById(ticket.userId).select("name email");
+  if (user?.email) {
+    sendQueueAlertEmail({
+      email: user.email,
+      name: user.name,
+      businessName: business?.name,
+      message,
+    }).catch((error) =>
+      console.error(`proximity alert email failed for ticket ${ticket._id}:`, error.message),
+    );
+  }
+};
+
+/**
+ * Fire the alerts of a queue's waiting tickets that reached their threshold
+ * Never throws: errors are logged so callers can fire and forget
+ * @param {Object|String} queueOrId - Queue document or ID
+ * @param {Object} socketIO - socket helpers (optional)
+ * @returns {Number} - Alerts fired
+ */
+exports.evaluateQueue = async (queueOrId, socketIO) => {
+  try {
+    const queueId = queueOrId?._id || queueOrId;
+    if (!queueId) return 0;
+
+    // Cheap exit for the common case: nobody in line asked for an alert
+    const pending = await Ticket.find({
+      queueId,
+      status: "waiting",
+      alerts: { $elemMatch: { firedAt: null } },
+    }).select("businessId userId queueId alerts");
+    if (pending.length === 0) return 0;
+
+    const queue = queueOrId?._id ? queueOrId : await Queue.findById(queueId);
+    if (!queue) return 0;
+
+    const [statuses, business] = await Promise.all([
+      ticketPosition.queuePositions(queue),
+      Business.findById(queue.businessId).select("name"),
+    ]);
+    const byTicket = new Map(statuses.map((s) => [s.ticketId.toString(), s]));
+
+    let fired = 0;
+    for (const ticket of pending) {
+      const status = byTicket.get(ticket._id.toString());
+      if (!status) continue;
+
+      for (const alert of ticket.alerts) {
+        if (alert.firedAt || !isReached(alert, status)) continue;
+        if (!(await claimAlert(ticket._id, alert._id))) continue;
+        await deliverAlert(ticket, alert, status, { business, socketIO });
+        fired += 1;
+      }
+    }
+
+    if (fired > 0) console.log(`🔔 Sent ${fired} proximity alert(s) for queue ${queueId}`);
+    return fired;
+  } catch (error) {
+    console.error("proximity alerts error:", error.message);
+    return 0;
+  }
+};
@@ -0,0 +1,422 @@
+/**
+ * Daily Queue Lifecycle
+ *
+ * Runs every business's queue day from its workingHours instead of staff
+ * creating and closing queues by hand:
+ * - at openTime a queue is opened for the day (queueLifecycle.queueName)
+ * - at queueSettings.LastTimeToAppoint intake stops (acceptingTickets=false),
+ *   tickets already in line are still served
+ * - at closeTime the queue is closed and leftover tickets are handled by
+ *   queueLifecycle.leftoverPolicy:
+ *     cancel      - cancel them
+ *     carry-over  - put them at the front of the next day's queue
+ *     appointment - book them into the next free appointment slot
+ *
+ * Closed days (isClosed, no working hours) never open a queue.
+ * Opt-in per business (queueLifecycle.enabled). Only queues the lifecycle
+ * opened (autoManaged) are stopped and closed; queues staff created by
+ * hand are left to them.
+ */
+
+const Appointment = require("../models/appointmentSchema");
+const Business = require("../models/businessSchema");
+const Queue = require("../models/queueSchema");
+const Ticket = require("../models/ticketSchema");
+const queueRouting = require("./queueRouting");
+const appointmentScheduler = require("./appointmentScheduler");
+const etaCalculator = require("./etaCalculator");
+const { queueOrderKey } = require("./dispatchPolicy");
+const { seatsOf } = require("./groupTicket");
+const { transition, transitionMany } = require("./ticketStateMachine");
+const { workingWindow, startOfDay } = require("./businessHours");
+
+const DEFAULT_LIFECYCLE_POLICY = {
+  enabled: false,
+  queueName: "General",
+  leftoverPolicy: "cancel",
+};
+
+const LEFTOVER_POLICIES = ["cancel", "carry-over", "appointment"];
+
+exports.LEFTOVER_POLICIES = LEFTOVER_POLICIES;
+
+/**
+ * Merge a business lifecycle policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveLifecyclePolicy = (business) => {
+  const policy = business?.queueLifecycle?.toObject
+    ? business.queueLifecycle.toObject()
+    : business?.queueLifecycle || {};
+  return { ...DEFAULT_LIFECYCLE_POLICY, ...policy };
+};
+
+exports.resolveLifecyclePolicy = resolveLifecyclePolicy;
+
+const emitQueue = (socketIO, queue) => {
+  if (!socketIO) return;
+  socketIO.emitQueueUpdate(queue.businessId.toString(), {
+    queueId: queue._id.toString(),
+    name: queue.name,
+    status: queue.status,
+    acceptingTickets: queue.acceptingTickets,
+    currentCount: queue.currentCount,
+    currentTicketNumber: queue.currentTicketNumber,
+  });
+};
+
+// Tell the business room and the customer about a ticket closed with the queue
+const emitLeftover = (socketIO, ticket, event, message) => {
+  if (!socketIO) return;
+  const businessId = ticket.businessId.toString();
+  socketIO.emitTicketUpdated(businessId, ticket);
+  if (ticket.status === "cancelled") socketIO.emitTicketCancelled(businessId, ticket);
+  if (ticket.userId) {
+    socketIO.emitToUser(ticket.userId.toString(), event, { ticket, message });
+  }
+};
+
+/**
+ * Move tickets carried over from a previous day to the front of a queue
+ * @param {Object} queue - Newly opened queue
+ * @returns {Number} - Number of tickets adopted
+ */
+const adoptCarriedOver = async (queue) => {
+  const carried = (
+    await Ticket.find({
+      businessId: queue.businessId,
+      status: "waiting",
+      carryOver: true,
+    })
+  )
+    .filter((t) => queueRouting.queueAcceptsService(queue, t.serviceId))
+    .sort((a, b) => queueOrderKey(a) - queueOrderKey(b));
+  if (carried.length === 0) return 0;
+
+  // Groups keep one slot per person
+  const seats = carried.reduce((sum, t) => sum + seatsOf(t), 0);
+  const updatedQueue = await Queue.findByIdAndUpdate(
+    queue._id,
+    { $inc: { currentCount: seats, currentTicketNumber: carried.length } },
+    { new: true },
+  );
+  const firstNumber = updatedQueue.currentTicketNumber - carried.length + 1;
+
+  await Promise.all(
+    carried.map((ticket, index) => {
+      const ticketNumber = firstNumber + index;
+      return Ticket.updateOne(
+        { _id: ticket._id, status: "waiting", carryOver: true },
+        {
+          $set: {
+            queueId: queue._id,
+            ticketNumber,
+            displayNumber: queueRouting.formatTicketNumber(queue, ticketNumber),
+            // Ahead of every ticket taken today, in yesterday's order
+            sortKey: index - carried.length,
+            carryOver: false,
+            counterId: null,
+          },
+          $push: {
+            transfers: {
+              fromQueueId: ticket.queueId,
+              toQueueId: queue._id,
+              fromServiceId: ticket.serviceId,
+              toServiceId: ticket.serviceId,
+              fromTicketNumber: ticket.ticketNumber,
+              toTicketNumber: ticketNumber,
+              fromStatus: ticket.status,
+              placement: "front",
+              reason: "carry-over",
+              at: new Date(),
+            },
+          },
+        },
+      );
+    }),
+  );
+
+  Object.assign(queue, {
+    currentCount: updatedQueue.currentCount,
+    currentTicketNumber: updatedQueue.currentTicketNumber,
+  });
+  return carried.length;
+};
+
+/**
+ * Open today's queue for a business unless one is already running
+ * @param {Object} business - Business document
+ * @param {Object} window - Today's { open, close, lastIntake }
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Object|null} - Opened queue
+ */
+exports.openDailyQueue = async (business, window, socketIO) => {
+  const policy = resolveLifecyclePolicy(business);
+
+  // Staff already opened a queue, or today's queue was closed early on purpose
+  const existing = await queueRouting
+    .findTodayQueues(business._id, {
+      $or: [{ status: { $ne: "closed" } }, { autoManaged: true }],
+    })
+    .findOne();
+  if (existing) return null;
+
+  const now = new Date();
+  const queue = await Queue.create({
+    businessId: business._id,
+    name: policy.queueName,
+    date: startOfDay(now),
+    maxCapacity: business.queueSettings?.[0]?.maxPatientsPerDay || 20,
+    status: "active",
+    acceptingTickets: now < window.lastIntake,
+    autoManaged: true,
+    currentCount: 0,
+    currentTicketNumber: 0,
+  });
+
+  const adopted = await adoptCarriedOver(queue);
+  if (adopted > 0) await etaCalculator.updateQueueETAs(queue._id, { socketIO, event: "open" });
+
+  emitQueue(socketIO, queue);
+  console.log(
+    `🟢 Opened queue "${queue.name}" for business ${business._id} (${adopted} carried over)`,
+  );
+  return queue;
+};
+
+/**
+ * Stop taking new tickets in today's lifecycle queues of a business
+ * @param {Object} business - Business document
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Number} - Number of queues updated
+ */
+exports.stopIntake = async (business, socketIO) => {
+  const queues = await queueRouting.findTodayQueues(business._id, {
+    status: { $ne: "closed" },
+    acceptingTickets: { $ne: false },
+    autoManaged: true,
+  });
+
+  for (const queue of queues) {
+    queue.acceptingTickets = false;
+    await queue.save();
+    emitQueue(socketIO, queue);
+  }
+
+  return queues.length;
+};
+
+/**
+ * Book a leftover ticket into the next free appointment slot
+ * @param {Object} ticket - Leftover ticket
+ * @param {Object} business - Business document
+ * @returns {Object|null} - Appointment, or null when no slot was found
+ */
+const convertToAppointment = async (ticket, business) => {
+  const serviceId = ticket.serviceId || business.service?.[0]?._id;
+  if (!ticket.userId || !serviceId) return null;
+
+  const policy = appointmentScheduler.resolveAppointmentPolicy(business);
+  if (!policy.enabled) return null;
+
+  const day = startOfDay();
+  for (let i = 1; i <= policy.maxDaysAhead; i += 1) {
+    day.setDate(day.getDate() + 1);
+    const [slot] = await appointmentScheduler.getAvailableSlots(
+      business,
+      serviceId,
+      day,
+    );
+    if (!slot) continue;
+
+    const appointment = await Appointment.create({
+      businessId: ticket.businessId,
+      userId: ticket.userId,
+      serviceId,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      priority: ticket.priority,
+      notes: `Converted from ticket ${ticket.displayNumber || ticket.ticketNumber}`,
+    });
+    if (await appointmentScheduler.isWithinCapacity(appointment)) {
+      return appointment;
+    }
+    await Appointment.findByIdAndDelete(appointment._id);
+  }
+
+  return null;
+};
+
+/**
+ * Close a queue and handle the tickets still in line
+ * @param {Object} queue - Queue document
+ * @param {Object} options - leftover (cancel | carry-over | appointment),
+ *   actor (by/byRole/reason for statusHistory), socketIO
+ * @returns {Object} - { queue, cancelled, carriedOver, converted }
+ */
+exports.closeQueue = async (queue, { leftover = "cancel", actor = {}, socketIO } = {}) => {
+  const reason = actor.reason || "Queue Closed";
+  const history = { ...actor, reason };
+  const result = { cancelled: 0, carriedOver: 0, converted: 0 };
+
+  const leftovers = await Ticket.find({
+    queueId: queue._id,
+    status: { $in: ["waiting", "on-hold"] },
+  });
+
+  if (leftover === "carry-over") {
+    await Ticket.updateMany(
+      { queueId: queue._id, status: "waiting" },
+      { carryOver: true },
+    );
+    await transitionMany({ queueId: queue._id }, "on-hold", "waiting", {
+      ...history,
+      reason: "carry-over",
+      set: { carryOver: true, holdUntil: null },
+    });
+    result.carriedOver = leftovers.length;
+    leftovers.forEach((ticket) =>
+      emitLeftover(
+        socketIO,
+        ticket,
+        "ticketCarriedOver",
+        "The queue closed before your turn. You will be first in line when it opens again.",
+      ),
+    );
+  } else {
+    const business =
+      leftover === "appointment" ? await Business.findById(queue.businessId) : null;
+
+    for (const ticket of leftovers) {
+      const appointment = business
+        ? await convertToAppointment(ticket, business)
+        : null;
+
+      try {
+        const cancelled = await transition(ticket, "cancelled", {
+          ...history,
+          reason: appointment ? "Converted to appointment" : reason,
+          set: {
+            cancelReason: appointment ? "Converted to appointment" : reason,
+            cancelledBy: actor.by || null,
+          },
+        });
+
+        if (appointment) {
+          result.converted += 1;
+          emitLeftover(
+            socketIO,
+            cancelled,
+            "ticketConvertedToAppointment",
+            `The queue closed before your turn. We booked you an appointment at ${appointment.startAt.toISOString()}.`,
+          );
+          if (socketIO) {
+            socketIO.emitAppointmentUpdate(
+              queue.businessId.toString(),
+              appointment,
+              "appointmentBooked",
+            );
+          }
+        } else {
+          result.cancelled += 1;
+          emitLeftover(socketIO, cancelled, "ticketUpdated", reason);
+        }
+      } catch (error) {
+        // Called/served in the meantime: it is no longer a leftover
+        if (appointment) await Appointment.findByIdAndDelete(appointment._id);
+        if (!error.statusCode) throw error;
+      }
+    }
+  }
+
+  // Reset queue data when closing
+  const closed = await Queue.findByIdAndUpdate(
+    queue._id,
+    {
+      status: "closed",
+      acceptingTickets: false,
+      closedAt: new Date(),
+      currentCount: 0,
+      currentTicketNumber: 0,
+    },
+    { new: true, runValidators: true },
+  );
+
+  emitQueue(socketIO, closed);
+  return { queue: closed, ...result };
+};
+
+/**
+ * Open, stop intake on and close queues according to every business's
+ * working hours
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @param {Date} now - Current time (default: now)
+ */
+exports.runLifecycle = async (socketIO, now = new Date()) => {
+  const businesses = await Business.find({
+    status: "active",
+    "queueLifecycle.enabled": true,
+  });
+
+  for (const business of businesses) {
+    try {
+      const policy = resolveLifecyclePolicy(business);
+      const window = workingWindow(business, now);
+
+      // Lifecycle queues left running from previous days
+      const stale = await Queue.find({
+        businessId: business._id,
+        status: { $ne: "closed" },
+        autoManaged: true,
+        createdAt: { $lt: startOfDay(now) },
+      });
+      const toClose = [...stale];
+
+      if (window && now >= window.open && now < window.close) {
+        await exports.openDailyQueue(business, window, socketIO);
+        if (now >= window.lastIntake) await exports.stopIntake(business, socketIO);
+      } else if (window && now >= window.close) {
+        toClose.push(
+          ...(await queueRouting.findTodayQueues(business._id, {
+            status: { $ne: "closed" },
+            autoManaged: true,
+          })),
+        );
+      }
+
+      for (const queue of toClose) {
+        const { cancelled, carriedOver, converted } = await exports.closeQueue(
+          queue,
+          {
+            leftover: policy.leftoverPolicy,
+            actor: { byRole: "system", reason: "Queue Closed" },
+            socketIO,
+          },
+        );
+        console.log(
+          `🔴 Closed queue "${queue.name}" for business ${business._id}`,
+          { cancelled, carriedOver, converted },
+        );
+      }
+    } catch (error) {
+      console.error(`Queue lifecycle error for business ${business._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Periodically run the queue lifecycle
+ * @param {Object} socketIO - Socket helpers
+ * @param {Number} intervalMs - Check interval (default 60s)
+ * @returns {Object} - Interval handle
+ */
+exports.startQueueLifecycle = (socketIO, intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    exports.runLifecycle(socketIO).catch((error) =>
+      console.error("Queue lifecycle error:", error),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,445 @@
+/**
+ * Manual Queue Reordering
+ *
+ * Lets staff override the order of waiting tickets (e.g. move an elderly
+ * patient forward or push a ticket back), always with a reason:
+ * - move: place a ticket at a dispatch position (1 = next to be called)
+ * - swap: exchange the places of two waiting tickets of the same queue
+ *   and priority class
+ * - pin / unpin: keep a ticket at the very front, ahead of fast-track
+ *   tickets (pins are served in the order they were set)
+ * Customers running late can also defer their own ticket (let others go
+ * ahead) by a number of positions or minutes, within business.deferPolicy.
+ * The order lives in ticket.sortKey and ticket.pinnedAt (see dispatchPolicy).
+ * Moves and swaps change the queue order only: under the weighted dispatch
+ * policy fast-track tickets keep interleaving, so the resulting position is
+ * reported back and pinning is the way to jump ahead of them.
+ * Every change is recorded in ticket.reorders with the dispatch positions
+ * before and after.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const dispatchPolicy = require("./dispatchPolicy");
+const ticketPosition = require("./ticketPosition");
+
+const REORDER_ACTIONS = ["move", "swap", "pin", "unpin", "defer"];
+
+const DEFAULT_DEFER_POLICY = {
+  enabled: true,
+  maxDeferrals: 2,
+  maxPositions: 10,
+  maxMinutes: 120,
+};
+
+const reorderError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+exports.REORDER_ACTIONS = REORDER_ACTIONS;
+
+/**
+ * Merge a business defer policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveDeferPolicy = (business) => {
+  const policy = business?.deferPolicy?.toObject
+    ? business.deferPolicy.toObject()
+    : business?.deferPolicy || {};
+  return { ...DEFAULT_DEFER_POLICY, ...policy };
+};
+
+exports.resolveDeferPolicy = resolveDeferPolicy;
+
+const requireReason = (reason) => {
+  const text = typeof reason === "string" ? reason.trim() : "";
+  if (!text) throw reorderError(400, "A reason is required to reorder the queue", "REASON_REQUIRED");
+  return text;
+};
+
+const loadWaiting = async (ticketId) => {
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw reorderError(404, "Ticket not found", "TICKET_NOT_FOUND");
+  if (ticket.status !== "waiting") {
+    throw reorderError(
+      409,
+      `Only waiting tickets can be reordered (ticket is ${ticket.status})`,
+      "TICKET_NOT_WAITING",
+    );
+  }
+  return ticket;
+};
+
+// Dispatch position (1-based) of every waiting ticket of a queue
+const positionsOf = async (queueId) =>
+  new Map(
+    (await dispatchPolicy.getDispatchOrder(queueId)).map((t, index) => [
+      t._id.toString(),
+      index + 1,
+    ]),
+  );
+
+/**
+ * sortKey that puts a ticket at a dispatch position among the tickets it
+ * is ordered with (same priority class, not pinned)
+ * @param {Object} ticket - Ticket being moved
+ * @param {Number} position - Target dispatch position (1-based)
+ * @returns {Number}
+ */
+const sortKeyForDispatchPosition = async (ticket, position) => {
+  const order = (await dispatchPolicy.getDispatchOrder(ticket.queueId)).filter(
+    (t) => !t._id.equals(ticket._id),
+  );
+  const index = Math.min(Math.max(position - 1, 0), order.length);
+  const sameClass = (t) => !t.pinnedAt && t.priority === ticket.priority;
+
+  const before = order.slice(0, index).filter(sameClass).pop();
+  const after = order.slice(index).find(sameClass);
+  const key = dispatchPolicy.queueOrderKey;
+
+  if (before && after) return (key(before) + key(after)) / 2;
+  if (before) return key(before) + 1;
+  if (after) return key(after) - 1;
+  return key(ticket);
+};
+
+// Conditional write so a ticket called or reordered meanwhile is not
+// overwritten
+const applyReorder = async (ticket, set, entry, inc) => {
+  const updated = await Ticket.findOneAndUpdate(
+    {
+      _id: ticket._id,
+      status: "waiting",
+      sortKey: ticket.sortKey ?? null,
+      pinnedAt: ticket.pinnedAt ?? null,
+    },
+    { $set: set, $push: { reorders: entry }, ...(inc ? { $inc: inc } : {}) },
+    { new: true },
+  );
+  if (!updated) {
+    throw reorderError(409, "Ticket was modified, please retry", "STATUS_CONFLICT");
+  }
+  return updated;
+};
+
+// Take back a reorder whose result was refused
+const undoReorder = (original, updated) =>
+  Ticket.updateOne(
+    { _id: original._id },
+    {
+      $set: { sortKey: original.sortKey ?? null, pinnedAt: original.pinnedAt ?? null },
+      $pull: { reorders: { _id: updated.reorders[updated.reorders.length - 1]._id } },
+    },
+  );
+
+// Fill in the positions after the change, now that the order is final
+const recordPositions = async (tickets, before, after) => {
+  after = after || (await positionsOf(tickets[0].queueId));
+  return Promise.all(
+    tickets.map((ticket) =>
+      Ticket.findOneAndUpdate(
+        { _id: ticket._id, "reorders._id": ticket.reorders[ticket.reorders.length - 1]._id },
+        {
+          $set: {
+            "reorders.$.fromPosition": before.get(ticket._id.toString()) ?? null,
+            "reorders.$.toPosition": after.get(ticket._id.toString()) ?? null,
+          },
+        },
+        { new: true },
+      ),
+    ),
+  );
+};
+
+// Tell every screen of the business to re-sort the queue
+const broadcast = async (socketIO, queueId, change) => {
+  if (!socketIO) return;
+  const [queue, order] = await Promise.all([
+    Queue.findById(queueId),
+    dispatchPolicy.getDispatchOrder(queueId),
+  ]);
+  if (!queue) return;
+  socketIO.emitQueueUpdate(queue.businessId.toString(), {
+    queueId: queue._id.toString(),
+    status: queue.status,
+    currentCount: queue.currentCount,
+    currentTicketNumber: queue.currentTicketNumber,
+    reordered: change,
+    order: order.map((t) => ({
+      ticketId: t._id,
+      displayNumber: t.displayNumber || String(t.ticketNumber),
+      pinned: Boolean(t.pinnedAt),
+    })),
+  });
+};
+
+const auditEntry = (action, reason, { by, byRole } = {}, extra = {}) => ({
+  action,
+  reason,
+  by: by || null,
+  byRole,
+  at: new Date(),
+  ...extra,
+});
+
+/**
+ * Move a waiting ticket to a dispatch position (unpins it)
+ * @param {String} ticketId - Ticket ID
+ * @param {Number} position - Target position, 1 = next to be called
+ * @param {Object} options - reason (required), actor (by/byRole), socketIO
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - with statusCode and code (REASON_REQUIRED,
+ *   INVALID_POSITION, TICKET_NOT_WAITING, STATUS_CONFLICT)
+ */
+exports.moveTicket = async (ticketId, position, { reason, actor, socketIO } = {}) => {
+  const text = requireReason(reason);
+  const target = Number(position);
+  if (!Number.isInteger(target) || target < 1) {
+    throw reorderError(400, "position must be a whole number from 1", "INVALID_POSITION");
+  }
+
+  const ticket = await loadWaiting(ticketId);
+  const before = await positionsOf(ticket.queueId);
+  const sortKey = await sortKeyForDispatchPosition(ticket, target);
+
+  const moved = await applyReorder(
+    ticket,
+    { sortKey, pinnedAt: null },
+    auditEntry("move", text, actor),
+  );
+  const [updated] = await recordPositions([moved], before);
+
+  await broadcast(socketIO, updated.queueId, {
+    action: "move",
+    ticketIds: [updated._id],
+    reason: text,
+  });
+  return updated;
+};
+
+/**
+ * Swap the places of two waiting tickets of the same queue
+ * Under weighted dispatch each priority class is ordered on its own, so
+ * only tickets of the same class (or two pinned tickets) can be swapped.
+ * @param {String} ticketId - Ticket ID
+ * @param {String} otherTicketId - Ticket to swap with
+ * @param {Object} options - reason (required), actor (by/byRole), socketIO
+ * @returns {Array} - Both updated tickets
+ * @throws {Error} - with statusCode and code (REASON_REQUIRED, SAME_TICKET,
+ *   DIFFERENT_QUEUE, DIFFERENT_PRIORITY, SWAP_NO_EFFECT, TICKET_NOT_WAITING,
+ *   STATUS_CONFLICT)
+ */
+exports.swapTickets = async (ticketId, otherTicketId, { reason, actor, socketIO } = {}) => {
+  const text = requireReason(reason);
+  if (!otherTicketId) {
+    throw reorderError(400, "otherTicketId is required", "INVALID_TICKET");
+  }
+  if (String(ticketId) === String(otherTicketId)) {
+    throw reorderError(400, "Cannot swap a ticket with itself", "SAME_TICKET");
+  }
+
+  const [first, second] = await Promise.all([loadWaiting(ticketId), loadWaiting(otherTicketId)]);
+  if (!first.queueId.equals(second.queueId)) {
+    throw reorderError(409, "Tickets are not in the same queue", "DIFFERENT_QUEUE");
+  }
+
+  const classOf = (t) => t.priority || "normal";
+  if (classOf(first) !== classOf(second) && !(first.pinnedAt && second.pinnedAt)) {
+    const business = await Business.findById(first.businessId);
+    if (dispatchPolicy.resolvePolicy(business).mode !== "fifo") {
+      throw reorderError(
+        409,
+        "Tickets of different priority are called in separate turns; move or pin the ticket instead",
+        "DIFFERENT_PRIORITY",
+      );
+    }
+  }
+
+  const before = await positionsOf(first.queueId);
+  const key = dispatchPolicy.queueOrderKey;
+
+  const firstUpdated = await applyReorder(
+    first,
+    { sortKey: key(second), pinnedAt: second.pinnedAt ?? null },
+    auditEntry("swap", text, actor, { swappedWith: second._id }),
+  );
+
+  let secondUpdated;
+  try {
+    secondUpdated = await applyReorder(
+      second,
+      { sortKey: key(first), pinnedAt: first.pinnedAt ?? null },
+      auditEntry("swap", text, actor, { swappedWith: first._id }),
+    );
+  } catch (error) {
+    // Put the first ticket back where it was
+    await undoReorder(first, firstUpdated);
+    throw error;
+  }
+
+  // The swap must change who is called when
+  const after = await positionsOf(first.queueId);
+  const moved = [first, second].some(
+    (t) => before.get(t._id.toString()) !== after.get(t._id.toString()),
+  );
+  if (!moved) {
+    await Promise.all([undoReorder(first, firstUpdated), undoReorder(second, secondUpdated)]);
+    throw reorderError(409, "Swapping these tickets would not change the call order", "SWAP_NO_EFFECT");
+  }
+
+  const updated = await recordPositions([firstUpdated, secondUpdated], before, after);
+
+  await broadcast(socketIO, first.queueId, {
+    action: "swap",
+    ticketIds: [first._id, second._id],
+    reason: text,
+  });
+  return updated;
+};
+
+/**
+ * Pin a waiting ticket to the front of its queue, or unpin it
+ * @param {String} ticketId - Ticket ID
+ * @param {Boolean} pinned - true to pin, false to unpin
+ * @param {Object} options - reason (required), actor (by/byRole), socketIO
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - with statusCode and code (REASON_REQUIRED, ALREADY_PINNED,
+ *   NOT_PINNED, TICKET_NOT_WAITING, STATUS_CONFLICT)
+ */
+exports.setPinned = async (ticketId, pinned, { reason, actor, socketIO } = {}) => {
+  const text = requireReason(reason);
+  const ticket = await loadWaiting(ticketId);
+
+  if (pinned && ticket.pinnedAt) {
+    throw reorderError(409, "Ticket is already pinned", "ALREADY_PINNED");
+  }
+  if (!pinned && !ticket.pinnedAt) {
+    throw reorderError(409, "Ticket is not pinned", "NOT_PINNED");
+  }
+
+  const action = pinned ? "pin" : "unpin";
+  const before = await positionsOf(ticket.queueId);
+  const changed = await applyReorder(
+    ticket,
+    { pinnedAt: pinned ? new Date() : null },
+    auditEntry(action, text, actor),
+  );
+  const [updated] = await recordPositions([changed], before);
+
+  await broadcast(socketIO, updated.queueId, {
+    action,
+    ticketIds: [updated._id],
+    reason: text,
+  });
+  return updated;
+};
+
+/**
+ * Let others go ahead: defer a customer's own waiting ticket
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} by - { positions } or { minutes } (exactly one)
+ * @param {Object} options - reason (optional), actor (by/byRole), socketIO
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - with statusCode and code (DEFER_DISABLED, INVALID_DEFER,
+ *   DEFER_LIMIT, NOTHING_TO_DEFER, TICKET_NOT_WAITING, STATUS_CONFLICT)
+ */
+exports.deferTicket = async (ticketId, { positions, minutes } = {}, { reason, actor, socketIO } = {}) => {
+  const ticket = await loadWaiting(ticketId);
+  const policy = resolveDeferPolicy(
+    await Business.findById(ticket.businessId).select("deferPolicy"),
+  );
+
+  if (!policy.enabled) {
+    throw reorderError(403, "This business does not allow deferring tickets", "DEFER_DISABLED");
+  }
+  if ((positions == null) === (minutes == null)) {
+    throw reorderError(400, "Provide either positions or minutes", "INVALID_DEFER");
+  }
+  const amount = Number(positions ?? minutes);
+  const limit = positions != null ? policy.maxPositions : policy.maxMinutes;
+  if (!Number.isInteger(amount) || amount < 1 || amount > limit) {
+    throw reorderError(
+      400,
+      `${positions != null ? "positions" : "minutes"} must be a whole number between 1 and ${limit}`,
+      "INVALID_DEFER",
+    );
+  }
+  if ((ticket.deferCount || 0) >= policy.maxDeferrals) {
+    throw reorderError(
+      409,
+      `A ticket can be deferred at most ${policy.maxDeferrals} time(s)`,
+      "DEFER_LIMIT",
+    );
+  }
+
+  const statuses = await ticketPosition.queuePositions(ticket.queueId);
+  const own = statuses.find((s) => s.ticketId.equals(ticket._id));
+  if (!own) throw reorderError(409, "Ticket is no longer waiting", "TICKET_NOT_WAITING");
+
+  // By minutes: behind everyone due before the later time
+  const target =
+    positions != null
+      ? own.position + amount
+      : 1 +
+        statuses.filter(
+          (s) =>
+            !s.ticketId.equals(ticket._id) &&
+            s.eta.estimatedMinutes <= own.eta.estimatedMinutes + amount,
+        ).length;
+  if (target <= own.position || own.position === statuses.length) {
+    throw reorderError(409, "Nobody is waiting behind this ticket", "NOTHING_TO_DEFER");
+  }
+
+  const before = new Map(statuses.map((s) => [s.ticketId.toString(), s.position]));
+  const sortKey = await sortKeyForDispatchPosition(ticket, target);
+  const text =
+    (typeof reason === "string" && reason.trim()) ||
+    (positions != null ? `deferred ${amount} position(s)` : `deferred ${amount} minute(s)`);
+
+  const deferred = await applyReorder(
+    ticket,
+    { sortKey, pinnedAt: null },
+    auditEntry("defer", text, actor),
+    { deferCount: 1 },
+  );
+  const [updated] = await recordPositions([deferred], before);
+
+  if (socketIO) socketIO.emitTicketUpdated(updated.businessId.toString(), updated);
+  await broadcast(socketIO, updated.queueId, {
+    action: "defer",
+    ticketIds: [updated._id],
+    reason: text,
+  });
+  return updated;
+};
+
+/**
+ * Reorder audit trail of a queue, newest first
+ * @param {String} queueId - Queue ID
+ * @returns {Array} - { ticketId, displayNumber, action, fromPosition,
+ *   toPosition, swappedWith, reason, by, byRole, at }
+ */
+exports.getReorderHistory = async (queueId) => {
+  const tickets = await Ticket.find({
+    queueId,
+    "reorders.0": { $exists: true },
+  }).select("ticketNumber displayNumber reorders");
+
+  return tickets
+    .flatMap((ticket) =>
+      ticket.reorders.map((entry) => ({
+        ticketId: ticket._id,
+        displayNumber: ticket.displayNumber || String(ticket.ticketNumber),
+        action: entry.action,
+        fromPosition: entry.fromPosition ?? null,
+        toPosition: entry.toPosition ?? null,
+        swappedWith: entry.swappedWith || null,
+        reason: entry.reason,
+        by: entry.by || null,
+        byRole: entry.byRole || null,
+        at: entry.at,
+      })),
+    )
+    .sort((a, b) => b.at - a.at);
+};
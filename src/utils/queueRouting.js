@@ -0,0 +1,81 @@
+/**
+ * Service-based Queue Routing
+ *
+ * A business can run several named queues per day, each bound to a set of
+ * its services (business.service[]). Tickets are routed to the queue that
+ * serves the chosen service, falling back to a queue with no bound services.
+ */
+
+const Queue = require("../models/queueSchema");
+
+/**
+ * Start/end of the current day
+ * @returns {Object} - { start, end }
+ */
+const todayRange = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+exports.todayRange = todayRange;
+
+/**
+ * Get all of today's queues for a business
+ * @param {String} businessId - Business ID
+ * @param {Object} filter - Extra query conditions (e.g. { status: "active" })
+ * @returns {Array} - Queues sorted by creation
+ */
+exports.findTodayQueues = (businessId, filter = {}) => {
+  const { start, end } = todayRange();
+  return Queue.find({
+    businessId,
+    createdAt: { $gte: start, $lt: end },
+    ...filter,
+  }).sort({ createdAt: 1 });
+};
+
+/**
+ * Check whether a queue accepts tickets for a service
+ * @param {Object} queue - Queue document
+ * @param {String} serviceId - business.service[]._id (optional)
+ * @returns {Boolean}
+ */
+exports.queueAcceptsService = (queue, serviceId) => {
+  if (!queue.serviceIds || queue.serviceIds.length === 0) return true;
+  if (!serviceId) return false;
+  return queue.serviceIds.some((id) => id.toString() === serviceId.toString());
+};
+
+/**
+ * Find today's queue that should receive a ticket for a service
+ * Queues bound to the service win over general (unbound) queues
+ * @param {String} businessId - Business ID
+ * @param {String} serviceId - business.service[]._id (optional)
+ * @returns {Object|null} - Queue document
+ */
+exports.resolveServiceQueue = async (businessId, serviceId) => {
+  const queues = await exports.findTodayQueues(businessId, {
+    status: { $ne: "closed" },
+  });
+
+  const bound = serviceId
+    ? queues.find(
+        (q) =>
+          q.serviceIds?.length > 0 && exports.queueAcceptsService(q, serviceId),
+      )
+    : null;
+
+  return bound || queues.find((q) => !q.serviceIds?.length) || null;
+};
+
+/**
+ * Format a ticket number with the queue prefix
+ * @param {Object} queue - Queue document
+ * @param {Number} ticketNumber - Sequential number within the queue
+ * @returns {String} - e.g. "L-12" or "12"
+ */
+exports.formatTicketNumber = (queue, ticketNumber) =>
+  queue?.prefix ? `${queue.prefix}-${ticketNumber}` : String(ticketNumber);
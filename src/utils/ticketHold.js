@@ -0,0 +1,267 @@
+/**
+ * Hold / Recall / Requeue for Missed Calls
+ *
+ * A called ticket whose customer does not show up is put "on-hold" for a
+ * grace window instead of being marked missed straight away:
+ * - staff can recall it (back to "called") up to holdPolicy.maxRecalls times
+ * - when the grace window expires it is requeued a few positions back
+ *   (holdPolicy.requeuePositions), up to holdPolicy.maxRequeues times
+ * - only after that is it marked "missed"
+ *
+ * The customer gets a user-room event at every step.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const { sortKeyForPosition, getDispatchOrder } = require("./dispatchPolicy");
+const { transition } = require("./ticketStateMachine");
+const { seatsOf } = require("./groupTicket");
+const waitlist = require("./waitlist");
+const etaCalculator = require("./etaCalculator");
+
+const DEFAULT_HOLD_POLICY = {
+  graceMinutes: 5,
+  maxRecalls: 2,
+  autoRequeue: true,
+  requeuePositions: 3,
+  maxRequeues: 1,
+};
+
+const holdError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+/**
+ * Merge a business hold policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveHoldPolicy = (business) => {
+  const policy = business?.holdPolicy?.toObject
+    ? business.holdPolicy.toObject()
+    : business?.holdPolicy || {};
+  return { ...DEFAULT_HOLD_POLICY, ...policy };
+};
+
+exports.resolveHoldPolicy = resolveHoldPolicy;
+
+// Notify the business room and the ticket owner about a hold step
+const notify = (socketIO, ticket, event, message) => {
+  if (!socketIO) return;
+  const businessId = ticket.businessId.toString();
+  socketIO.emitTicketUpdated(businessId, ticket);
+  if (ticket.userId) {
+    socketIO.emitToUser(ticket.userId.toString(), event, { ticket, message });
+  }
+};
+
+const getPolicyFor = async (ticket) =>
+  resolveHoldPolicy(
+    await Business.findById(ticket.businessId).select("holdPolicy"),
+  );
+
+/**
+ * Put a called ticket on hold (customer did not show up)
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} options - socketIO (socket helpers), actor (by/byRole)
+ * @returns {Object} - Updated ticket
+ */
+exports.holdTicket = async (ticketId, { socketIO, actor } = {}) => {
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw holdError(404, "Ticket not found");
+
+  const policy = await getPolicyFor(ticket);
+  const now = new Date();
+
+  const held = await transition(ticket, "on-hold", {
+    ...actor,
+    reason: actor?.reason || "no-show",
+    set: {
+      heldAt: now,
+      holdUntil: new Date(now.getTime() + policy.graceMinutes * 60 * 1000),
+    },
+  });
+
+  notify(
+    socketIO,
+    held,
+    "ticketOnHold",
+    `We missed you! Your ticket is on hold for ${policy.graceMinutes} minutes. Please come to the counter.`,
+  );
+
+  return held;
+};
+
+/**
+ * Recall an on-hold ticket (call it again)
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} options - socketIO (socket helpers), actor (by/byRole)
+ * @returns {Object} - Updated ticket
+ */
+exports.recallTicket = async (ticketId, { socketIO, actor } = {}) => {
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw holdError(404, "Ticket not found");
+
+  const policy = await getPolicyFor(ticket);
+  if (ticket.status === "on-hold" && ticket.recallCount >= policy.maxRecalls) {
+    throw holdError(409, `Ticket already recalled ${policy.maxRecalls} times`);
+  }
+
+  const recalled = await transition(ticket, "called", {
+    ...actor,
+    reason: actor?.reason || "recall",
+    from: "on-hold",
+    set: { calledAt: new Date(), holdUntil: null },
+    inc: { recallCount: 1 },
+    expect: { recallCount: { $lt: policy.maxRecalls } },
+  });
+
+  notify(
+    socketIO,
+    recalled,
+    "ticketRecalled",
+    "Your ticket has been called again! Please proceed to the counter now.",
+  );
+  if (socketIO) {
+    socketIO.announceOnDisplay(recalled.businessId.toString(), recalled);
+  }
+
+  return recalled;
+};
+
+/**
+ * Put an on-hold ticket back in the waiting line, a few positions back
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} options - socketIO (socket helpers), actor (by/byRole),
+ *   positions (tickets ahead of it, a whole number from 0, default: policy)
+ * @returns {Object} - Updated ticket
+ * @throws {Error} - with statusCode (400 INVALID_POSITION, 404, 409)
+ */
+exports.requeueTicket = async (ticketId, { socketIO, actor, positions } = {}) => {
+  let position = null;
+  if (positions != null && positions !== "") {
+    position = Number(positions);
+    if (!Number.isInteger(position) || position < 0) {
+      throw holdError(400, "positions must be a whole number from 0", "INVALID_POSITION");
+    }
+  }
+
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw holdError(404, "Ticket not found");
+
+  const policy = await getPolicyFor(ticket);
+  if (position === null) position = policy.requeuePositions;
+  const sortKey = await sortKeyForPosition(ticket.queueId, position, ticket._id);
+
+  const requeued = await transition(ticket, "waiting", {
+    ...actor,
+    reason: actor?.reason || "requeue",
+    from: "on-hold",
+    set: { sortKey, pinnedAt: null, holdUntil: null, counterId: null },
+    inc: { requeueCount: 1 },
+  });
+
+  // The line may be shorter than asked for: report where the ticket landed
+  const ahead = (await getDispatchOrder(requeued.queueId)).findIndex((t) =>
+    t._id.equals(requeued._id),
+  );
+  notify(
+    socketIO,
+    requeued,
+    "ticketRequeued",
+    ahead > 0
+      ? `You have been placed back in line, ${ahead} ${ahead === 1 ? "ticket" : "tickets"} ahead of you.`
+      : "You have been placed back in line, you are next.",
+  );
+  // Everyone behind the requeued ticket moved back
+  etaCalculator.updateQueueETAs(requeued.queueId, { socketIO, event: "reorder" });
+
+  return requeued;
+};
+
+/**
+ * Mark an on-hold ticket as missed and free its queue slot
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} options - socketIO (socket helpers), actor (by/byRole)
+ * @returns {Object} - Updated ticket
+ */
+exports.missTicket = async (ticketId, { socketIO, actor } = {}) => {
+  const missed = await transition(ticketId, "missed", {
+    ...actor,
+    reason: actor?.reason || "grace period expired",
+    from: "on-hold",
+    set: { holdUntil: null },
+  });
+
+  const queue = await Queue.findByIdAndUpdate(
+    missed.queueId,
+    { $inc: { currentCount: -seatsOf(missed) } },
+    { new: true },
+  );
+
+  notify(
+    socketIO,
+    missed,
+    "ticketMissed",
+    "Your ticket has expired because you did not arrive in time.",
+  );
+  // The freed slot goes to the waitlist
+  waitlist.promoteNext(missed.queueId, socketIO);
+
+  if (socketIO && queue) {
+    socketIO.emitTicketSkipped(missed.businessId.toString(), missed);
+    socketIO.emitQueueUpdate(missed.businessId.toString(), {
+      queueId: queue._id.toString(),
+      status: queue.status,
+      currentCount: queue.currentCount,
+      currentTicketNumber: queue.currentTicketNumber,
+    });
+  }
+
+  return missed;
+};
+
+/**
+ * Resolve every hold whose grace window has expired:
+ * requeue it if the policy allows, otherwise mark it missed
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Number} - Number of tickets processed
+ */
+exports.expireHolds = async (socketIO) => {
+  const expired = await Ticket.find({
+    status: "on-hold",
+    holdUntil: { $lte: new Date() },
+  });
+
+  for (const ticket of expired) {
+    try {
+      const policy = await getPolicyFor(ticket);
+      if (policy.autoRequeue && ticket.requeueCount < policy.maxRequeues) {
+        await exports.requeueTicket(ticket._id, { socketIO });
+      } else {
+        await exports.missTicket(ticket._id, { socketIO });
+      }
+    } catch (error) {
+      // Ticket changed in the meantime (recalled, cancelled, ...)
+      if (!error.statusCode) console.error("Expire hold error:", error);
+    }
+  }
+
+  return expired.length;
+};
+
+/**
+ * Periodically expire holds
+ * @param {Object} socketIO - Socket helpers
+ * @param {Number} intervalMs - Sweep interval (default 30s)
+ * @returns {Object} - Interval handle
+ */
+exports.startHoldSweeper = (socketIO, intervalMs = 30 * 1000) => {
+  const timer = setInterval(() => {
+    exports.expireHolds(socketIO).catch((error) =>
+      console.error("Hold sweeper error:", error),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,193 @@
+/**
+ * Ticket Issuance
+ *
+ * Single path for putting a new walk-in ticket in a queue, shared by the
+ * customer app (createTicket) and kiosks:
+ * 1. intake rules (business open, cut-off, daily cap, per-customer limits)
+ * 2. queue resolution (explicit queueId or routed by service)
+ * 3. atomic slot reservation, ETA and ticket creation
+ * 4. socket notifications
+ * Rejections are IntakeRejection errors with a machine-readable code.
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const etaCalculator = require("./etaCalculator");
+const etaAccuracy = require("./etaAccuracy");
+const queueRouting = require("./queueRouting");
+const groupTicket = require("./groupTicket");
+const { assertCanIssue, checkPartySize, IntakeRejection } = require("./intakeRules");
+
+/**
+ * Issue a ticket
+ * @param {Object} business - Business document
+ * @param {Object} options
+ *   queueId, serviceId, type - ticket request
+ *   priority   - already checked with intakeRules.checkPriority
+ *   partySize  - people covered by the ticket (default 1), memberNames
+ *   userId     - customer account (optional)
+ *   limitUser  - apply per-customer intake rules to userId
+ *   slotReserved - partySize slots already held in the queue (accepted
+ *                waitlist offer): skip the capacity check and reservation
+ *   fields     - extra ticket fields (source, kioskId, guest details, ...)
+ *   socketIO   - socket helpers (optional)
+ * @returns {Object} - { ticket, queue, eta }
+ * @throws {IntakeRejection}
+ */
+exports.issueTicket = async (
+  business,
+  {
+    queueId,
+    serviceId,
+    type,
+    priority,
+    partySize: requestedPartySize,
+    memberNames,
+    userId,
+    limitUser = false,
+    slotReserved = false,
+    fields = {},
+    socketIO,
+  } = {},
+) => {
+  const businessId = business._id.toString();
+  const partySize = checkPartySize(business, requestedPartySize);
+
+  // Business open, cut-off time, daily cap and per-customer limits
+  await assertCanIssue(business, {
+    userId: limitUser ? userId : null,
+    guestPhone: fields.guestPhone,
+  });
+
+  // Chosen service must be one the business offers
+  if (serviceId && !business.service.id(serviceId)) {
+    throw new IntakeRejection("SERVICE_NOT_OFFERED", "Service not offered by this business");
+  }
+
+  // Resolve the queue: explicit queueId, or routed by service
+  const queue = queueId
+    ? await Queue.findById(queueId)
+    : await queueRouting.resolveServiceQueue(businessId, serviceId);
+  if (!queue) {
+    throw new IntakeRejection(
+      "QUEUE_NOT_FOUND",
+      queueId ? "Queue not found" : "No open queue for this service today",
+      { statusCode: 404 },
+    );
+  }
+
+  // Check queue belongs to business
+  if (queue.businessId.toString() !== businessId) {
+    throw new IntakeRejection("QUEUE_NOT_FOUND", "Queue does not belong to this business");
+  }
+
+  if (!queueRouting.queueAcceptsService(queue, serviceId)) {
+    throw new IntakeRejection(
+      "SERVICE_NOT_OFFERED",
+      "Queue does not serve the selected service",
+    );
+  }
+
+  // Check queue state (intake stops at queueSettings.LastTimeToAppoint);
+  // a slot held for a waitlist offer is honored until the queue closes
+  if (
+    queue.status !== "active" ||
+    (queue.acceptingTickets === false && !slotReserved)
+  ) {
+    throw new IntakeRejection("QUEUE_CLOSED", "Queue not accepting tickets");
+  }
+
+  // A group takes one slot per person
+  if (!slotReserved && queue.currentCount + partySize > queue.maxCapacity) {
+    throw new IntakeRejection(
+      "QUEUE_FULL",
+      partySize > 1 ? `Queue has no room for ${partySize} people` : "Queue is full",
+      { details: { queueId: queue._id } },
+    );
+  }
+
+  // Atomically increment queue counters
+  const updatedQueue = slotReserved
+    ? await Queue.findOneAndUpdate(
+        { _id: queue._id, status: "active" },
+        { $inc: { currentTicketNumber: 1 } },
+        { new: true },
+      )
+    : await Queue.findOneAndUpdate(
+        {
+          _id: queue._id,
+          currentCount: { $lte: queue.maxCapacity - partySize },
+          status: "active",
+          acceptingTickets: { $ne: false },
+        },
+        {
+          $inc: { currentCount: partySize, currentTicketNumber: 1 },
+        },
+        { new: true },
+      );
+
+  if (!updatedQueue) {
+    throw new IntakeRejection(
+      "QUEUE_FULL",
+      "Queue is no longer available for new tickets",
+      { details: { queueId: queue._id } },
+    );
+  }
+
+  // Calculate ETA
+  const eta = await etaCalculator.calculateETA(businessId, queue._id, type, partySize);
+
+  const ticket = await Ticket.create({
+    ...fields,
+    businessId,
+    userId,
+    queueId: queue._id,
+    serviceId,
+    ticketNumber: updatedQueue.currentTicketNumber,
+    sortKey: updatedQueue.currentTicketNumber,
+    displayNumber: queueRouting.formatTicketNumber(
+      updatedQueue,
+      updatedQueue.currentTicketNumber,
+    ),
+    type: type || "examination",
+    status: "waiting",
+    priority: priority || "normal",
+    partySize,
+    members: groupTicket.buildMembers(partySize, memberNames),
+    estimatedTime: eta.estimatedMinutes,
+    expectedServiceTime: eta.expectedTime,
+    etaSnapshots: [etaAccuracy.snapshotOf(eta, { event: "issue" })],
+  });
+
+  // Link user to business clients list
+  if (userId) {
+    await Business.findByIdAndUpdate(businessId, {
+      $addToSet: { ourClients: userId },
+    });
+  }
+
+  if (socketIO) {
+    // Populate ticket with user and queue data before emitting
+    const populatedTicket = await Ticket.findById(ticket._id)
+      .populate("userId")
+      .populate("queueId");
+
+    socketIO.emitTicketCreated(businessId, populatedTicket);
+    socketIO.emitQueueUpdate(businessId, {
+      queueId: updatedQueue._id.toString(),
+      status: updatedQueue.status,
+      currentCount: updatedQueue.currentCount,
+      currentTicketNumber: updatedQueue.currentTicketNumber,
+    });
+
+    console.log(`📤 Emitted ticketCreated and queueUpdated for business ${businessId}`);
+  }
+
+  // Fast-track tickets push others back, so refresh everyone's ETA
+  if (ticket.priority !== "normal") {
+    etaCalculator.updateQueueETAs(updatedQueue._id, { socketIO, event: "issue" });
+  }
+
+  return { ticket, queue: updatedQueue, eta };
+};
@@ -0,0 +1,144 @@
+/**
+ * Live Ticket Position
+ *
+ * Where a ticket stands right now, recomputed from the dispatch order
+ * instead of the values stored at creation:
+ * - position: place in line (1 = next to be called)
+ * - peopleAhead: people ahead (group tickets count once per person), and
+ *   how many of the tickets ahead are priority / vip
+ * - nowServing: number most recently called in the same queue
+ * - eta: fresh estimate from etaCalculator for the people ahead, with its
+ *   P50-P90 range; while the queue is paused it carries status "paused"
+ *   and the message to show ("Queue paused, resumes at ~HH:MM")
+ * The socket handler pushes the same payload to the customer whenever it
+ * changes (see positionUpdated).
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const dispatchPolicy = require("./dispatchPolicy");
+const etaCalculator = require("./etaCalculator");
+const queueRouting = require("./queueRouting");
+const { seatsOf } = require("./groupTicket");
+
+const displayNumberOf = (ticket) =>
+  ticket ? ticket.displayNumber || String(ticket.ticketNumber) : null;
+
+// Latest ticket called in a queue that is still at a counter
+const findNowServing = (queueId) =>
+  Ticket.findOne({ queueId, status: { $in: ["called", "in-progress"] } }).sort({
+    calledAt: -1,
+  });
+
+/**
+ * Live positions of every waiting ticket of a queue
+ * One dispatch-order and one ETA computation for the whole queue
+ * @param {Object|String} queueOrId - Queue document or ID
+ * @returns {Array} - Status objects (see getTicketStatus), in line order
+ */
+const queuePositions = async (queueOrId) => {
+  const queue = queueOrId?._id ? queueOrId : await Queue.findById(queueOrId);
+  if (!queue) return [];
+
+  const [order, nowServing] = await Promise.all([
+    dispatchPolicy.getDispatchOrder(queue._id),
+    findNowServing(queue._id),
+  ]);
+  if (order.length === 0) return [];
+
+  // Same per-person time updateQueueETAs spreads over the line
+  const base = await etaCalculator.calculateETA(queue.businessId, queue._id);
+  const perPerson = etaCalculator.perPersonOf(base, queue);
+
+  const now = new Date();
+  let peopleAhead = 0;
+  let priorityAhead = 0;
+  return order.map((ticket, index) => {
+    const seats = seatsOf(ticket);
+    const { estimatedMinutes, range, expectedTime } = etaCalculator.projectWait(
+      base,
+      perPerson,
+      peopleAhead + seats,
+      now,
+    );
+    const status = {
+      ticketId: ticket._id,
+      userId: ticket.userId || null,
+      displayNumber: displayNumberOf(ticket),
+      status: ticket.status,
+      queue: { _id: queue._id, name: queue.name },
+      position: index + 1,
+      ticketsAhead: index,
+      peopleAhead,
+      priorityAhead,
+      partySize: seats,
+      nowServing: displayNumberOf(nowServing),
+      eta: {
+        status: base.paused ? "paused" : "running",
+        message: base.paused ? base.paused.message : null,
+        estimatedMinutes,
+        range,
+        expectedTime,
+        resumesAt: base.paused ? base.paused.resumesAt : null,
+        confidence: base.confidence,
+      },
+      updatedAt: new Date(),
+    };
+    peopleAhead += seats;
+    if (ticket.priority !== "normal") priorityAhead += 1;
+    return status;
+  });
+};
+
+exports.queuePositions = queuePositions;
+
+/**
+ * Live status of one ticket
+ * @param {Object|String} ticketOrId - Ticket document or ID
+ * @returns {Object|null} - { ticketId, displayNumber, status, queue, position,
+ *   ticketsAhead, peopleAhead, priorityAhead, partySize, nowServing, eta,
+ *   updatedAt }; position/ahead/eta are null once the ticket left the line
+ */
+exports.getTicketStatus = async (ticketOrId) => {
+  const ticket = ticketOrId?._id ? ticketOrId : await Ticket.findById(ticketOrId);
+  if (!ticket) return null;
+
+  if (ticket.status === "waiting") {
+    const live = (await queuePositions(ticket.queueId)).find((s) =>
+      s.ticketId.equals(ticket._id),
+    );
+    if (live) return live;
+  }
+
+  const [queue, nowServing] = await Promise.all([
+    Queue.findById(ticket.queueId).select("name"),
+    findNowServing(ticket.queueId),
+  ]);
+  return {
+    ticketId: ticket._id,
+    userId: ticket.userId || null,
+    displayNumber: displayNumberOf(ticket),
+    status: ticket.status,
+    queue: queue ? { _id: queue._id, name: queue.name } : null,
+    position: null,
+    ticketsAhead: null,
+    peopleAhead: null,
+    priorityAhead: null,
+    partySize: seatsOf(ticket),
+    nowServing: displayNumberOf(nowServing),
+    eta: null,
+    updatedAt: new Date(),
+  };
+};
+
+/**
+ * Live positions of every waiting ticket of a business (today's queues)
+ * @param {String} businessId - Business ID
+ * @returns {Array} - Status objects
+ */
+exports.businessPositions = async (businessId) => {
+  const queues = await queueRouting.findTodayQueues(businessId, {
+    status: { $ne: "closed" },
+  });
+  return (await Promise.all(queues.map(queuePositions))).flat();
+};
@@ -0,0 +1,333 @@
+/**
+ * Printable Ticket Slips
+ *
+ * Renders a ticket for front desks and kiosks as:
+ * - PDF (80 mm roll width), via pdfkit
+ * - raw ESC/POS bytes for thermal printers (native printer QR command)
+ * Both show the business name, ticket number, service, queue position, ETA
+ * and a QR code linking to the live ticket status page.
+ *
+ * Labels are English or Arabic (query > customer > business locale).
+ * Arabic is only printed where it can be shaped (joined letters, right to
+ * left):
+ * - PDF: with SLIP_FONT_PATH, a TTF/WOFF font with Arabic glyphs (e.g. Noto
+ *   Sans Arabic); pdfkit shapes it through the font's OpenType tables
+ * - ESC/POS: never, printer code pages only hold unjoined letters
+ * Otherwise the slip is rendered in English and renderSlip reports the
+ * fallback (localeFallback), which the endpoints send as the
+ * X-Slip-Locale-Fallback header.
+ */
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const Business = require("../models/businessSchema");
+const Queue = require("../models/queueSchema");
+const dispatchPolicy = require("./dispatchPolicy");
+const etaCalculator = require("./etaCalculator");
+const groupTicket = require("./groupTicket");
+
+const LOCALES = ["en", "ar"];
+
+const LABELS = {
+  en: {
+    ticket: "Your ticket",
+    service: "Service",
+    queue: "Queue",
+    partySize: "Party size",
+    position: "Position in line",
+    eta: "Estimated wait",
+    minutes: (n) => `${n} min`,
+    expected: "Expected time",
+    issued: "Issued",
+    claimCode: "Claim code",
+    scan: "Scan to follow your turn live",
+    types: {
+      examination: "Examination",
+      consultation: "Consultation",
+      procedure: "Procedure",
+      followup: "Follow-up",
+    },
+  },
+  ar: {
+    ticket: "رقم تذكرتك",
+    service: "الخدمة",
+    queue: "الطابور",
+    partySize: "عدد الأفراد",
+    position: "ترتيبك في الطابور",
+    eta: "وقت الانتظار المتوقع",
+    minutes: (n) => `${n} دقيقة`,
+    expected: "الموعد المتوقع",
+    issued: "وقت الإصدار",
+    claimCode: "رمز الاستلام",
+    scan: "امسح الرمز لمتابعة دورك مباشرة",
+    types: {
+      examination: "كشف",
+      consultation: "استشارة",
+      procedure: "إجراء",
+      followup: "متابعة",
+    },
+  },
+};
+
+const ARABIC = /[؀-ۿ]/;
+
+// Locales each format can print, given the server configuration
+const printableLocales = (format) =>
+  format === "pdf" && process.env.SLIP_FONT_PATH ? ["en", "ar"] : ["en"];
+
+exports.LOCALES = LOCALES;
+
+/**
+ * Pick the slip language
+ * @param {Object} sources - requested (query), user, business
+ * @returns {String} - "en" or "ar"
+ */
+exports.resolveSlipLocale = ({ requested, user, business } = {}) =>
+  [requested, user?.role === "user" ? user.locale : null, business?.locale]
+    .map((l) => String(l || "").slice(0, 2).toLowerCase())
+    .find((l) => LOCALES.includes(l)) || "en";
+
+/**
+ * Public URL of the live ticket status page (encoded in the QR code)
+ * @param {Object} ticket - Ticket document
+ * @returns {String}
+ */
+const statusUrl = (ticket) => {
+  const base = process.env.FRONTEND_URL || "http://localhost:3000";
+  const claim = ticket.claimCode ? `?code=${ticket.claimCode}` : "";
+  return `${base}/tickets/${ticket._id}${claim}`;
+};
+
+exports.statusUrl = statusUrl;
+
+/**
+ * Collect everything printed on a slip
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - locale ("en" | "ar"), business (optional, loaded
+ *   when missing)
+ * @returns {Object} - Slip data (labels are added by the renderers)
+ */
+exports.buildSlip = async (ticket, { locale = "en", business } = {}) => {
+  business =
+    business || (await Business.findById(ticket.businessId).select("name service locale"));
+  const queue = await Queue.findById(ticket.queueId).select("name");
+
+  // Position and ETA only make sense while the ticket is waiting
+  let position = null;
+  let eta = null;
+  if (ticket.status === "waiting" && ticket.queueId) {
+    const order = await dispatchPolicy.getDispatchOrder(ticket.queueId);
+    const index = order.findIndex((t) => t._id.equals(ticket._id));
+    if (index !== -1) {
+      position = index + 1;
+      // Groups ahead (and this one) take one service time per person
+      const seats = order
+        .slice(0, position)
+        .reduce((sum, t) => sum + groupTicket.seatsOf(t), 0);
+      eta = await etaCalculator.getPositionETA(ticket.queueId, seats);
+    }
+  }
+
+  // 24-hour Latin digits read the same in both languages and encode on
+  // any printer
+  const formatTime = (date) =>
+    date
+      ? new Date(date).toLocaleTimeString("en-GB", {
+          hour: "2-digit",
+          minute: "2-digit",
+        })
+      : null;
+
+  const service = ticket.serviceId ? business?.service?.id(ticket.serviceId) : null;
+
+  return {
+    locale,
+    businessName: business?.name || "",
+    displayNumber: ticket.displayNumber || String(ticket.ticketNumber),
+    serviceName: service?.name || null,
+    type: ticket.type,
+    partySize: groupTicket.seatsOf(ticket),
+    queueName: queue?.name || null,
+    position,
+    estimatedMinutes: eta ? eta.estimatedMinutes : null,
+    expectedTime: formatTime(eta?.expectedTime),
+    issuedAt: formatTime(ticket.createdAt),
+    claimCode: ticket.claimCode || null,
+    statusUrl: statusUrl(ticket),
+  };
+};
+
+// Label/value rows shared by both renderers
+const slipRows = (slip, labels) =>
+  [
+    [labels.service, slip.serviceName || labels.types[slip.type] || slip.type],
+    [labels.queue, slip.queueName],
+    [labels.partySize, slip.partySize > 1 ? slip.partySize : null],
+    [labels.position, slip.position],
+    [
+      labels.eta,
+      slip.estimatedMinutes != null ? labels.minutes(slip.estimatedMinutes) : null,
+    ],
+    [labels.expected, slip.expectedTime],
+    [labels.issued, slip.issuedAt],
+    [labels.claimCode, slip.claimCode],
+  ].filter(([, value]) => value != null && value !== "");
+
+// pdfkit lays out a line containing Arabic right to left and reverses all
+// of its glyphs, Latin letters and digits included: pre-reverse those runs
+// so "15 دقيقة" does not come out as "51"
+const pdfText = (value) => {
+  const text = String(value);
+  if (!ARABIC.test(text)) return text;
+  return text.replace(/[A-Za-z0-9][A-Za-z0-9:./-]*/g, (run) =>
+    [...run].reverse().join(""),
+  );
+};
+
+/**
+ * Render a slip as a PDF (80 mm wide)
+ * @param {Object} slip - From buildSlip; Arabic needs SLIP_FONT_PATH
+ * @returns {Promise<Buffer>}
+ */
+exports.renderPdf = async (slip) => {
+  const fontPath = process.env.SLIP_FONT_PATH;
+  const locale = printableLocales("pdf").includes(slip.locale) ? slip.locale : "en";
+  const labels = LABELS[locale];
+  const align = locale === "ar" ? "right" : "center";
+  const qr = await QRCode.toBuffer(slip.statusUrl, { margin: 1, width: 300 });
+
+  const rows = slipRows(slip, labels);
+  const width = 226; // 80 mm in points
+  const doc = new PDFDocument({
+    size: [width, 300 + rows.length * 34],
+    margin: 14,
+    info: { Title: `${slip.businessName} ${slip.displayNumber}` },
+  });
+  if (fontPath) doc.registerFont("slip", fontPath).font("slip");
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  doc.fontSize(13).text(pdfText(slip.businessName), { align: "center" });
+  doc.moveDown(0.5);
+  doc.fontSize(9).text(pdfText(labels.ticket), { align: "center" });
+  doc.fontSize(34).text(slip.displayNumber, { align: "center" });
+  doc.moveDown(0.3);
+
+  rows.forEach(([label, value]) => {
+    doc.fontSize(8).fillColor("#555555").text(pdfText(label), { align });
+    doc.fontSize(11).fillColor("#000000").text(pdfText(value), { align });
+    doc.moveDown(0.2);
+  });
+
+  doc.moveDown(0.5);
+  const qrSize = 110;
+  doc.image(qr, (width - qrSize) / 2, doc.y, { width: qrSize });
+  doc.y += qrSize + 4;
+  doc.fontSize(8).text(pdfText(labels.scan), { align: "center" });
+
+  doc.end();
+  return done;
+};
+
+// Encode text for the printer: ASCII only
+const encodeText = (text) =>
+  [...String(text)].map((char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? code : 0x3f; // "?"
+  });
+
+/**
+ * Render a slip as raw ESC/POS bytes (send as-is to the printer)
+ * @param {Object} slip - From buildSlip; always printed with English labels
+ * @returns {Buffer}
+ */
+exports.renderEscPos = (slip) => {
+  const labels = LABELS.en;
+
+  const ESC = 0x1b;
+  const GS = 0x1d;
+  const bytes = [ESC, 0x40]; // initialize
+
+  const align = (n) => bytes.push(ESC, 0x61, n); // 0 left, 1 center, 2 right
+  const size = (n) => bytes.push(GS, 0x21, n); // 0x00 normal, 0x11 double
+  const bold = (on) => bytes.push(ESC, 0x45, on ? 1 : 0);
+  const line = (text = "") => bytes.push(...encodeText(text), 0x0a);
+
+  align(1);
+  bold(true);
+  line(slip.businessName);
+  bold(false);
+  line();
+  line(labels.ticket);
+  size(0x33);
+  line(slip.displayNumber);
+  size(0x00);
+  line();
+
+  align(0);
+  slipRows(slip, labels).forEach(([label, value]) => {
+    line(`${label}: ${value}`);
+  });
+  line();
+
+  // Native QR code: model 2, module size 6, error correction M
+  const data = Buffer.from(slip.statusUrl, "ascii");
+  const storeLength = data.length + 3;
+  align(1);
+  bytes.push(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00);
+  bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06);
+  bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31);
+  bytes.push(GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...data);
+  bytes.push(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30);
+  line();
+  line(labels.scan);
+
+  // Feed and partial cut
+  bytes.push(ESC, 0x64, 0x04, GS, 0x56, 0x01);
+  return Buffer.from(bytes);
+};
+
+const FORMATS = {
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+  escpos: { contentType: "application/octet-stream", extension: "bin" },
+};
+
+exports.FORMATS = Object.keys(FORMATS);
+
+/**
+ * Build and render a ticket slip
+ * @param {Object} ticket - Ticket document
+ * @param {Object} options - format ("pdf" | "escpos"), locale, business
+ * @returns {Promise<Object>} - { contentType, filename, body, locale,
+ *   localeFallback (the locale that was asked for but cannot be printed,
+ *   else null) }
+ */
+exports.renderSlip = async (ticket, { format = "pdf", locale, business } = {}) => {
+  const type = FORMATS[format];
+  if (!type) {
+    throw Object.assign(
+      new Error(`format must be one of: ${Object.keys(FORMATS).join(", ")}`),
+      { statusCode: 400 },
+    );
+  }
+
+  const printable = printableLocales(format);
+  const used = printable.includes(locale) ? locale : "en";
+
+  const slip = await exports.buildSlip(ticket, { locale: used, business });
+  const body =
+    format === "pdf" ? await exports.renderPdf(slip) : exports.renderEscPos(slip);
+
+  return {
+    contentType: type.contentType,
+    filename: `ticket-${slip.displayNumber}.${type.extension}`,
+    body,
+    locale: used,
+    localeFallback: locale && locale !== used ? locale : null,
+  };
+};
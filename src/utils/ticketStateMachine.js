@@ -0,0 +1,180 @@
+/**
+ * Ticket State Machine
+ *
+ * Single source of truth for ticket status changes. Every REST handler,
+ * socket handler and background job moves tickets through transition(),
+ * which:
+ * 1. rejects moves not listed in TRANSITIONS (409 ILLEGAL_TRANSITION)
+ * 2. applies the change with an atomic conditional update on the current
+ *    status, so concurrent moves cannot both succeed (409 STATUS_CONFLICT)
+ * 3. appends a statusHistory entry (who, when, from, to, reason)
+ * 4. stamps firstCalledAt the first time the ticket is called (or served
+ *    straight away), the actual time ETA predictions are measured against
+ */
+
+const Ticket = require("../models/ticketSchema");
+
+const TRANSITIONS = {
+  waiting: ["called", "in-progress", "missed", "cancelled"],
+  called: ["in-progress", "on-hold", "waiting", "done", "cancelled"],
+  "on-hold": ["called", "waiting", "missed", "cancelled"],
+  "in-progress": ["done", "waiting", "cancelled"],
+  missed: [],
+  done: [],
+  cancelled: [],
+};
+
+class TicketTransitionError extends Error {
+  constructor(message, { code = "ILLEGAL_TRANSITION", from, to } = {}) {
+    super(message);
+    this.name = "TicketTransitionError";
+    this.statusCode = 409;
+    this.code = code;
+    this.from = from;
+    this.to = to;
+  }
+
+  // Body sent to REST clients and socket acknowledgements
+  toResponse() {
+    return {
+      status: "fail",
+      code: this.code,
+      message: this.message,
+      from: this.from,
+      to: this.to,
+    };
+  }
+}
+
+exports.TRANSITIONS = TRANSITIONS;
+exports.TicketTransitionError = TicketTransitionError;
+
+/**
+ * Check whether a status change is allowed
+ * @param {String} from - Current status
+ * @param {String} to - Target status
+ * @returns {Boolean}
+ */
+exports.canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Build a statusHistory entry
+ * @param {String} from - Previous status
+ * @param {String} to - New status
+ * @param {Object} actor - by (user/business ID), byRole, reason
+ * @returns {Object}
+ */
+const historyEntry = (from, to, { by, byRole, reason } = {}) => ({
+  from,
+  to,
+  by: by || null,
+  byRole: byRole || (by ? undefined : "system"),
+  reason,
+  at: new Date(),
+});
+
+/**
+ * Move a ticket to a new status
+ * @param {Object|String} ticketOrId - Ticket document or ID
+ * @param {String} to - Target status
+ * @param {Object} options
+ *   by, byRole, reason - recorded in statusHistory
+ *   from   - only allow the move from these statuses (String or Array)
+ *   set    - extra fields to $set in the same update
+ *   inc    - fields to $inc in the same update
+ *   push   - extra arrays to $push in the same update
+ *   expect - extra conditions the ticket must match (atomic)
+ * @returns {Object} - Updated ticket
+ * @throws {TicketTransitionError} - 409 on illegal or conflicting moves
+ */
+exports.transition = async (ticketOrId, to, options = {}) => {
+  const { set = {}, inc, push = {}, expect = {} } = options;
+
+  const ticket =
+    typeof ticketOrId === "object" && ticketOrId.status
+      ? ticketOrId
+      : await Ticket.findById(ticketOrId);
+  if (!ticket) {
+    const error = new Error("Ticket not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const from = ticket.status;
+  const allowedFrom = options.from ? [].concat(options.from) : null;
+
+  if (
+    !exports.canTransition(from, to) ||
+    (allowedFrom && !allowedFrom.includes(from))
+  ) {
+    throw new TicketTransitionError(`Cannot move a ${from} ticket to ${to}`, {
+      from,
+      to,
+    });
+  }
+
+  const update = {
+    $set: { ...set, status: to },
+    $push: { ...push, statusHistory: historyEntry(from, to, options) },
+  };
+  if (inc) update.$inc = inc;
+  if (to === "called" || (to === "in-progress" && from === "waiting")) {
+    update.$min = { firstCalledAt: new Date() };
+  }
+
+  const updated = await Ticket.findOneAndUpdate(
+    { _id: ticket._id, status: from, ...expect },
+    update,
+    { new: true },
+  );
+
+  if (!updated) {
+    const current = await Ticket.findById(ticket._id).select("status");
+    throw new TicketTransitionError(
+      current && current.status !== from
+        ? `Ticket is now ${current.status}, cannot move it to ${to}`
+        : `Ticket cannot be moved to ${to} right now`,
+      { code: "STATUS_CONFLICT", from: current?.status || from, to },
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Move every ticket matching a filter from one status to another
+ * Used for bulk operations such as closing a queue
+ * @param {Object} filter - Ticket query (status is forced to `from`)
+ * @param {String} from - Current status
+ * @param {String} to - Target status
+ * @param {Object} options - by, byRole, reason, set
+ * @returns {Object} - MongoDB update result
+ */
+exports.transitionMany = async (filter, from, to, options = {}) => {
+  if (!exports.canTransition(from, to)) {
+    throw new TicketTransitionError(`Cannot move ${from} tickets to ${to}`, {
+      from,
+      to,
+    });
+  }
+
+  return Ticket.updateMany(
+    { ...filter, status: from },
+    {
+      $set: { ...(options.set || {}), status: to },
+      $push: { statusHistory: historyEntry(from, to, options) },
+    },
+  );
+};
+
+/**
+ * Actor fields for statusHistory from an authenticated request user
+ * @param {Object} user - req.user / socket.user
+ * @param {String} reason - Optional reason
+ * @returns {Object}
+ */
+exports.actor = (user, reason) => ({
+  by: user?._id || user?.id,
+  byRole: user?.role,
+  reason,
+});
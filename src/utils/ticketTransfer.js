@@ -0,0 +1,229 @@
+/**
+ * Ticket Transfer Between Queues / Services
+ *
+ * Moves a ticket to another queue of the same business (e.g. doctor -> lab)
+ * or to another service, without cancelling it. The ticket keeps its
+ * history and is placed in the target queue according to a placement rule:
+ * - front: ahead of everyone waiting
+ * - back:  behind everyone waiting
+ * - keep:  where it would be had it joined the target queue originally
+ */
+
+const Ticket = require("../models/ticketSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const Counter = require("../models/counterSchema");
+const queueRouting = require("./queueRouting");
+const { queueOrderKey } = require("./dispatchPolicy");
+const { seatsOf } = require("./groupTicket");
+const {
+  transition,
+  canTransition,
+  TicketTransitionError,
+} = require("./ticketStateMachine");
+
+const PLACEMENTS = ["front", "back", "keep"];
+
+const transferError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+/**
+ * Compute the sortKey that places a ticket in the target queue
+ * @param {Object} ticket - Ticket being transferred
+ * @param {String} toQueueId - Target queue ID
+ * @param {String} placement - front | back | keep
+ * @param {Number} fallbackKey - Key used when the target queue is empty
+ * @returns {Number}
+ */
+const placementKey = async (ticket, toQueueId, placement, fallbackKey) => {
+  const waiting = (
+    await Ticket.find({
+      queueId: toQueueId,
+      status: "waiting",
+      _id: { $ne: ticket._id },
+    })
+  ).sort((a, b) => queueOrderKey(a) - queueOrderKey(b));
+
+  if (waiting.length === 0) return fallbackKey;
+
+  const keys = waiting.map(queueOrderKey);
+  if (placement === "front") return keys[0] - 1;
+  if (placement === "back") return Math.max(keys[keys.length - 1] + 1, fallbackKey);
+
+  // keep: slot in before the first ticket that joined after this one
+  const nextIndex = waiting.findIndex((t) => t.createdAt > ticket.createdAt);
+  if (nextIndex === -1) return keys[keys.length - 1] + 1;
+  if (nextIndex === 0) return keys[0] - 1;
+  return (keys[nextIndex - 1] + keys[nextIndex]) / 2;
+};
+
+/**
+ * Transfer a ticket to another queue and/or service
+ * @param {String} ticketId - Ticket ID
+ * @param {Object} options - queueId (target queue), serviceId (target
+ *   service), placement (front | back | keep), reason, by (staff ID), byRole
+ * @returns {Object} - { ticket, fromQueue, toQueue }
+ * @throws {Error} - with statusCode (400/404/409) on invalid transfers;
+ *   409 NO_QUEUE for a ticket that is in no queue
+ */
+exports.transferTicket = async (
+  ticketId,
+  { queueId, serviceId, placement = "back", reason, by, byRole } = {},
+) => {
+  if (!PLACEMENTS.includes(placement)) {
+    throw transferError(400, `placement must be one of: ${PLACEMENTS.join(", ")}`);
+  }
+  if (!queueId && !serviceId) {
+    throw transferError(400, "queueId or serviceId is required");
+  }
+
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) throw transferError(404, "Ticket not found");
+
+  // Tickets issued before queues existed (or some appointment tickets)
+  if (!ticket.queueId) {
+    throw transferError(409, "Ticket is not in a queue and cannot be transferred", "NO_QUEUE");
+  }
+
+  // Transferred tickets wait in the target queue
+  if (ticket.status !== "waiting" && !canTransition(ticket.status, "waiting")) {
+    throw new TicketTransitionError(`Cannot transfer a ${ticket.status} ticket`, {
+      from: ticket.status,
+      to: "waiting",
+    });
+  }
+
+  const business = await Business.findById(ticket.businessId);
+  if (!business) throw transferError(404, "Business not found");
+
+  if (serviceId && !business.service.id(serviceId)) {
+    throw transferError(400, "Service not offered by this business");
+  }
+  const targetServiceId = serviceId || ticket.serviceId;
+
+  // Resolve the target queue: explicit, routed by the new service, or same queue
+  let toQueue;
+  if (queueId) {
+    toQueue = await Queue.findById(queueId);
+  } else {
+    toQueue = await queueRouting.resolveServiceQueue(
+      ticket.businessId,
+      targetServiceId,
+    );
+  }
+  if (!toQueue) throw transferError(404, "Target queue not found");
+
+  if (toQueue.businessId.toString() !== ticket.businessId.toString()) {
+    throw transferError(400, "Target queue belongs to another business");
+  }
+  if (toQueue.status === "closed") {
+    throw transferError(400, "Target queue is closed");
+  }
+  if (!queueRouting.queueAcceptsService(toQueue, targetServiceId)) {
+    throw transferError(400, "Target queue does not serve this service");
+  }
+
+  const fromQueueId = ticket.queueId;
+  const sameQueue = toQueue._id.toString() === fromQueueId.toString();
+  if (sameQueue && (!serviceId || String(serviceId) === String(ticket.serviceId))) {
+    throw transferError(400, "Ticket is already in this queue and service");
+  }
+
+  // Reserve a slot per person (and a new number) in the target queue
+  const seats = seatsOf(ticket);
+  let ticketNumber = ticket.ticketNumber;
+  let reservedQueue = toQueue;
+  if (!sameQueue) {
+    reservedQueue = await Queue.findOneAndUpdate(
+      {
+        _id: toQueue._id,
+        status: { $ne: "closed" },
+        $expr: { $lte: [{ $add: ["$currentCount", seats] }, "$maxCapacity"] },
+      },
+      { $inc: { currentCount: seats, currentTicketNumber: 1 } },
+      { new: true },
+    );
+    if (!reservedQueue) throw transferError(409, "Target queue is full");
+    ticketNumber = reservedQueue.currentTicketNumber;
+  }
+
+  const sortKey = await placementKey(ticket, toQueue._id, placement, ticketNumber);
+
+  const set = {
+    queueId: toQueue._id,
+    serviceId: targetServiceId,
+    ticketNumber,
+    displayNumber: queueRouting.formatTicketNumber(reservedQueue, ticketNumber),
+    sortKey,
+    pinnedAt: null,
+    counterId: null,
+  };
+  const push = {
+    transfers: {
+      fromQueueId,
+      toQueueId: toQueue._id,
+      fromServiceId: ticket.serviceId,
+      toServiceId: targetServiceId,
+      fromTicketNumber: ticket.ticketNumber,
+      toTicketNumber: ticketNumber,
+      fromStatus: ticket.status,
+      placement,
+      reason,
+      by,
+      at: new Date(),
+    },
+  };
+
+  let updated;
+  try {
+    if (ticket.status === "waiting") {
+      // Not a status change, only a move
+      updated = await Ticket.findOneAndUpdate(
+        { _id: ticket._id, status: "waiting", queueId: fromQueueId },
+        { $set: set, $push: push },
+        { new: true },
+      );
+      if (!updated) {
+        throw new TicketTransitionError("Ticket was modified, please retry", {
+          code: "STATUS_CONFLICT",
+          from: "waiting",
+          to: "waiting",
+        });
+      }
+    } else {
+      updated = await transition(ticket, "waiting", {
+        by,
+        byRole,
+        reason: reason || "transfer",
+        set,
+        push,
+        expect: { queueId: fromQueueId },
+      });
+    }
+  } catch (error) {
+    // Ticket changed under us: release the reserved slot
+    if (!sameQueue) {
+      await Queue.findByIdAndUpdate(toQueue._id, { $inc: { currentCount: -seats } });
+    }
+    throw error;
+  }
+
+  let fromQueue = reservedQueue;
+  if (!sameQueue) {
+    fromQueue = await Queue.findByIdAndUpdate(
+      fromQueueId,
+      { $inc: { currentCount: -seats } },
+      { new: true },
+    );
+  }
+
+  // The ticket leaves whichever counter was serving it
+  if (ticket.counterId) {
+    await Counter.updateOne(
+      { _id: ticket.counterId, currentTicket: ticket._id },
+      { currentTicket: null },
+    );
+  }
+
+  return { ticket: updated, fromQueue, toQueue: reservedQueue };
+};
@@ -0,0 +1,393 @@
+/**
+ * Overflow Waitlist
+ *
+ * Customers turned away by a full queue can join its waitlist instead.
+ * Whenever a slot frees up (cancel, no-show, missed hold, ...) the oldest
+ * waitlisted customer is promoted:
+ * 1. the slot is held for them (queue.currentCount) and they get an offer
+ *    (socket "waitlistOffer" + Notification)
+ * 2. they accept within waitlistPolicy.acceptMinutes and the ticket is
+ *    issued into the held slot (ticketIssuer slotReserved)
+ * 3. otherwise (declined / expired) the slot passes to the next person
+ * Offers are swept by startWaitlistSweeper, which also ends the waitlist of
+ * a closed queue (socket "waitlistExpired" / "waitlistOfferExpired").
+ */
+
+const Waitlist = require("../models/waitlistSchema");
+const Queue = require("../models/queueSchema");
+const Business = require("../models/businessSchema");
+const Notification = require("../models/notificationSchema");
+const ticketIssuer = require("./ticketIssuer");
+const { checkPartySize } = require("./intakeRules");
+
+const DEFAULT_WAITLIST_POLICY = {
+  enabled: true,
+  maxSize: 20,
+  acceptMinutes: 10,
+};
+
+// Entries still in the running for a slot
+const OPEN_STATUSES = ["waiting", "offered"];
+
+const waitlistError = (statusCode, message, code) =>
+  Object.assign(new Error(message), { statusCode, code });
+
+exports.OPEN_STATUSES = OPEN_STATUSES;
+
+/**
+ * Merge a business waitlist policy with the defaults
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+const resolveWaitlistPolicy = (business) => {
+  const policy = business?.waitlistPolicy?.toObject
+    ? business.waitlistPolicy.toObject()
+    : business?.waitlistPolicy || {};
+  return { ...DEFAULT_WAITLIST_POLICY, ...policy };
+};
+
+exports.resolveWaitlistPolicy = resolveWaitlistPolicy;
+
+/**
+ * Place of a waiting entry in its queue's waitlist
+ * @param {Object} entry - Waitlist document
+ * @returns {Number|null} - 1 = next to be offered, null once offered/closed
+ */
+const positionOf = async (entry) => {
+  if (entry.status !== "waiting") return null;
+  const ahead = await Waitlist.countDocuments({
+    queueId: entry.queueId,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+exports.positionOf = positionOf;
+
+// Socket event + persisted notification for the customer
+const notifyUser = async (socketIO, entry, event, message) => {
+  if (socketIO) {
+    socketIO.emitToUser(entry.userId.toString(), event, { entry, message });
+  }
+  await Notification.create({
+    businessId: entry.businessId,
+    userId: entry.userId,
+    queueId: entry.queueId,
+    type: "queue",
+    message,
+  });
+};
+
+const emitWaitlistUpdate = (socketIO, entry) => {
+  if (!socketIO) return;
+  socketIO.emitWaitlistUpdated(entry.businessId.toString(), entry);
+};
+
+// Give back the slot held for an offer
+const releaseSlot = (entry) =>
+  Queue.updateOne(
+    { _id: entry.queueId },
+    { $inc: { currentCount: -Math.max(entry.partySize || 1, 1) } },
+  );
+
+/**
+ * Put a customer on the waitlist of a full queue
+ * @param {Object} business - Business document
+ * @param {Object} queue - Queue document
+ * @param {Object} request - userId, serviceId, type, priority (already
+ *   checked with intakeRules.checkPriority), partySize, memberNames
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Object} - { entry, position }
+ * @throws {Error} - with statusCode and code (WAITLIST_DISABLED,
+ *   ALREADY_WAITLISTED, WAITLIST_FULL)
+ */
+exports.joinWaitlist = async (business, queue, request, socketIO) => {
+  const policy = resolveWaitlistPolicy(business);
+  if (!policy.enabled || policy.maxSize === 0) {
+    throw waitlistError(409, "This business has no waitlist", "WAITLIST_DISABLED");
+  }
+
+  const existing = await Waitlist.findOne({
+    queueId: queue._id,
+    userId: request.userId,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (existing) {
+    throw waitlistError(409, "You are already on this waitlist", "ALREADY_WAITLISTED");
+  }
+
+  const size = await Waitlist.countDocuments({
+    queueId: queue._id,
+    status: { $in: OPEN_STATUSES },
+  });
+  if (size >= policy.maxSize) {
+    throw waitlistError(409, "The waitlist is full", "WAITLIST_FULL");
+  }
+
+  const entry = await Waitlist.create({
+    businessId: business._id,
+    queueId: queue._id,
+    userId: request.userId,
+    serviceId: request.serviceId,
+    type: request.type || "examination",
+    priority: request.priority || "normal",
+    partySize: checkPartySize(business, request.partySize),
+    memberNames: Array.isArray(request.memberNames) ? request.memberNames : [],
+  });
+
+  emitWaitlistUpdate(socketIO, entry);
+
+  // A slot may have freed up in the meantime
+  await exports.promoteNext(queue._id, socketIO);
+
+  const fresh = await Waitlist.findById(entry._id);
+  return { entry: fresh, position: await positionOf(fresh) };
+};
+
+/**
+ * Offer freed slots of a queue to the oldest waitlisted customers
+ * Never throws: errors are logged so callers can fire and forget
+ * @param {String} queueId - Queue ID
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Number} - Offers made
+ */
+exports.promoteNext = async (queueId, socketIO) => {
+  let offered = 0;
+  try {
+    for (;;) {
+      const next = await Waitlist.findOne({ queueId, status: "waiting" }).sort({
+        createdAt: 1,
+      });
+      if (!next) return offered;
+
+      // Hold the slot for the offer; strict order, so a party that does not
+      // fit yet keeps everyone behind it waiting
+      const seats = Math.max(next.partySize || 1, 1);
+      const queue = await Queue.findOneAndUpdate(
+        {
+          _id: queueId,
+          status: "active",
+          $expr: { $lte: [{ $add: ["$currentCount", seats] }, "$maxCapacity"] },
+        },
+        { $inc: { currentCount: seats } },
+        { new: true },
+      );
+      if (!queue) return offered;
+
+      const business = await Business.findById(queue.businessId).select("waitlistPolicy");
+      const policy = resolveWaitlistPolicy(business);
+      const now = new Date();
+      const entry = await Waitlist.findOneAndUpdate(
+        { _id: next._id, status: "waiting" },
+        {
+          status: "offered",
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + policy.acceptMinutes * 60 * 1000),
+        },
+        { new: true },
+      );
+      if (!entry) {
+        // Left the waitlist meanwhile: give the slot back and try the next one
+        await releaseSlot(next);
+        continue;
+      }
+
+      offered += 1;
+      await notifyUser(
+        socketIO,
+        entry,
+        "waitlistOffer",
+        `A place opened up in ${queue.name || "the queue"}. Accept within ${policy.acceptMinutes} minutes to get your ticket.`,
+      );
+      emitWaitlistUpdate(socketIO, entry);
+    }
+  } catch (error) {
+    console.error("waitlist promote error:", error.message);
+    return offered;
+  }
+};
+
+/**
+ * Accept an offer: issue the ticket into the held slot
+ * @param {String} entryId - Waitlist entry ID
+ * @param {Object} user - Customer (must own the entry)
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Object} - { entry, ticket, eta }
+ * @throws {Error|IntakeRejection} - OFFER_NOT_FOUND, OFFER_EXPIRED or an
+ *   intake rejection (the slot then passes to the next person)
+ */
+exports.acceptOffer = async (entryId, user, socketIO) => {
+  const entry = await Waitlist.findOneAndUpdate(
+    {
+      _id: entryId,
+      userId: user._id,
+      status: "offered",
+      offerExpiresAt: { $gt: new Date() },
+    },
+    { status: "accepted", respondedAt: new Date() },
+    { new: true },
+  );
+  if (!entry) {
+    const current = await Waitlist.findOne({ _id: entryId, userId: user._id });
+    if (!current) throw waitlistError(404, "Waitlist entry not found", "OFFER_NOT_FOUND");
+    throw waitlistError(
+      409,
+      current.status === "offered" ? "The offer has expired" : `No open offer (entry is ${current.status})`,
+      "OFFER_EXPIRED",
+    );
+  }
+
+  try {
+    const business = await Business.findById(entry.businessId);
+    const result = await ticketIssuer.issueTicket(business, {
+      queueId: entry.queueId,
+      serviceId: entry.serviceId,
+      type: entry.type,
+      priority: entry.priority,
+      partySize: entry.partySize,
+      memberNames: entry.memberNames,
+      userId: entry.userId,
+      limitUser: user.role === "user",
+      slotReserved: true,
+      socketIO,
+    });
+
+    entry.ticketId = result.ticket._id;
+    await entry.save();
+    emitWaitlistUpdate(socketIO, entry);
+    return { entry, ...result };
+  } catch (error) {
+    // The held slot goes to the next person
+    await Waitlist.updateOne({ _id: entry._id }, { status: "cancelled" });
+    await releaseSlot(entry);
+    exports.promoteNext(entry.queueId, socketIO);
+    throw error;
+  }
+};
+
+/**
+ * Leave the waitlist, or decline a pending offer
+ * @param {String} entryId - Waitlist entry ID
+ * @param {Object} user - Customer (must own the entry)
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Object} - Updated entry
+ * @throws {Error} - OFFER_NOT_FOUND, WAITLIST_CLOSED
+ */
+exports.leaveWaitlist = async (entryId, user, socketIO) => {
+  const current = await Waitlist.findOne({ _id: entryId, userId: user._id });
+  if (!current) throw waitlistError(404, "Waitlist entry not found", "OFFER_NOT_FOUND");
+
+  if (!OPEN_STATUSES.includes(current.status)) {
+    throw waitlistError(409, `Waitlist entry is already ${current.status}`, "WAITLIST_CLOSED");
+  }
+
+  const declining = current.status === "offered";
+  const entry = await Waitlist.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    { status: declining ? "declined" : "cancelled", respondedAt: new Date() },
+    { new: true },
+  );
+  if (!entry) {
+    throw waitlistError(409, "Waitlist entry changed, please retry", "WAITLIST_CLOSED");
+  }
+
+  emitWaitlistUpdate(socketIO, entry);
+  if (declining) {
+    await releaseSlot(entry);
+    await exports.promoteNext(entry.queueId, socketIO);
+  }
+  return entry;
+};
+
+/**
+ * Expire offers nobody accepted in time and waitlists of closed queues,
+ * then pass the freed slots on
+ * @param {Object} socketIO - Socket helpers (optional)
+ * @returns {Number} - Entries expired
+ */
+exports.expireOffers = async (socketIO) => {
+  const now = new Date();
+  const overdue = await Waitlist.find({
+    status: "offered",
+    offerExpiresAt: { $lte: now },
+  });
+
+  let expired = 0;
+  const queueIds = new Set();
+  for (const offer of overdue) {
+    const entry = await Waitlist.findOneAndUpdate(
+      { _id: offer._id, status: "offered" },
+      { status: "expired" },
+      { new: true },
+    );
+    if (!entry) continue;
+
+    expired += 1;
+    await releaseSlot(entry);
+    queueIds.add(entry.queueId.toString());
+    await notifyUser(
+      socketIO,
+      entry,
+      "waitlistOfferExpired",
+      "Your waitlist offer expired and the place was given to the next person.",
+    );
+    emitWaitlistUpdate(socketIO, entry);
+  }
+
+  for (const queueId of queueIds) {
+    await exports.promoteNext(queueId, socketIO);
+  }
+
+  // Nobody gets in once the queue closed for the day. Slots held for
+  // offers are not released: closing the queue resets its currentCount
+  const openQueueIds = await Waitlist.distinct("queueId", {
+    status: { $in: OPEN_STATUSES },
+  });
+  const closed = await Queue.find({
+    _id: { $in: openQueueIds },
+    status: "closed",
+  }).select("_id");
+  const stranded =
+    closed.length > 0
+      ? await Waitlist.find({
+          queueId: { $in: closed.map((q) => q._id) },
+          status: { $in: OPEN_STATUSES },
+        })
+      : [];
+  for (const open of stranded) {
+    const entry = await Waitlist.findOneAndUpdate(
+      { _id: open._id, status: open.status },
+      { status: "expired" },
+      { new: true },
+    );
+    if (!entry) continue;
+
+    expired += 1;
+    await notifyUser(
+      socketIO,
+      entry,
+      open.status === "offered" ? "waitlistOfferExpired" : "waitlistExpired",
+      "The queue closed for the day, so your waitlist place has ended.",
+    );
+    emitWaitlistUpdate(socketIO, entry);
+  }
+
+  return expired;
+};
+
+/**
+ * Periodically expire offers
+ * @param {Object} socketIO - Socket helpers
+ * @param {Number} intervalMs - Sweep interval (default 30s)
+ * @returns {Object} - Interval handle
+ */
+exports.startWaitlistSweeper = (socketIO, intervalMs = 30 * 1000) => {
+  const timer = setInterval(() => {
+    exports.expireOffers(socketIO).catch((error) =>
+      console.error("Waitlist sweeper error:", error),
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};